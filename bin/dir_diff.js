@@ -0,0 +1,29 @@
+#! /usr/bin/env node
+
+const commander = require('commander');
+
+const {dirDiff, dirDiffExitCode} = require('../lib/dirDiff.js');
+const {printDirDiffAs} = require('../lib/report.js');
+const {
+  addConfigOptions,
+  addFormatOption,
+  applyConfigOptions,
+  checkFormat,
+  collectValues,
+  runCommand,
+} = require('../lib/cli.js');
+
+addFormatOption(addConfigOptions(commander))
+  .option('-d, --duplicates <mode>', 'how to handle keys on more than one row: fail, first or multiset')
+  .option('-K, --table-key <table=fields>', 'key of a table, e.g. students=studentId (repeatable)', collectValues, [])
+  .arguments('<oldDir> <newDir>')
+  .action(runCommand(async function (oldDir, newDir) {
+    const format = checkFormat(commander.opts().format);
+    applyConfigOptions(commander.opts());
+    const diff = await dirDiff(oldDir, newDir);
+    printDirDiffAs(diff, format);
+    const exitCode = dirDiffExitCode(diff);
+    if (exitCode != null) process.exitCode = exitCode;
+  }));
+
+commander.parse(process.argv);
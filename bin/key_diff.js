@@ -2,14 +2,57 @@
 
 const commander = require('commander');
 
-const {printKeyDiff, keyDiff} = require('../lib/index.js');
+const {keyDiff, filteredKeyDiff, keyDiffCounts} = require('../lib/index.js');
+const {filtersOutput} = require('../lib/outputFilter.js');
+const {CONFIG} = require('../lib/config.js');
+const {fieldSummary, printFieldSummaryAs} = require('../lib/summary.js');
+const {diffThresholds} = require('../lib/thresholds.js');
+const {printKeyDiffAs, printKeyDiffStream, reportContext, keyDiffSummary} = require('../lib/report.js');
+const {
+  addConfigOptions, addFormatOption, addCheckOptions, applyConfigOptions, applyThresholds, checkFormat, collectValues,
+  runCommand, splitList,
+} = require('../lib/cli.js');
 
-commander
+addCheckOptions(addFormatOption(addConfigOptions(commander)), ['added', 'removed', 'changed'])
+  .option('-r, --rename <path=name>',
+    'field of the old file renamed in the new file, e.g. email=emailAddress (repeatable)',
+    collectValues, [])
+  .option('-d, --duplicates <mode>', 'how to handle keys on more than one row: fail, first or multiset')
+  .option('-l, --memory-limit <mb>', 'sort the files on disk, buffering at most this many megabytes of rows per file')
+  .option('-t, --temp-dir <dir>', 'directory for the temporary files of --memory-limit')
+  .option('-S, --summary', 'print statistics and change counts per field instead of rows')
+  .option('-o, --only <categories>', 'comma separated categories to print: removed, added, changed, unchanged')
+  .option('-n, --limit <n>', 'print at most the first n rows of each category')
+  .option('--sample <n>', 'print n random rows of each category')
+  .option('--seed <n>', 'seed of --sample, the same seed gives the same rows')
   .arguments('<oldFile> <newFile> <key>')
-  .action(async function (oldFile, newFile, key) {
+  .action(runCommand(async function (oldFile, newFile, key) {
+    const format = checkFormat(commander.opts().format);
+    applyConfigOptions(commander.opts());
+    const thresholds = diffThresholds('key');
+    // each side is a file, a glob or a comma separated list of them, see src/inputs.js.
+    const oldFiles = splitList(oldFile);
+    const newFiles = splitList(newFile);
     const keyArr = key.split(',');
-    const diff = await keyDiff(oldFile, newFile, keyArr);
-    printKeyDiff(diff);
-  });
+    const context = format === 'html' ? await reportContext(oldFiles, newFiles) : null;
+    let summary;
+    if (commander.opts().summary) {
+      const result = await fieldSummary(oldFiles, newFiles, keyArr);
+      printFieldSummaryAs(result, format, context);
+      summary = keyDiffSummary(result['counts'], result['duplicates']);
+    }
+    // with a memory limit, print entries as they are found instead of collecting the diff.
+    else if (CONFIG.memoryLimit != null) {
+      summary = await printKeyDiffStream(oldFiles, newFiles, keyArr, format);
+    } else {
+      // with --only, --limit or --sample only the rows which are printed are kept.
+      const diff = filtersOutput()
+        ? await filteredKeyDiff(oldFiles, newFiles, keyArr)
+        : await keyDiff(oldFiles, newFiles, keyArr);
+      printKeyDiffAs(diff, format, context);
+      summary = keyDiffSummary(keyDiffCounts(diff), diff['duplicates']);
+    }
+    applyThresholds(summary, thresholds);
+  }));
 
 commander.parse(process.argv);
@@ -0,0 +1,32 @@
+#! /usr/bin/env node
+
+const commander = require('commander');
+
+const {checkIntegrity, integrityDiff, integrityExitCode, printIntegrityAs} = require('../lib/integrity.js');
+const {
+  addConfigOptions,
+  addFormatOption,
+  applyConfigOptions,
+  checkFormat,
+  collectValues,
+  runCommand,
+} = require('../lib/cli.js');
+
+addFormatOption(addConfigOptions(commander))
+  .option('-R, --relation <child.field=parent.key>',
+    'reference from a child table to the key of its parent table, e.g. ' +
+    'studentAssignments.globalStudentId=students.globalStudentId (repeatable)', collectValues, [])
+  .option('-K, --table-key <table=fields>', 'key of a table, e.g. students=studentId (repeatable)', collectValues, [])
+  .arguments('<dir> [newDir]')
+  .action(runCommand(async function (dir, newDir) {
+    const format = checkFormat(commander.opts().format);
+    applyConfigOptions(commander.opts());
+    // with two folders, diff their referential health instead of checking one.
+    const result = newDir != null ? await integrityDiff(dir, newDir) : await checkIntegrity(dir);
+    const title = newDir != null ? `${dir} vs ${newDir} referential integrity` : `${dir} referential integrity`;
+    printIntegrityAs(result, format, format === 'html' ? {'title': title} : null);
+    const exitCode = integrityExitCode(result);
+    if (exitCode != null) process.exitCode = exitCode;
+  }));
+
+commander.parse(process.argv);
@@ -0,0 +1,20 @@
+#! /usr/bin/env node
+
+const commander = require('commander');
+
+const {printCompatibility, checkCompatibility} = require('../lib/compatibility.js');
+const {checkMode, runCommand} = require('../lib/cli.js');
+const {EXIT_CODES} = require('../lib/errors.js');
+
+commander
+  .arguments('<oldFile> <newFile>')
+  .option('-m, --mode <mode>', 'backward, forward or full', 'full')
+  .action(runCommand(async function (oldFile, newFile) {
+    const mode = checkMode(commander.mode);
+    const result = await checkCompatibility(oldFile, newFile, mode);
+    printCompatibility(result);
+    // exit non-zero so the command can gate exports.
+    process.exitCode = result.compatible ? EXIT_CODES['ok'] : EXIT_CODES['checkFailed'];
+  }));
+
+commander.parse(process.argv);
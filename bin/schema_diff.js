@@ -0,0 +1,15 @@
+#! /usr/bin/env node
+
+const commander = require('commander');
+
+const {printSchemaDiff, schemaDiff} = require('../lib/schemaDiff.js');
+const {runCommand} = require('../lib/cli.js');
+
+commander
+  .arguments('<oldFile> <newFile>')
+  .action(runCommand(async function (oldFile, newFile) {
+    const diff = await schemaDiff(oldFile, newFile);
+    printSchemaDiff(diff);
+  }));
+
+commander.parse(process.argv);
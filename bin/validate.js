@@ -0,0 +1,27 @@
+#! /usr/bin/env node
+
+const commander = require('commander');
+
+const {validate, printValidationAs} = require('../lib/validate.js');
+const {inputName, resolveInput} = require('../lib/inputs.js');
+const {EXIT_CODES} = require('../lib/errors.js');
+const {
+  addConfigOptions, addFormatOption, applyConfigOptions, checkFormat, runCommand, splitList,
+} = require('../lib/cli.js');
+
+addFormatOption(addConfigOptions(commander))
+  .option('-r, --rules <file>', 'JSON file mapping field paths to validation rules, see src/validate.js')
+  .arguments('<file> [key]')
+  .action(runCommand(async function (file, key) {
+    const format = checkFormat(commander.opts().format);
+    applyConfigOptions(commander.opts());
+    // the file is a file, a glob or a comma separated list of them, see src/inputs.js.
+    const files = splitList(file);
+    const result = await validate(files, key != null ? splitList(key) : []);
+    const context = format === 'html' ? {'title': `${inputName(resolveInput(files))} validation`} : null;
+    printValidationAs(result, format, context);
+    // exit non-zero so the command can gate exports.
+    process.exitCode = result['violations'].length === 0 ? EXIT_CODES['ok'] : EXIT_CODES['checkFailed'];
+  }));
+
+commander.parse(process.argv);
@@ -2,13 +2,31 @@
 
 const commander = require('commander');
 
-const {printVennDiff, vennDiff} = require('../lib/index.js');
+const {vennDiff} = require('../lib/index.js');
+const {diffThresholds} = require('../lib/thresholds.js');
+const {printVennDiffAs, reportContext, vennDiffSummary} = require('../lib/report.js');
+const {
+  addConfigOptions, addFormatOption, addCheckOptions, applyConfigOptions, applyThresholds, checkFormat, collectValues,
+  runCommand, splitList,
+} = require('../lib/cli.js');
 
-commander
+addCheckOptions(addFormatOption(addConfigOptions(commander)), ['added', 'removed'])
+  .option('-r, --rename <path=name>',
+    'field of the old file renamed in the new file, e.g. email=emailAddress (repeatable)',
+    collectValues, [])
+  .option('-m, --venn-mode <mode>', 'how to keep track of rows: rows, or hash for files too large to hold')
   .arguments('<oldFile> <newFile>')
-  .action(async function (oldFile, newFile) {
-    const diff = await vennDiff(oldFile, newFile);
-    printVennDiff(diff);
-  });
+  .action(runCommand(async function (oldFile, newFile) {
+    const format = checkFormat(commander.opts().format);
+    applyConfigOptions(commander.opts());
+    const thresholds = diffThresholds('venn');
+    // each side is a file, a glob or a comma separated list of them, see src/inputs.js.
+    const oldFiles = splitList(oldFile);
+    const newFiles = splitList(newFile);
+    const diff = await vennDiff(oldFiles, newFiles);
+    const context = format === 'html' ? await reportContext(oldFiles, newFiles) : null;
+    printVennDiffAs(diff, format, context);
+    applyThresholds(vennDiffSummary(diff), thresholds);
+  }));
 
 commander.parse(process.argv);
@@ -0,0 +1,210 @@
+/**
+ * changes.js contains the field level diff of two rows sharing a key: every changed field path with its old value,
+ * new value and kind of change. Unlike detailedDiff from deep-object-diff, removed fields keep their old value.
+ * Values which differ but are equal under a comparison rule (see rules.js) are not changes, and arrays with an
+ * unordered or matchBy rule are compared without regard to the order of their elements.
+ */
+
+import stableStringify from 'json-stable-stringify';
+
+import {formatPath, getPath} from './paths.js';
+import {ruleAt, arrayRuleAt, equalUnderRule} from './rules.js';
+
+// kinds of change fieldChanges reports.
+export const CHANGE_KINDS = ['added', 'removed', 'updated', 'type-changed'];
+
+/**
+ * Returns the changed fields between two rows. Records and maps are compared field by field and arrays element by
+ * element, so a change deep inside a row is reported at its own path, e.g. 'submission.attempts[2].score'. Each
+ * change has one of CHANGE_KINDS:
+ * - added / removed: the field, map key or array element is only in the new / old row.
+ * - updated: the value changed.
+ * - type-changed: the value changed to a different kind of value (e.g. a number to a string or a record to an
+ *   array), as happens when a field changes type or a union value changes branch.
+ * Missing values are null.
+ * @param {Object} oldRow - decoded row from the old file.
+ * @param {Object} newRow - decoded row from the new file.
+ * @returns {Object[]} array of objects with schema {path:string, kind:string, old, new}, in field order.
+ */
+export const fieldChanges = (oldRow, newRow) => {
+  return compareRows(oldRow, newRow).changes;
+}
+
+/**
+ * Returns the changed fields between two rows like fieldChanges, leaving out fields which are equal under a
+ * comparison rule. Those are listed in matched instead, with the rule they matched.
+ * Arrays compared without order (see arrayRuleAt in rules.js) report the elements only in the old array as removed
+ * at their old index and the elements only in the new array as added at their new index. Records matched by key are
+ * compared field by field at their new index.
+ * @param {Object} oldRow - decoded row from the old file.
+ * @param {Object} newRow - decoded row from the new file.
+ * @param {Object} rules - compiled comparison rules, see compileRules in rules.js. Omit to compare values exactly.
+ * @returns {Object} Returns an object with schema {changes:[Array], matched:[Array]} where the elements of changes
+ *                    are as returned by fieldChanges and the elements of matched are objects with schema
+ *                    {path:string, rule:{Object}, old, new}, rule holding the path and options of the rule.
+ */
+export const compareRows = (oldRow, newRow, rules = null) => {
+  const result = {'changes': [], 'matched': [], 'rules': rules};
+  diffValues(oldRow, newRow, [], result);
+  return {'changes': result['changes'], 'matched': result['matched']};
+}
+
+/**
+ * Recursive helper for compareRows. Pushes the changes between oldValue and newValue to result.
+ * @param {*} oldValue - old value at segments.
+ * @param {*} newValue - new value at segments.
+ * @param {Array} segments - path segments of the values.
+ * @param {Object} result - object with schema {changes:[Array], matched:[Array], rules:{Object}} holding the
+ *                        - changes and matched fields found so far and the compiled rules.
+ */
+const diffValues = (oldValue, newValue, segments, result) => {
+  const changes = result['changes'];
+  const oldKind = valueKind(oldValue);
+  const newKind = valueKind(newValue);
+  if (oldKind === 'object' && newKind === 'object') {
+    const names = [...Object.keys(oldValue), ...Object.keys(newValue).filter(name => !hasOwn(oldValue, name))];
+    names.forEach((name) => {
+      const segment = [...segments, name];
+      if (!hasOwn(newValue, name)) {
+        pushChange(changes, segment, 'removed', oldValue[name], null);
+      } else if (!hasOwn(oldValue, name)) {
+        pushChange(changes, segment, 'added', null, newValue[name]);
+      } else {
+        diffValues(oldValue[name], newValue[name], segment, result);
+      }
+    });
+  } else if (oldKind === 'array' && newKind === 'array') {
+    const arrayRule = arrayRuleAt(result['rules'], segments);
+    if (arrayRule != null) {
+      diffUnorderedArrays(oldValue, newValue, segments, result, arrayRule);
+      return;
+    }
+    for (let i = 0; i < Math.max(oldValue.length, newValue.length); i++) {
+      if (i >= newValue.length) {
+        pushChange(changes, [...segments, i], 'removed', oldValue[i], null);
+      } else if (i >= oldValue.length) {
+        pushChange(changes, [...segments, i], 'added', null, newValue[i]);
+      } else {
+        diffValues(oldValue[i], newValue[i], [...segments, i], result);
+      }
+    }
+  } else if (!valuesEqual(oldValue, newValue)) {
+    const rule = ruleAt(result['rules'], segments);
+    if (rule != null && equalUnderRule(result['rules'], rule, segments, oldValue, newValue)) {
+      result['matched'].push({
+        'path': formatPath(segments),
+        'rule': {'path': rule.path, ...rule.options},
+        'old': oldValue === undefined ? null : oldValue,
+        'new': newValue === undefined ? null : newValue,
+      });
+      return;
+    }
+    const typeChanged = oldKind !== newKind && oldKind !== 'null' && newKind !== 'null';
+    pushChange(changes, segments, typeChanged ? 'type-changed' : 'updated', oldValue, newValue);
+  }
+}
+
+/**
+ * Helper for diffValues. Pushes the changes between two arrays compared without order to result.
+ * In mode 'set' an element is added or removed if no element of the other array is equal to it, and repeats of an
+ * element are reported once. In mode 'multiset' equal elements are paired off and the rest reported. In mode 'key'
+ * records with the same key are paired off in array order and compared, and the rest reported.
+ * @param {Array} oldValue - old array at segments.
+ * @param {Array} newValue - new array at segments.
+ * @param {Array} segments - path segments of the arrays.
+ * @param {Object} result - see diffValues.
+ * @param {Object} arrayRule - see arrayRuleAt in rules.js.
+ */
+const diffUnorderedArrays = (oldValue, newValue, segments, result, arrayRule) => {
+  const changes = result['changes'];
+  const keyOf = arrayRule.mode === 'key'
+    ? element => stableStringify(arrayRule.matchBy.map(path => getPath(element, path)))
+    : element => stableStringify(element);
+  const oldKeys = oldValue.map(keyOf);
+  const newKeys = newValue.map(keyOf);
+  if (arrayRule.mode === 'set') {
+    const inOld = new Set(oldKeys);
+    const inNew = new Set(newKeys);
+    // keys already reported, so repeats of an element are reported once.
+    const reported = new Set();
+    oldKeys.forEach((key, i) => {
+      if (!inNew.has(key) && !reported.has(key)) {
+        reported.add(key);
+        pushChange(changes, [...segments, i], 'removed', oldValue[i], null);
+      }
+    });
+    newKeys.forEach((key, i) => {
+      if (!inOld.has(key) && !reported.has(key)) {
+        reported.add(key);
+        pushChange(changes, [...segments, i], 'added', null, newValue[i]);
+      }
+    });
+    return;
+  }
+  // key => indices of the old elements with it in array order, and the position of the first one not paired yet.
+  const groups = new Map();
+  oldKeys.forEach((key, i) => {
+    if (!groups.has(key)) groups.set(key, {'indices': [], 'next': 0});
+    groups.get(key)['indices'].push(i);
+  });
+  const added = [];
+  newKeys.forEach((key, i) => {
+    const group = groups.get(key);
+    if (group == null || group['next'] === group['indices'].length) {
+      added.push(i);
+    } else {
+      const j = group['indices'][group['next']++];
+      if (arrayRule.mode === 'key') diffValues(oldValue[j], newValue[i], [...segments, i], result);
+    }
+  });
+  const removed = [];
+  groups.forEach((group) => {
+    for (let k = group['next']; k < group['indices'].length; k++) removed.push(group['indices'][k]);
+  });
+  removed.sort((a, b) => a - b).forEach(i => pushChange(changes, [...segments, i], 'removed', oldValue[i], null));
+  added.forEach(i => pushChange(changes, [...segments, i], 'added', null, newValue[i]));
+}
+
+/**
+ * Pushes a change to changes.
+ * @param {Object[]} changes - changes found so far.
+ * @param {Array} segments - path segments of the changed value.
+ * @param {string} kind - one of CHANGE_KINDS.
+ * @param {*} oldValue - old value, or null.
+ * @param {*} newValue - new value, or null.
+ */
+const pushChange = (changes, segments, kind, oldValue, newValue) => {
+  changes.push({
+    'path': formatPath(segments),
+    'kind': kind,
+    'old': oldValue === undefined ? null : oldValue,
+    'new': newValue === undefined ? null : newValue,
+  });
+}
+
+/**
+ * Returns the kind of a decoded value: 'null', 'bytes', 'array', 'object' (records and maps) or its typeof.
+ * @param {*} value - decoded value.
+ * @returns {string} kind of value.
+ */
+const valueKind = (value) => {
+  if (value == null) return 'null';
+  if (Buffer.isBuffer(value)) return 'bytes';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Returns true if two values which are not both records, maps or arrays are equal.
+ * @param {*} a - first value.
+ * @param {*} b - second value.
+ * @returns {boolean} true if a equals b.
+ */
+const valuesEqual = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+  // NaN is a value like any other here.
+  return a === b || (Number.isNaN(a) && Number.isNaN(b));
+}
+
+const hasOwn = (obj, name) => Object.prototype.hasOwnProperty.call(obj, name);
@@ -0,0 +1,112 @@
+const {fieldChanges} = require('./changes.js');
+
+test('nested fields are reported by path with their old and new values', () => {
+  const oldRow = {id: 1, submission: {score: 1.5, grade: 'A', comment: 'ok'}, counts: {'week.1': 2}};
+  const newRow = {id: 1, submission: {score: 2, grade: 'A', late: true}, counts: {'week.1': 3}};
+
+  expect(fieldChanges(oldRow, newRow)).toEqual([
+    {path: 'submission.score', kind: 'updated', old: 1.5, new: 2},
+    {path: 'submission.comment', kind: 'removed', old: 'ok', new: null},
+    {path: 'submission.late', kind: 'added', old: null, new: true},
+    {path: "counts['week.1']", kind: 'updated', old: 2, new: 3},
+  ]);
+});
+
+test('arrays are diffed element-wise', () => {
+  expect(fieldChanges({tags: ['a', 'b', 'c']}, {tags: ['a', 'x']})).toEqual([
+    {path: 'tags[1]', kind: 'updated', old: 'b', new: 'x'},
+    {path: 'tags[2]', kind: 'removed', old: 'c', new: null},
+  ]);
+  expect(fieldChanges({items: [{n: 1}]}, {items: [{n: 2}, {n: 3}]})).toEqual([
+    {path: 'items[0].n', kind: 'updated', old: 1, new: 2},
+    {path: 'items[1]', kind: 'added', old: null, new: {n: 3}},
+  ]);
+});
+
+test('values changing kind are type-changed, null is an update', () => {
+  expect(fieldChanges({a: 1, b: null, c: [1]}, {a: '1', b: 'x', c: {x: 1}})).toEqual([
+    {path: 'a', kind: 'type-changed', old: 1, new: '1'},
+    {path: 'b', kind: 'updated', old: null, new: 'x'},
+    {path: 'c', kind: 'type-changed', old: [1], new: {x: 1}},
+  ]);
+});
+
+test('equal rows have no changes', () => {
+  const row = () => ({id: Buffer.from([1, 2]), v: NaN, nested: {list: [{a: null}]}});
+
+  expect(fieldChanges(row(), row())).toEqual([]);
+});
+
+test('compareRows lists fields equal under a rule apart from the changes', () => {
+  const {compareRows} = require('./changes.js');
+  const {compileRules} = require('./rules.js');
+  const schema = {type: 'record', name: 'row', fields: [
+    {name: 'score', type: 'double'},
+    {name: 'name', type: 'string'},
+  ]};
+  const rules = compileRules({score: {tolerance: 0.5}}, schema);
+
+  expect(compareRows({score: 1, name: 'a'}, {score: 1.25, name: 'b'}, rules)).toEqual({
+    changes: [{path: 'name', kind: 'updated', old: 'a', new: 'b'}],
+    matched: [{path: 'score', rule: {path: 'score', tolerance: 0.5}, old: 1, new: 1.25}],
+  });
+});
+
+test('arrays with an unordered or matchBy rule report element additions and removals, not index shuffles', () => {
+  const {compareRows} = require('./changes.js');
+  const {compileRules} = require('./rules.js');
+  const schema = {type: 'record', name: 'row', fields: [
+    {name: 'tags', type: {type: 'array', items: 'string'}},
+    {name: 'sections', type: {type: 'array', items: 'long'}},
+    {name: 'assets', type: {type: 'array', items: {type: 'record', name: 'asset', fields: [
+      {name: 'id', type: 'long'},
+      {name: 'score', type: 'double'},
+    ]}}},
+  ]};
+  const rules = compileRules({
+    'tags': {unordered: 'set'},
+    'sections': {unordered: 'multiset'},
+    'assets': {matchBy: 'id', tolerance: 0.1},
+  }, schema);
+  const oldRow = {
+    tags: ['a', 'b', 'b'],
+    sections: [1, 2, 2],
+    assets: [{id: 1, score: 1}, {id: 2, score: 2}, {id: 3, score: 3}],
+  };
+  const newRow = {
+    tags: ['c', 'b', 'a'],
+    sections: [2, 1, 3],
+    assets: [{id: 3, score: 3.05}, {id: 4, score: 4}, {id: 1, score: 1.5}],
+  };
+
+  expect(compareRows(oldRow, newRow, rules).changes).toEqual([
+    {path: 'tags[0]', kind: 'added', old: null, new: 'c'},
+    {path: 'sections[2]', kind: 'removed', old: 2, new: null},
+    {path: 'sections[2]', kind: 'added', old: null, new: 3},
+    {path: 'assets[2].score', kind: 'updated', old: 1, new: 1.5},
+    {path: 'assets[1]', kind: 'removed', old: {id: 2, score: 2}, new: null},
+    {path: 'assets[1]', kind: 'added', old: null, new: {id: 4, score: 4}},
+  ]);
+  expect(compareRows(oldRow, newRow, rules).matched.map(m => m.path)).toEqual(['assets[0].score']);
+  expect(compareRows(oldRow, {...oldRow, tags: ['b', 'a']}, rules).changes).toEqual([]);
+});
+
+test('unordered arrays report repeated elements once in sets and unpaired ones in array order in multisets', () => {
+  const {compareRows} = require('./changes.js');
+  const {compileRules} = require('./rules.js');
+  const schema = {type: 'record', name: 'row', fields: [
+    {name: 'tags', type: {type: 'array', items: 'string'}},
+    {name: 'sections', type: {type: 'array', items: 'long'}},
+  ]};
+  const rules = compileRules({'tags': {unordered: 'set'}, 'sections': {unordered: 'multiset'}}, schema);
+  const oldRow = {tags: ['x', 'a', 'x'], sections: [2, 1, 2, 1, 3]};
+  const newRow = {tags: ['a', 'y', 'y'], sections: [1, 2]};
+
+  expect(compareRows(oldRow, newRow, rules).changes).toEqual([
+    {path: 'tags[0]', kind: 'removed', old: 'x', new: null},
+    {path: 'tags[1]', kind: 'added', old: null, new: 'y'},
+    {path: 'sections[2]', kind: 'removed', old: 2, new: null},
+    {path: 'sections[3]', kind: 'removed', old: 1, new: null},
+    {path: 'sections[4]', kind: 'removed', old: 3, new: null},
+  ]);
+});
@@ -0,0 +1,246 @@
+/**
+ * cli.js contains helpers shared by the commands in bin/: turning command line options into configuration and
+ * reporting errors with the exit codes in errors.js.
+ */
+
+import fs from 'fs';
+import 'colors';
+
+import {setConfig} from './config.js';
+import {AvroDiffError, FileNotFoundError, SchemaParseError, EXIT_CODES} from './errors.js';
+import {OUTPUT_FORMATS} from './report.js';
+import {checkThresholds, printViolations} from './thresholds.js';
+import {parseRelationship} from './integrity.js';
+import {COMPATIBILITY_MODES} from './compatibility.js';
+
+/**
+ * Adds the configuration options shared by the diff commands to a commander command.
+ * @param {Command} command - commander command to add options to.
+ * @returns {Command} command, for chaining.
+ */
+export const addConfigOptions = (command) => {
+  return command
+    .option('-c, --config <file>', 'JSON file with configuration options, see src/config.js')
+    .option('-k, --keep <fields>', 'comma separated list of fields to decode, all others are dropped')
+    .option('-i, --ignore <fields>', 'comma separated list of fields to drop')
+    .option('-s, --schema <file>', '.avsc file with the reader schema to use instead of the schemas in the files');
+}
+
+/**
+ * Adds the --format option of the diff commands to a commander command, see report.js.
+ * @param {Command} command - commander command to add the option to.
+ * @returns {Command} command, for chaining.
+ */
+export const addFormatOption = (command) => {
+  return command.option('-f, --format <format>', `output format: ${OUTPUT_FORMATS.join(', ')}`, 'text');
+}
+
+/**
+ * Adds the options of the checks which fail a diff to a commander command, see thresholds.js.
+ * @param {Command} command - commander command to add the options to.
+ * @param {string[]} categories - categories of rows the command's diff has.
+ * @returns {Command} command, for chaining.
+ */
+export const addCheckOptions = (command, categories) => {
+  command.option('--fail-on <categories>', `exit with code 1 if there are rows in any of: ${categories.join(', ')}`);
+  categories.forEach((category) => {
+    command.option(`--max-${category} <limit>`, `exit with code 1 if more rows are ${category}, e.g. 10 or 0.5%`);
+  });
+  return command;
+}
+
+/**
+ * Returns format if it is one of OUTPUT_FORMATS, so a typo fails before any file is read.
+ * @param {string} format - value of the --format option.
+ * @returns {string} format.
+ */
+export const checkFormat = (format) => {
+  if (OUTPUT_FORMATS.indexOf(format) === -1) {
+    throw new AvroDiffError(`unknown format '${format}', expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Returns mode if it is one of COMPATIBILITY_MODES, so a typo fails before any file is read.
+ * @param {string} mode - value of the --mode option of schema_compat.
+ * @returns {string} mode.
+ */
+export const checkMode = (mode) => {
+  if (COMPATIBILITY_MODES.indexOf(mode) === -1) {
+    throw new AvroDiffError(`unknown compatibility mode '${mode}', expected one of ${COMPATIBILITY_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Builds a config object from command line options. Values from the --config file are applied first and
+ * individual flags override them. Options which were not given are left out so defaults are kept.
+ * @param {Object} opts - options parsed by commander, see addConfigOptions.
+ * @returns {Object} config object to pass to setConfig.
+ */
+export const configFromOptions = (opts) => {
+  const config = opts.config != null ?
+    readJsonFile(opts.config, err => new AvroDiffError(`${opts.config}: ${err.message}`, {file: opts.config})) : {};
+  if (opts.keep != null) config.keepFields = splitList(opts.keep);
+  if (opts.ignore != null) config.ignoreFields = splitList(opts.ignore);
+  if (opts.schema != null) config.schema = readJsonFile(opts.schema, err => new SchemaParseError(opts.schema, err));
+  if (opts.duplicates != null) config.duplicateKeys = opts.duplicates;
+  if (opts.memoryLimit != null) config.memoryLimit = parseMegabytes(opts.memoryLimit);
+  if (opts.tempDir != null) config.tempDir = opts.tempDir;
+  if (opts.vennMode != null) config.vennMode = opts.vennMode;
+  if (opts.only != null) config.only = splitList(opts.only);
+  if (opts.limit != null) config.limit = parseCount(opts.limit, 'limit');
+  if (opts.sample != null) config.sample = parseCount(opts.sample, 'sample');
+  if (opts.seed != null) config.sampleSeed = parseCount(opts.seed, 'seed');
+  if (opts.rules != null) {
+    const parseError = err => new AvroDiffError(`${opts.rules}: ${err.message}`, {file: opts.rules});
+    config.validationRules = readJsonFile(opts.rules, parseError);
+  }
+  if (opts.failOn != null) config.failOn = splitList(opts.failOn);
+  if (opts.maxAdded != null) config.maxAdded = opts.maxAdded;
+  if (opts.maxRemoved != null) config.maxRemoved = opts.maxRemoved;
+  if (opts.maxChanged != null) config.maxChanged = opts.maxChanged;
+  // --relation values are of the form <child>.<field>=<parent>.<key>, see parseRelationship in integrity.js.
+  if (opts.relation != null && opts.relation.length > 0) config.relationships = opts.relation.map(parseRelationship);
+  if (opts.rename != null && opts.rename.length > 0) {
+    config.renames = opts.rename.reduce(parseRename, {...config.renames});
+  }
+  if (opts.tableKey != null && opts.tableKey.length > 0) {
+    config.tableKeys = opts.tableKey.reduce(parseTableKey, {...config.tableKeys});
+  }
+  return config;
+}
+
+/**
+ * Applies command line options to CONFIG through setConfig.
+ * @param {Object} opts - options parsed by commander, see addConfigOptions.
+ */
+export const applyConfigOptions = (opts) => {
+  setConfig(configFromOptions(opts));
+}
+
+/**
+ * Collects the values of a repeatable option, e.g. --table-key. They are parsed by configFromOptions, inside
+ * runCommand, so an invalid value is reported like any other error instead of failing while commander parses.
+ * @param {string} value - one value of the option.
+ * @param {string[]} values - values collected so far.
+ * @returns {string[]} values with value added.
+ */
+export const collectValues = (value, values) => {
+  return [...values, value];
+}
+
+/**
+ * Splits a comma separated command line value into an array, dropping empty entries.
+ * @param {string} value - comma separated list.
+ * @returns {string[]} entries of value.
+ */
+export const splitList = (value) => {
+  return value.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+}
+
+/**
+ * Adds a --table-key value of the form <table>=<fields> to a map from table name to key fields.
+ * @param {Object} keys - keys parsed so far.
+ * @param {string} value - one --table-key value, e.g. 'students=studentId,courseId'.
+ * @returns {Object} keys with the table of value added.
+ */
+const parseTableKey = (keys, value) => {
+  const idx = value.indexOf('=');
+  if (idx <= 0) throw new AvroDiffError(`invalid table key '${value}', expected <table>=<fields>`);
+  return {...keys, [value.slice(0, idx)]: splitList(value.slice(idx + 1))};
+}
+
+/**
+ * Adds a --rename value of the form <path>=<name> to a map from field path in the old file to new field name, see
+ * renames.js.
+ * @param {Object} renames - renames parsed so far.
+ * @param {string} value - one --rename value, e.g. 'address.zip=postalCode'.
+ * @returns {Object} renames with the field of value added.
+ */
+const parseRename = (renames, value) => {
+  const idx = value.indexOf('=');
+  if (idx <= 0) throw new AvroDiffError(`invalid rename '${value}', expected <path>=<name>`);
+  return {...renames, [value.slice(0, idx).trim()]: value.slice(idx + 1).trim()};
+}
+
+/**
+ * Parses a positive number of megabytes given on the command line.
+ * @param {string} value - command line value.
+ * @returns {number} megabytes.
+ */
+const parseMegabytes = (value) => {
+  const megabytes = Number(value);
+  if (!(megabytes > 0)) throw new AvroDiffError(`invalid memory limit '${value}', expected a number of megabytes`);
+  return megabytes;
+}
+
+/**
+ * Parses a whole number >= 0 given on the command line.
+ * @param {string} value - command line value.
+ * @param {string} name - name of the option, for messages.
+ * @returns {number} the number.
+ */
+const parseCount = (value, name) => {
+  const count = Number(value);
+  if (!(Number.isInteger(count) && count >= 0)) {
+    throw new AvroDiffError(`invalid ${name} '${value}', expected a whole number >= 0`);
+  }
+  return count;
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} file - filepath to a JSON file.
+ * @param {function} parseError - returns the error to throw, given the SyntaxError, if file is not valid JSON.
+ * @returns {Object} parsed contents of file.
+ */
+const readJsonFile = (file, parseError) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new FileNotFoundError(file, err);
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw parseError(err);
+  }
+}
+
+/**
+ * Checks the summary of a diff against the checks of thresholds.js, printing the failed checks and setting the exit
+ * code to EXIT_CODES.checkFailed if any fails.
+ * @param {Object} summary - summary record of the diff, see report.js.
+ * @param {Object} thresholds - checks returned by diffThresholds.
+ */
+export const applyThresholds = (summary, thresholds) => {
+  const result = checkThresholds(summary, thresholds);
+  if (!result['passed']) {
+    printViolations(result);
+    process.exitCode = EXIT_CODES['checkFailed'];
+  }
+}
+
+/**
+ * Wraps a command's action so that errors are printed as a one line message and mapped to the exit codes in
+ * errors.js. Errors not raised by Avro Diff itself are printed with their stack and exit with EXIT_CODES.error.
+ * @param {function} action - async action taking the command's arguments.
+ * @returns {function} action to pass to commander.
+ */
+export const runCommand = action => async (...args) => {
+  try {
+    await action(...args);
+  } catch (err) {
+    if (err instanceof AvroDiffError) {
+      console.error(`error: ${err.message}`.red);
+      process.exitCode = err.exitCode;
+    } else {
+      console.error(`unexpected error: ${err.stack}`.red);
+      process.exitCode = EXIT_CODES['error'];
+    }
+  }
+}
@@ -0,0 +1,84 @@
+const {configFromOptions, collectValues, checkMode} = require('./cli.js');
+const {AvroDiffError} = require('./errors.js');
+
+// the options commander passes to an action after collecting the repeated values of option.
+const collected = (option, values) => ({[option]: values.reduce((all, value) => collectValues(value, all), [])});
+
+test('repeated table keys are parsed into tableKeys', () => {
+  const opts = collected('tableKey', ['students=studentId', 'grades=studentId, courseId']);
+
+  expect(configFromOptions(opts).tableKeys).toEqual({students: ['studentId'], grades: ['studentId', 'courseId']});
+  expect(configFromOptions({tableKey: []}).tableKeys).toBeUndefined();
+});
+
+test('invalid repeated values are rejected when the config is built, not while collecting them', () => {
+  const opts = collected('tableKey', ['students']);
+
+  expect(() => configFromOptions(opts)).toThrow(AvroDiffError);
+  expect(() => configFromOptions(opts)).toThrow("invalid table key 'students', expected <table>=<fields>");
+});
+
+test('repeated relationships are parsed into relationships', () => {
+  const opts = collected('relation', ['grades.studentId=students.studentId']);
+
+  expect(configFromOptions(opts).relationships).toEqual([
+    {child: 'grades', field: ['studentId'], parent: 'students', key: ['studentId']},
+  ]);
+  expect(() => configFromOptions(collected('relation', ['bad']))).toThrow("invalid relationship 'bad'");
+});
+
+test('repeated renames are parsed into renames', () => {
+  const opts = collected('rename', ['email=emailAddress', 'address.zip = postalCode']);
+
+  expect(configFromOptions(opts).renames).toEqual({'email': 'emailAddress', 'address.zip': 'postalCode'});
+  expect(() => configFromOptions(collected('rename', ['email']))).toThrow("invalid rename 'email'");
+});
+
+test('compatibility modes are checked before any file is read', () => {
+  expect(checkMode('backward')).toBe('backward');
+  expect(() => checkMode('bogus')).toThrow(AvroDiffError);
+  expect(() => checkMode('bogus')).toThrow(
+    "unknown compatibility mode 'bogus', expected one of backward, forward, full");
+});
+
+describe('config options', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const {keyDiff} = require('./index.js');
+  const {setConfig} = require('./config.js');
+  const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+  const schema = {type: 'record', name: 'row', fields: [
+    {name: 'id', type: 'int'}, {name: 'name', type: 'string'}, {name: 'note', type: 'string'},
+  ]};
+  let dir;
+
+  beforeAll(() => {
+    dir = makeTempDir('cli');
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({keepFields: ['id'], ignoreFields: ['note']}));
+  });
+
+  afterAll(() => {
+    setConfig({schema: null});
+    removeDir(dir);
+  });
+
+  test('--keep and --ignore override the config file', () => {
+    const config = path.join(dir, 'config.json');
+
+    expect(configFromOptions({config})).toMatchObject({keepFields: ['id'], ignoreFields: ['note']});
+    expect(configFromOptions({config, keep: 'id,name', ignore: 'name'})).toMatchObject({
+      keepFields: ['id', 'name'], ignoreFields: ['name'],
+    });
+  });
+
+  test('--schema is the reader schema of the files', async () => {
+    const file = await writeAvroFile(path.join(dir, 'rows.avro'), schema, [{id: 1, name: 'a', note: 'x'}]);
+    const reader = {...schema, fields: schema.fields.slice(0, 2)};
+    fs.writeFileSync(path.join(dir, 'reader.avsc'), JSON.stringify(reader));
+    setConfig(configFromOptions({schema: path.join(dir, 'reader.avsc')}));
+
+    const diff = await keyDiff(file, file, ['id']);
+    expect(diff.unchanged.map(entry => ({...entry.data}))).toEqual([{id: 1, name: 'a'}]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * codecs.js contains the block decompression codecs passed to avsc's file decoder. avsc reads 'avro.codec' from each
+ * file's header and picks the matching codec, so files with different codecs can be diffed against each other.
+ */
+
+import zlib from 'zlib';
+import snappy from 'snappy';
+
+// Avro appends a 4 byte big endian CRC32 of the uncompressed data to every snappy block.
+const SNAPPY_CHECKSUM_BYTES = 4;
+
+/**
+ * Returns the given package, or null if it is not installed. Used for codecs whose libraries are optional.
+ * @param {string} name - package name.
+ * @returns {Object} the package's exports or null.
+ */
+const optionalRequire = (name) => {
+  try {
+    // eslint-disable-next-line global-require
+    return require(name);
+  } catch (err) {
+    return null;
+  }
+}
+
+// table for the CRC32 (IEEE) checksum used by Avro's snappy codec.
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC32 checksum of buf.
+ * @param {Buffer} buf - data to checksum.
+ * @returns {number} unsigned 32 bit checksum.
+ */
+export const crc32 = (buf) => {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Snappy codec: decompresses the block and verifies its trailing CRC32 checksum.
+ * @param {Buffer} buf - compressed block followed by the checksum of the uncompressed data.
+ * @param {function} cb - node style callback receiving the uncompressed block.
+ */
+// eslint-disable-next-line promise/prefer-await-to-callbacks
+const snappyCodec = (buf, cb) => {
+  const checksum = buf.readUInt32BE(buf.length - SNAPPY_CHECKSUM_BYTES);
+  // eslint-disable-next-line promise/prefer-await-to-callbacks
+  snappy.uncompress(buf.slice(0, buf.length - SNAPPY_CHECKSUM_BYTES), (err, data) => {
+    const error = !err && crc32(data) !== checksum
+      ? new Error(`snappy block checksum mismatch: expected ${checksum}, got ${crc32(data)}`) : err;
+    // eslint-disable-next-line promise/prefer-await-to-callbacks
+    cb(error || null, error ? undefined : data);
+  });
+}
+
+/**
+ * Returns a zstandard codec using zlib when this version of node ships zstd, falling back to the optional
+ * @mongodb-js/zstd package. Returns null if neither is available.
+ * @returns {function} zstandard codec or null.
+ */
+const zstandardCodec = () => {
+  if (typeof zlib.zstdDecompress === 'function') {
+    // eslint-disable-next-line promise/prefer-await-to-callbacks
+    return (buf, cb) => zlib.zstdDecompress(buf, cb);
+  }
+  const zstd = optionalRequire('@mongodb-js/zstd');
+  if (zstd == null) return null;
+  // eslint-disable-next-line promise/prefer-await-to-callbacks
+  return (buf, cb) => zstd.decompress(buf).then(data => cb(null, data), cb);
+}
+
+/**
+ * Returns a bzip2 codec using the optional seek-bzip package, or null if it is not installed.
+ * @returns {function} bzip2 codec or null.
+ */
+const bzip2Codec = () => {
+  const bzip = optionalRequire('seek-bzip');
+  if (bzip == null) return null;
+  // eslint-disable-next-line promise/prefer-await-to-callbacks
+  return (buf, cb) => {
+    let data;
+    let error = null;
+    try {
+      data = bzip.decode(buf);
+    } catch (err) {
+      error = err;
+    }
+    // eslint-disable-next-line promise/prefer-await-to-callbacks
+    cb(error, data);
+  };
+}
+
+/**
+ * Returns an xz codec using the optional lzma-native package, or null if it is not installed.
+ * @returns {function} xz codec or null.
+ */
+const xzCodec = () => {
+  const lzma = optionalRequire('lzma-native');
+  if (lzma == null) return null;
+  // eslint-disable-next-line promise/prefer-await-to-callbacks
+  return (buf, cb) => lzma.decompress(buf).then(data => cb(null, data), cb);
+}
+
+/**
+ * Returns the codecs to be passed as field in opts into createFileDecoder from avsc: null, deflate and snappy,
+ * plus zstandard, bzip2 and xz when their libraries are available.
+ * See https://github.com/mtth/avsc/wiki/API#class-blockdecoderopts
+ * @returns {Object} map from codec name to decompression function.
+ */
+const makeCodecs = () => {
+  const codecs = {
+    'null': (buf, cb) => cb(null, buf),
+    'deflate': (buf, cb) => zlib.inflateRaw(buf, cb),
+    'snappy': snappyCodec,
+  };
+  const optional = {
+    'zstandard': zstandardCodec(),
+    'bzip2': bzip2Codec(),
+    'xz': xzCodec(),
+  };
+  Object.keys(optional).forEach((name) => {
+    if (optional[name] != null) codecs[name] = optional[name];
+  });
+  return codecs;
+}
+
+export const CODECS = makeCodecs();
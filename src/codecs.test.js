@@ -0,0 +1,24 @@
+const {crc32, CODECS} = require('./codecs.js');
+const {keyDiff} = require('./index.js');
+const {setConfig} = require('./config.js');
+
+test('crc32 matches the standard check value', () => {
+  expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+});
+
+test('snappy blocks with a bad checksum are rejected', (done) => {
+  const block = Buffer.from([0x03, 0x08, 0x61, 0x62, 0x63, 0x00, 0x00, 0x00, 0x00]);
+  CODECS.snappy(block, (err) => {
+    expect(err.message).toMatch(/checksum mismatch/);
+    done();
+  });
+});
+
+test('files with different codecs can be diffed', async () => {
+  // userdata1 is snappy compressed, userdata4 uses the null codec.
+  setConfig({keepFields: ['id', 'first_name'], duplicateKeys: 'first'});
+  const diff = await keyDiff('avro/sample_avro/userdata1.avro', 'avro/sample_avro/userdata4.avro', ['id']);
+
+  expect(diff.changed.length + diff.unchanged.length).toBeGreaterThan(0);
+  expect(diff.duplicates.new).toEqual([{id: [10], count: 4}]);
+});
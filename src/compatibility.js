@@ -0,0 +1,179 @@
+/**
+ * compatibility.js contains functions to check whether data written with one .avro file's schema can be read with
+ * the other's, following Avro schema resolution rules (checkCompatibility).
+ */
+
+import {inspect} from 'util';
+import 'colors';
+
+import {readFileSchema} from './index.js';
+import {AvroDiffError} from './errors.js';
+import {normalizeSchema, describeType, shortName, joinPath} from './schema.js';
+
+// writer type => reader types it may be promoted to. See https://avro.apache.org/docs/current/spec.html#Schema+Resolution
+const PROMOTIONS = {
+  'int': ['long', 'float', 'double'],
+  'long': ['float', 'double'],
+  'float': ['double'],
+  'string': ['bytes'],
+  'bytes': ['string'],
+};
+
+export const COMPATIBILITY_MODES = ['backward', 'forward', 'full'];
+
+/**
+ * Checks whether the schemas embedded in two Avro files are compatible.
+ * - backward: a reader using the new schema can read data written with the old schema.
+ * - forward: a reader using the old schema can read data written with the new schema.
+ * - full: both backward and forward.
+ * @param {string} oldFile - filepath to old .avro file.
+ * @param {string} newFile - filepath to new .avro file.
+ * @param {string} mode - one of 'backward', 'forward', 'full'.
+ * @returns {Promise} Promise resolving to an object in the format returned by compatibilityHelper.
+ */
+export const checkCompatibility = async (oldFile, newFile, mode = 'full') => {
+  const oldSchema = await readFileSchema(oldFile);
+  const newSchema = await readFileSchema(newFile);
+  return compatibilityHelper(oldSchema, newSchema, mode);
+}
+
+/**
+ * Checks whether two Avro schemas are compatible in the given mode, see checkCompatibility.
+ * Logical types are ignored: resolution is done on the underlying types, as Avro readers do.
+ * @param {Object} oldSchema - old Avro schema as parsed JSON.
+ * @param {Object} newSchema - new Avro schema as parsed JSON.
+ * @param {string} mode - one of 'backward', 'forward', 'full'.
+ * @returns {Object} Returns an object with schema {mode:string, compatible:boolean, issues:[Array]} where the elements
+ *                    of issues are objects with schema {direction:string, path:string, message:string} and direction
+ *                    is 'backward' or 'forward'.
+ */
+export const compatibilityHelper = (oldSchema, newSchema, mode = 'full') => {
+  if (COMPATIBILITY_MODES.indexOf(mode) === -1) {
+    throw new AvroDiffError(`unknown compatibility mode '${mode}', expected one of ${COMPATIBILITY_MODES.join(', ')}`);
+  }
+  const oldType = normalizeSchema(oldSchema);
+  const newType = normalizeSchema(newSchema);
+  const issues = [];
+  if (mode !== 'forward') {
+    readerIssues(newType, oldType, '', new Set()).forEach(issue => issues.push({direction: 'backward', ...issue}));
+  }
+  if (mode !== 'backward') {
+    readerIssues(oldType, newType, '', new Set()).forEach(issue => issues.push({direction: 'forward', ...issue}));
+  }
+  return {
+    mode,
+    compatible: issues.length === 0,
+    issues,
+  };
+}
+
+/**
+ * Prints an object outputted from checkCompatibility to console.
+ * @param {Object} result - an object outputted from checkCompatibility
+ */
+export const printCompatibility = (result) => {
+  if (result.compatible) {
+    console.log(`schemas are compatible (${result.mode})`.green);
+    return;
+  }
+  console.log(inspect({ "issues" : result.issues}, { depth: 'Infinity' }).red);
+  console.log(`schemas are not compatible (${result.mode}): ${result.issues.length} issues`.red);
+}
+
+/* <=== Helper functions for schema resolution ===> */
+
+/**
+ * Returns the reasons a reader using readerType cannot read data written with writerType.
+ * @param {Object} readerType - normalized reader type.
+ * @param {Object} writerType - normalized writer type.
+ * @param {string} path - path of the field holding the types, '' for the top level.
+ * @param {Set} seen - pairs of record names already resolved, so recursive types terminate.
+ * @returns {Object[]} array of objects with schema {path:string, message:string}, empty if compatible.
+ */
+const readerIssues = (readerType, writerType, path, seen) => {
+  // every branch the writer may have used must be readable.
+  if (writerType.type === 'union') {
+    return writerType.branches.reduce((issues, branch) => issues.concat(readerIssues(readerType, branch, path, seen)), []);
+  }
+  // the first reader branch matching the writer type is used.
+  if (readerType.type === 'union') {
+    const branch = readerType.branches.find(b => matches(b, writerType));
+    if (branch == null) {
+      return [issue(path, `no branch of reader ${describeType(readerType)} matches writer ${describeType(writerType)}`)];
+    }
+    return readerIssues(branch, writerType, path, seen);
+  }
+  if (!matches(readerType, writerType)) {
+    return [issue(path, `reader ${describeType(readerType)} cannot read writer ${describeType(writerType)}`)];
+  }
+  switch (readerType.type) {
+    case 'record':
+      return recordIssues(readerType, writerType, path, seen);
+    case 'enum': {
+      const missing = writerType.symbols.filter(symbol => readerType.symbols.indexOf(symbol) === -1);
+      if (missing.length === 0 || readerType.default != null) return [];
+      return [issue(path, `reader enum ${readerType.name} is missing symbols ${missing.join(', ')} and has no default`)];
+    }
+    case 'fixed':
+      if (readerType.size === writerType.size) return [];
+      return [issue(path, `reader fixed size ${readerType.size} differs from writer size ${writerType.size}`)];
+    case 'array':
+      return readerIssues(readerType.items, writerType.items, `${path}[*]`, seen);
+    case 'map':
+      return readerIssues(readerType.values, writerType.values, joinPath(path, '*'), seen);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the reasons a reader record cannot read a writer record: reader fields without a default which are
+ * missing from the writer, and fields whose types do not resolve. Writer fields unknown to the reader are skipped.
+ * @param {Object} readerType - normalized reader record.
+ * @param {Object} writerType - normalized writer record.
+ * @param {string} path - path of the field holding the records.
+ * @param {Set} seen - pairs of record names already resolved.
+ * @returns {Object[]} array of objects with schema {path:string, message:string}.
+ */
+const recordIssues = (readerType, writerType, path, seen) => {
+  const pairKey = `${readerType.name}|${writerType.name}`;
+  if (seen.has(pairKey)) return [];
+  seen.add(pairKey);
+
+  return readerType.fields.reduce((issues, readerField) => {
+    const fieldPath = joinPath(path, readerField.name);
+    const writerField = writerType.fields.find(field => field.name === readerField.name) ||
+      writerType.fields.find(field => readerField.aliases.indexOf(field.name) !== -1);
+    if (writerField == null) {
+      if (readerField.hasDefault) return issues;
+      return issues.concat([issue(fieldPath, 'reader field has no default and is missing from writer')]);
+    }
+    return issues.concat(readerIssues(readerField.type, writerField.type, fieldPath, seen));
+  }, []);
+}
+
+/**
+ * Returns true if a reader type matches a writer type (neither being a union): the same primitive or a
+ * permitted promotion, or the same complex type where named types must match by unqualified name or reader alias.
+ * @param {Object} readerType - normalized reader type.
+ * @param {Object} writerType - normalized writer type.
+ * @returns {boolean} true if readerType may be used to read writerType.
+ */
+const matches = (readerType, writerType) => {
+  if (readerType.type !== writerType.type) {
+    return (PROMOTIONS[writerType.type] || []).indexOf(readerType.type) !== -1;
+  }
+  if (readerType.name == null) return true;
+  return shortName(readerType.name) === shortName(writerType.name) ||
+    (readerType.aliases || []).some(alias => alias === writerType.name || shortName(alias) === shortName(writerType.name));
+}
+
+/**
+ * Returns an issue object for readerIssues.
+ * @param {string} path - path of the offending field, '' for the top level.
+ * @param {string} message - description of the incompatibility.
+ * @returns {Object} object with schema {path:string, message:string}.
+ */
+const issue = (path, message) => ({path, message});
+
+/* <=== End of helper functions for schema resolution ===> */
@@ -0,0 +1,48 @@
+const {compatibilityHelper} = require('./compatibility.js');
+
+const record = (fields) => ({type: 'record', name: 'row', namespace: 'com.example', fields});
+
+test('adding a field with a default is fully compatible', () => {
+  const oldSchema = record([{name: 'id', type: 'long'}]);
+  const newSchema = record([{name: 'id', type: 'long'}, {name: 'note', type: ['null', 'string'], default: null}]);
+
+  expect(compatibilityHelper(oldSchema, newSchema, 'full').compatible).toBe(true);
+});
+
+test('adding a field without a default is only forward compatible', () => {
+  const oldSchema = record([{name: 'id', type: 'long'}]);
+  const newSchema = record([{name: 'id', type: 'long'}, {name: 'note', type: 'string'}]);
+
+  expect(compatibilityHelper(oldSchema, newSchema, 'forward').compatible).toBe(true);
+  expect(compatibilityHelper(oldSchema, newSchema, 'backward').issues).toEqual([
+    {direction: 'backward', path: 'note', message: 'reader field has no default and is missing from writer'},
+  ]);
+});
+
+test('promotions only work in one direction', () => {
+  const oldSchema = record([{name: 'id', type: 'int'}]);
+  const newSchema = record([{name: 'id', type: 'long'}]);
+
+  expect(compatibilityHelper(oldSchema, newSchema, 'backward').compatible).toBe(true);
+  const result = compatibilityHelper(oldSchema, newSchema, 'forward');
+  expect(result.compatible).toBe(false);
+  expect(result.issues[0].path).toBe('id');
+});
+
+test('union branches must be readable', () => {
+  const oldSchema = record([{name: 'score', type: ['null', 'double']}]);
+  const newSchema = record([{name: 'score', type: ['null', 'double', 'string']}]);
+
+  expect(compatibilityHelper(oldSchema, newSchema, 'backward').compatible).toBe(true);
+  expect(compatibilityHelper(oldSchema, newSchema, 'forward').issues).toEqual([
+    {direction: 'forward', path: 'score', message: 'no branch of reader union[null, double] matches writer string'},
+  ]);
+});
+
+test('aliases resolve renamed fields', () => {
+  const oldSchema = record([{name: 'first', type: 'string'}]);
+  const newSchema = record([{name: 'firstName', type: 'string', aliases: ['first']}]);
+
+  expect(compatibilityHelper(oldSchema, newSchema, 'backward').compatible).toBe(true);
+  expect(compatibilityHelper(oldSchema, newSchema, 'forward').compatible).toBe(false);
+});
@@ -1,8 +1,24 @@
 export const CONFIG = {
     "schema": null,
-    "codecs": "snappy",
-    "keepFields": ['id', 'first_name', 'last_name', 'email'],
+    "keepFields": null,
     "ignoreFields": null,
+    "duplicateKeys": "fail",
+    "memoryLimit": null,
+    "tempDir": null,
+    "vennMode": "rows",
+    "tableKeys": null,
+    "compareRules": null,
+    "renames": null,
+    "only": null,
+    "limit": null,
+    "sample": null,
+    "sampleSeed": 0,
+    "failOn": null,
+    "maxAdded": null,
+    "maxRemoved": null,
+    "maxChanged": null,
+    "validationRules": null,
+    "relationships": null,
 };
 
 export const setConfig = (newConfig) => {
@@ -1,25 +1,252 @@
-import {keyDiff, printKeyDiff} from './index.js';
+/**
+ * dataTest.js contains helpers for data tests: checks of .avro files which resolve to a result instead of printing,
+ * and Jest matchers built on them, so a data test does not have to walk the diff output itself:
+ *
+ *   expect.extend(avroMatchers);
+ *   await expect(newFile).toMatchAvro(oldFile, {key: ['id']});
+ *   await expect(newFile).toHaveUniqueKey(['id']);
+ *   await expect(newFile).toHaveNoRemovedRows(oldFile, {key: ['id']});
+ *
+ * The checks resolve to objects with schema {passed:boolean, count:number, rows:[Array]} where count is the number of
+ * offending rows (or keys) and rows lists the first of them. Failure messages list the first MATCHER_ROW_LIMIT of them,
+ * or as many as the rows option of a matcher asks for. Files are read with CONFIG, see config.js.
+ */
+
 import {inspect} from 'util';
+import stableStringify from 'json-stable-stringify';
+
+import {keyDiff, printKeyDiff, streamKeyDiff, readInputSchemas, forEachRow, constructKey} from './index.js';
+import {AvroDiffError, DuplicateKeyError} from './errors.js';
+import {toJson} from './report.js';
+
+// offending rows listed by a failure message unless a matcher is given the rows option.
+export const MATCHER_ROW_LIMIT = 5;
 
 export const keyCollisionTest = async (oldFile, newFile, key) => {
-  const diff = await keyDiff(oldFile, newFile, key);
+  let diff;
+  try {
+    diff = await keyDiff(oldFile, newFile, key);
+  } catch (err) {
+    if (!(err instanceof DuplicateKeyError)) throw err;
+    // keyDiff reports every duplicate key of both files before diffing.
+    err.duplicates.old.forEach(({id}) => console.log(`Error: ${inspect(id)} is a duplicate key in ${oldFile}`));
+    err.duplicates.new.forEach(({id}) => console.log(`Error: ${inspect(id)} is a duplicate key in ${newFile}`));
+    return;
+  }
   printKeyDiff(diff);
+}
+
+/**
+ * Checks that newFile holds the same rows as oldFile: no row is removed, added or changed when diffed on key.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts, see keyDiff.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key - fields comprising a key to diff oldFile and newFile.
+ * @param {number} limit - number of offending rows to keep. Defaults to MATCHER_ROW_LIMIT.
+ * @returns {Promise} Promise which resolves to a check result, see the top of this file, with counts of every
+ *                    category (see streamKeyDiff) and rows holding objects with schema {type:string, id:[Array],
+ *                    entry:{Object}}, entry as in keyDiffHelper. Rejects like keyDiff, e.g. with a DuplicateKeyError.
+ */
+export const checkMatch = (oldFile, newFile, key, limit = MATCHER_ROW_LIMIT) => {
+  return checkDiff(oldFile, newFile, key, ['removed', 'added', 'changed'], limit, 'checkMatch');
+}
+
+/**
+ * Checks that no row of oldFile is missing from newFile when diffed on key. Added and changed rows pass.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts, see keyDiff.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key - fields comprising a key to diff oldFile and newFile.
+ * @param {number} limit - number of offending rows to keep. Defaults to MATCHER_ROW_LIMIT.
+ * @returns {Promise} Promise which resolves to a check result as for checkMatch.
+ */
+export const checkNoRemovedRows = (oldFile, newFile, key, limit = MATCHER_ROW_LIMIT) => {
+  return checkDiff(oldFile, newFile, key, ['removed'], limit, 'checkNoRemovedRows');
+}
+
+/**
+ * Checks that no two rows of file share a key. Rows are read one at a time, keeping the first row of each key.
+ * @param {string|string[]} file - filepath to .avro file, or glob or array of its parts, see inputs.js.
+ * @param {string[]} key - fields comprising the key.
+ * @param {number} limit - number of duplicate keys to keep. Defaults to MATCHER_ROW_LIMIT.
+ * @returns {Promise} Promise which resolves to a check result, see the top of this file, where count is the number of
+ *                    duplicate keys, total the number of rows and rows holds objects with schema {id:[Array],
+ *                    count:number, row:{Object}}: a duplicate key in file order, its number of rows and its first row.
+ */
+export const checkUniqueKey = async (file, key, limit = MATCHER_ROW_LIMIT) => {
+  const fields = keyFields(key, 'checkUniqueKey');
+  const groups = new Map();
+  let total = 0;
+  const [schema] = await readInputSchemas(file, file, fields);
+  await forEachRow(file, schema, (row) => {
+    total++;
+    const id = constructKey(row, fields);
+    const str = stableStringify(id);
+    if (groups.has(str)) {
+      groups.get(str)['count']++;
+    } else {
+      groups.set(str, {'id': id, 'count': 1, 'row': row});
+    }
+  });
+  const duplicates = [...groups.values()].filter(group => group['count'] > 1);
+  return {
+    'passed': duplicates.length === 0,
+    'count': duplicates.length,
+    'total': total,
+    'rows': duplicates.slice(0, limit),
+  };
+}
+
+/**
+ * Jest matchers for data tests, to be registered with expect.extend(avroMatchers). The received value is a filepath,
+ * glob or array of parts, and each matcher is async so its expect must be awaited.
+ * - toMatchAvro(oldFile, {key, rows}): passes if the received file matches oldFile, see checkMatch.
+ * - toHaveNoRemovedRows(oldFile, {key, rows}): passes if no row of oldFile is missing, see checkNoRemovedRows.
+ * - toHaveUniqueKey(key, {rows}): passes if no two rows share a key, see checkUniqueKey.
+ * key is an array of fields or a comma separated string, rows the number of offending rows failure messages list.
+ */
+export const avroMatchers = {
+  async toMatchAvro(received, oldFile, options = {}) {
+    const key = keyFields(options.key, 'toMatchAvro');
+    const result = await checkMatch(oldFile, received, key, rowLimit(options));
+    const counts = result['counts'];
+    return {
+      'pass': result['passed'],
+      'message': () => (result['passed']
+        ? `expected ${name(received)} not to match ${name(oldFile)} on key ${inspect(key)}, but all ` +
+          `${counts['unchanged']} rows are unchanged`
+        : `expected ${name(received)} to match ${name(oldFile)} on key ${inspect(key)}, found ` +
+          `${counts['removed']} removed, ${counts['added']} added and ${counts['changed']} changed rows` +
+          rowList(result, describeEntry)),
+    };
+  },
+
+  async toHaveNoRemovedRows(received, oldFile, options = {}) {
+    const key = keyFields(options.key, 'toHaveNoRemovedRows');
+    const result = await checkNoRemovedRows(oldFile, received, key, rowLimit(options));
+    return {
+      'pass': result['passed'],
+      'message': () => (result['passed']
+        ? `expected ${name(received)} to be missing rows of ${name(oldFile)} on key ${inspect(key)}, but none are`
+        : `expected ${name(received)} to have every row of ${name(oldFile)} on key ${inspect(key)}, ` +
+          `${result['count']} rows are removed` + rowList(result, describeEntry)),
+    };
+  },
+
+  async toHaveUniqueKey(received, key, options = {}) {
+    const fields = keyFields(key, 'toHaveUniqueKey');
+    const result = await checkUniqueKey(received, fields, rowLimit(options));
+    return {
+      'pass': result['passed'],
+      'message': () => (result['passed']
+        ? `expected ${name(received)} to have duplicate keys ${inspect(fields)}, but all ${result['total']} rows ` +
+          'have unique keys'
+        : `expected ${name(received)} to have unique keys ${inspect(fields)}, found ${result['count']} ` +
+          'duplicate keys' + rowList(result, describeDuplicate)),
+    };
+  },
+};
 
-  // set containing ids
-  const idSet = new Set();
-
-  // we assume id's don't contain commas then a comma is a sufficient delimiter.
-  // replace delimiter with any string that provides a hash for the array
-  let delimiter = ',';
-
-  Object.values(diff).forEach((category) => {
-    category.forEach((jsonDiff) => {
-      const id = jsonDiff.id;
-      const idStr = id.join(delimiter);
-      if (idSet.has(idStr)) {
-        console.log(`Error: ${inspect(id)} is a duplicate key`)
-      }
-      idSet.add(idStr);
-    });
+/* <=== Helper functions ===> */
+
+/**
+ * Diffs oldFile and newFile on key, counting the rows in categories and keeping the first limit of them.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key - fields comprising a key to diff oldFile and newFile.
+ * @param {string[]} categories - categories of offending rows.
+ * @param {number} limit - number of offending rows to keep.
+ * @param {string} caller - name of the check, for messages.
+ * @returns {Promise} Promise which resolves to a check result, see checkMatch.
+ */
+const checkDiff = async (oldFile, newFile, key, categories, limit, caller) => {
+  const fields = keyFields(key, caller);
+  const rows = [];
+  let count = 0;
+  // entries are streamed so only the rows listed are kept.
+  const result = await streamKeyDiff(oldFile, newFile, fields, (category, entry) => {
+    if (categories.indexOf(category) === -1) return;
+    count++;
+    if (rows.length < limit) rows.push({'type': category, 'id': entry.id, 'entry': entry});
   });
+  return {'passed': count === 0, 'count': count, 'counts': result['counts'], 'rows': rows};
+}
+
+/**
+ * Returns key as an array of fields.
+ * @param {string|string[]} key - array of fields or comma separated string.
+ * @param {string} caller - name of the check or matcher, for messages.
+ * @returns {string[]} fields of key.
+ * @throws {AvroDiffError} if key is missing or empty.
+ */
+const keyFields = (key, caller) => {
+  const fields = typeof key === 'string' ? key.split(',').map(field => field.trim()).filter(Boolean) : key;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new AvroDiffError(`${caller} needs a key, e.g. ['id'] or 'studentId,assignmentId'`);
+  }
+  return fields;
+}
+
+/**
+ * Returns the number of offending rows a matcher lists.
+ * @param {Object} options - options of the matcher.
+ * @returns {number} options.rows, or MATCHER_ROW_LIMIT.
+ * @throws {AvroDiffError} if options.rows is not a whole number.
+ */
+const rowLimit = (options) => {
+  if (options.rows == null) return MATCHER_ROW_LIMIT;
+  if (!(Number.isInteger(options.rows) && options.rows >= 0)) {
+    throw new AvroDiffError(`invalid rows '${options.rows}', expected a whole number >= 0`);
+  }
+  return options.rows;
+}
+
+/**
+ * Returns the name of an input for messages.
+ * @param {string|string[]} file - filepath, glob or array of parts.
+ * @returns {string} name of the input.
+ */
+const name = file => (Array.isArray(file) ? file.join(',') : `${file}`);
+
+/**
+ * Returns the lines listing the offending rows of a failed check, starting with a line break, and a last line
+ * telling how many more there are.
+ * @param {Object} result - result of a check.
+ * @param {function} describe - returns the line of an offending row.
+ * @returns {string} lines of the offending rows.
+ */
+const rowList = (result, describe) => {
+  const lines = result['rows'].map(row => `\n  ${describe(row)}`);
+  const more = result['count'] - result['rows'].length;
+  return `${lines.length > 0 ? ':' : ''}${lines.join('')}${more > 0 ? `\n  ... and ${more} more` : ''}`;
+}
+
+/**
+ * Returns the line of an offending row of checkDiff: removed and added rows in full, the changed fields of changed
+ * rows.
+ * @param {Object} row - offending row, see checkMatch.
+ * @returns {string} line of the row.
+ */
+const describeEntry = (row) => {
+  const entry = row['entry'];
+  const id = line(row['id']);
+  if (row['type'] !== 'changed') return `${row['type']} ${id} ${line(entry.data)}`;
+  const changes = entry.changes.map(change => `${change.path}: ${line(change.old)} -> ${line(change.new)}`);
+  return `changed ${id} ${changes.join(', ')}`;
 }
+
+/**
+ * Returns the line of a duplicate key of checkUniqueKey.
+ * @param {Object} duplicate - duplicate key, see checkUniqueKey.
+ * @returns {string} line of the key.
+ */
+const describeDuplicate = (duplicate) => {
+  return `${line(duplicate['id'])} on ${duplicate['count']} rows, first ${line(duplicate['row'])}`;
+}
+
+/**
+ * Returns a value as JSON on a single line, bytes and fixed values as hex strings.
+ * @param {*} value - value to write.
+ * @returns {string} the value as text.
+ */
+const line = value => (value === undefined ? 'undefined' : toJson(value));
+
+/* <=== End of helper functions ===> */
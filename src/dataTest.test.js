@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const {avroMatchers, checkUniqueKey} = require('./dataTest.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError} = require('./errors.js');
+const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+expect.extend(avroMatchers);
+
+const file1 = 'avro/sample_avro/userdata1.avro';
+const file2 = 'avro/sample_avro/userdata2.avro';
+const schema = {type: 'record', name: 'row', fields: [{name: 'k', type: 'int'}, {name: 'v', type: 'string'}]};
+let dir;
+
+// resolves to the message of a failed assertion.
+const failure = assertion => assertion.then(() => null, err => err.message);
+
+const writeFile = (name, rows) => writeAvroFile(path.join(dir, name), schema, rows);
+
+beforeAll(() => {
+  dir = makeTempDir('data-test');
+  setConfig({keepFields: ['id', 'first_name']});
+});
+
+afterAll(() => {
+  setConfig({keepFields: null});
+  removeDir(dir);
+});
+
+test('matchers pass on matching files and support not', async () => {
+  await expect(file1).toMatchAvro(file1, {key: ['id']});
+  await expect(file2).not.toMatchAvro(file1, {key: 'id'});
+  await expect(file1).toHaveNoRemovedRows(file1, {key: ['id']});
+  await expect(file1).toHaveUniqueKey(['id']);
+  await expect(file1).not.toHaveUniqueKey('first_name');
+});
+
+test('failure messages list the first offending rows', async () => {
+  const match = await failure(expect(file2).toMatchAvro(file1, {key: ['id'], rows: 2}));
+  expect(match.split('\n')).toEqual([
+    expect.stringMatching(/found 2 removed, 0 added and 990 changed rows:$/),
+    '  changed [1] first_name: "Amanda" -> "Donald"',
+    '  removed [2] {"id":2,"first_name":"Albert"}',
+    '  ... and 990 more',
+  ]);
+  const removed = await failure(expect(file2).toHaveNoRemovedRows(file1, {key: ['id']}));
+  expect(removed).toMatch(/2 rows are removed:\n {2}removed \[2\] .*\n {2}removed \[7\] \{"id":7,/);
+  const unique = await failure(expect(file2).toHaveUniqueKey(['first_name'], {rows: 1}));
+  expect(unique).toMatch(/found \d+ duplicate keys:\n {2}\["\w+"\] on \d+ rows, first \{"id":\d+,.*\}\n {2}\.\.\. and/);
+});
+
+test('duplicate keys and changed fields of small files', async () => {
+  setConfig({keepFields: null});
+  const oldFile = await writeFile('old.avro', [{k: 1, v: 'a'}, {k: 2, v: 'b'}]);
+  const newFile = await writeFile('new.avro', [{k: 1, v: 'a'}, {k: 2, v: 'c'}, {k: 2, v: 'd'}]);
+
+  const duplicates = await checkUniqueKey(newFile, ['k']);
+  expect(duplicates).toMatchObject({passed: false, count: 1, total: 3});
+  expect(duplicates.rows).toEqual([{id: [2], count: 2, row: {k: 2, v: 'c'}}]);
+  const changed = await writeFile('changed.avro', [{k: 1, v: 'a'}, {k: 2, v: 'c'}]);
+  expect(await failure(expect(changed).toMatchAvro(oldFile, {key: ['k']})))
+    .toMatch(/found 0 removed, 0 added and 1 changed rows:\n {2}changed \[2\] v: "b" -> "c"$/);
+  setConfig({keepFields: ['id', 'first_name']});
+});
+
+test('matchers need a key', async () => {
+  await expect(expect(file1).toMatchAvro(file1, {})).rejects.toBeInstanceOf(AvroDiffError);
+  await expect(expect(file1).toHaveUniqueKey([])).rejects.toBeInstanceOf(AvroDiffError);
+});
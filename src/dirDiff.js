@@ -0,0 +1,125 @@
+/**
+ * dirDiff.js contains functions to diff two export folders of related tables, e.g. two snapshots of the same account.
+ * Tables are the .avro files of each folder, paired by file name. Each pair is diffed with keyDiff on the key
+ * configured for the table in CONFIG.tableKeys, or with vennDiff when it has none.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {inspect} from 'util';
+import 'colors';
+
+import {CONFIG} from './config.js';
+import {keyDiff, vennDiff, printKeyDiff, printVennDiff} from './index.js';
+import {AvroDiffError, FileNotFoundError} from './errors.js';
+
+export const AVRO_EXTENSION = '.avro';
+
+/**
+ * Returns a diff of two folders of .avro files.
+ * A table which cannot be diffed (e.g. a corrupt file or a key field it lacks) does not stop the others: its error is
+ * reported in place of its diff. Errors not raised by Avro Diff are thrown.
+ * @param {string} oldDir - path to the old folder.
+ * @param {string} newDir - path to the new folder.
+ * @returns {Promise} Promise which resolves to an object with schema {onlyOld:[Array], onlyNew:[Array],
+ *                    tables:[Array]} where onlyOld and onlyNew hold the names of the tables in one folder only, and
+ *                    the elements of tables are objects with schema {table:string, key:[Array], diff:{Object},
+ *                    error:{AvroDiffError}}. key is null for tables diffed with vennDiff, and exactly one of diff and
+ *                    error is null.
+ */
+export const dirDiff = async (oldDir, newDir) => {
+  const oldTables = listTables(oldDir);
+  const newTables = listTables(newDir);
+  const output = {
+    'onlyOld': oldTables.filter(table => newTables.indexOf(table) === -1),
+    'onlyNew': newTables.filter(table => oldTables.indexOf(table) === -1),
+    'tables': [],
+  };
+  const shared = oldTables.filter(table => newTables.indexOf(table) !== -1);
+  for (const table of shared) {
+    const key = tableKey(table);
+    const oldFile = path.join(oldDir, `${table}${AVRO_EXTENSION}`);
+    const newFile = path.join(newDir, `${table}${AVRO_EXTENSION}`);
+    const result = {'table': table, 'key': key, 'diff': null, 'error': null};
+    try {
+      result['diff'] = key != null ? await keyDiff(oldFile, newFile, key) : await vennDiff(oldFile, newFile);
+    } catch (err) {
+      if (!(err instanceof AvroDiffError)) throw err;
+      result['error'] = err;
+    }
+    output['tables'].push(result);
+  }
+  return output;
+}
+
+/**
+ * Prints a diff returned by dirDiff: the tables in one folder only, then the diff of every shared table.
+ * @param {Object} diff - an object outputted from dirDiff.
+ */
+export const printDirDiff = (diff) => {
+  diff['tables'].forEach((result) => {
+    const how = result['key'] != null ? `key ${result['key'].join(',')}` : 'no key, venn diff';
+    console.log(`=== ${result['table']} (${how}) ===`.cyan);
+    if (result['error'] != null) {
+      console.log(`error: ${result['error'].message}`.red);
+    } else if (result['key'] != null) {
+      printKeyDiff(result['diff']);
+    } else {
+      printVennDiff(result['diff']);
+    }
+  });
+  console.log(inspect({ "tables only in old folder" : diff.onlyOld}).red);
+  console.log(inspect({ "tables only in new folder" : diff.onlyNew}).green);
+  const errors = diff['tables'].filter(result => result['error'] != null).length;
+  console.log(`${diff['tables'].length} tables diffed, ${errors} failed`);
+  console.log(`${diff['onlyOld'].length} tables removed, ${diff['onlyNew'].length} tables added`);
+}
+
+/**
+ * Returns the exit code for a diff returned by dirDiff: the exit code of the first table which failed, or
+ * null if none did.
+ * @param {Object} diff - an object outputted from dirDiff.
+ * @returns {number} exit code, see errors.js, or null.
+ */
+export const dirDiffExitCode = (diff) => {
+  const failed = diff['tables'].find(result => result['error'] != null);
+  return failed != null ? failed['error'].exitCode : null;
+}
+
+/**
+ * Returns the key configured for a table in CONFIG.tableKeys, or null if it has none.
+ * Keys may be given as arrays of field paths or as comma separated strings, under the table name with or without
+ * the .avro extension.
+ * @param {string} table - table name.
+ * @returns {string[]} field paths of the key, or null.
+ */
+export const tableKey = (table) => {
+  const keys = CONFIG.tableKeys != null ? CONFIG.tableKeys : {};
+  const key = keys[table] != null ? keys[table] : keys[`${table}${AVRO_EXTENSION}`];
+  if (key == null) return null;
+  return Array.isArray(key) ? key : key.split(',').map(field => field.trim());
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Returns the names of the tables in a folder: its .avro files without the extension, sorted.
+ * @param {string} dir - path to a folder.
+ * @returns {string[]} table names.
+ */
+const listTables = (dir) => {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, {'withFileTypes': true});
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new FileNotFoundError(dir, err);
+    if (err.code === 'ENOTDIR') throw new AvroDiffError(`${dir}: not a directory`, {file: dir, cause: err});
+    throw err;
+  }
+  return entries
+    .filter(entry => entry.isFile() && path.extname(entry.name) === AVRO_EXTENSION)
+    .map(entry => path.basename(entry.name, AVRO_EXTENSION))
+    .sort();
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const {dirDiff} = require('./dirDiff.js');
+const {dirDiffRecords} = require('./report.js');
+const {setConfig} = require('./config.js');
+const {SchemaParseError, FileNotFoundError} = require('./errors.js');
+const {makeTempDir, removeDir} = require('./testUtils.js');
+
+const dir1 = 'avro/fake_account_tc_guid_1';
+const dir2 = 'avro/fake_account_tc_guid_2';
+
+afterEach(() => {
+  setConfig({tableKeys: null});
+});
+
+test('tables are diffed on their key, or as sets without one', async () => {
+  setConfig({tableKeys: {courses: ['globalCourseId'], 'sections.avro': 'globalSectionId'}});
+  const diff = await dirDiff(dir1, dir2);
+  const table = name => diff.tables.find(result => result.table === name);
+
+  expect(diff.tables.map(result => result.table)).toEqual([
+    'assetStudents', 'assignments', 'courses', 'sections', 'studentAssets', 'studentAssignments', 'students',
+  ]);
+  expect(table('courses').key).toEqual(['globalCourseId']);
+  expect(table('courses').diff.changed.length).toBe(1);
+  expect(table('sections').key).toEqual(['globalSectionId']);
+  expect(table('assignments').key).toBeNull();
+  expect(Object.keys(table('assignments').diff.intersection).length).toBe(1);
+  // both folders hold a corrupt file, which fails its table only.
+  expect(table('assetStudents').error).toBeInstanceOf(SchemaParseError);
+  expect(table('students').error).toBeInstanceOf(SchemaParseError);
+});
+
+test('tables in one folder only are reported', async () => {
+  const oldDir = makeTempDir('old');
+  const newDir = makeTempDir('new');
+  fs.copyFileSync(path.join(dir1, 'courses.avro'), path.join(oldDir, 'courses.avro'));
+  fs.copyFileSync(path.join(dir1, 'sections.avro'), path.join(oldDir, 'sections.avro'));
+  fs.copyFileSync(path.join(dir2, 'courses.avro'), path.join(newDir, 'courses.avro'));
+  fs.copyFileSync(path.join(dir2, 'assignments.avro'), path.join(newDir, 'assignments.avro'));
+  fs.writeFileSync(path.join(newDir, 'notes.txt'), 'not a table');
+
+  const diff = await dirDiff(oldDir, newDir);
+  expect(diff.onlyOld).toEqual(['sections']);
+  expect(diff.onlyNew).toEqual(['assignments']);
+  expect(diff.tables.map(result => result.table)).toEqual(['courses']);
+  expect(dirDiffRecords(diff).summary).toEqual({
+    type: 'summary', diff: 'dir', tables: 1, failed: 0, removedTables: 1, addedTables: 1,
+  });
+
+  removeDir(oldDir);
+  removeDir(newDir);
+});
+
+test('missing folders reject with FileNotFoundError', async () => {
+  await expect(dirDiff('avro/missing', dir2)).rejects.toBeInstanceOf(FileNotFoundError);
+});
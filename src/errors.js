@@ -0,0 +1,122 @@
+/**
+ * errors.js contains the errors raised by Avro Diff. Every error carries the exit code the commands in bin/ use for
+ * it, so automation can tell "the files differ" (exit code 0 or 1) apart from "the tool broke" (exit code 2 and up).
+ */
+
+export const EXIT_CODES = {
+  'ok': 0,
+  // the command ran and its check failed, e.g. incompatible schemas.
+  'checkFailed': 1,
+  'error': 2,
+  'fileNotFound': 3,
+  'corruptBlock': 4,
+  'schemaParse': 5,
+  'keyFieldMissing': 6,
+  'duplicateKey': 7,
+  'incompatibleParts': 8,
+};
+
+/**
+ * Base class of the errors raised by Avro Diff.
+ * @param {string} message - description of the error.
+ * @param {Object} opts - optional fields: file (filepath the error is about) and cause (underlying error).
+ */
+export class AvroDiffError extends Error {
+  constructor(message, opts = {}) {
+    super(message);
+    this.name = 'AvroDiffError';
+    this.exitCode = EXIT_CODES['error'];
+    this.file = opts.file;
+    this.cause = opts.cause;
+  }
+}
+
+/**
+ * Raised when an input file does not exist.
+ * @param {string} file - filepath which was not found.
+ * @param {Error} cause - underlying error.
+ */
+export class FileNotFoundError extends AvroDiffError {
+  constructor(file, cause) {
+    super(`${file}: no such file`, {file, cause});
+    this.name = 'FileNotFoundError';
+    this.exitCode = EXIT_CODES['fileNotFound'];
+  }
+}
+
+/**
+ * Raised when a data block of a file cannot be read: bad sync marker, failed decompression or checksum,
+ * truncated block or undecodable rows. Also raised for rows of JSON inputs which are not valid JSON or do not match
+ * the schema, see jsonInput.js.
+ * @param {string} file - filepath of the corrupt file.
+ * @param {Error} cause - underlying error.
+ */
+export class CorruptBlockError extends AvroDiffError {
+  constructor(file, cause) {
+    // avsc wraps codec failures (e.g. checksum mismatches) in an error with its own cause.
+    const reason = cause.cause != null ? `${cause.message}: ${cause.cause.message}` : cause.message;
+    super(`${file}: corrupt data block (${reason})`, {file, cause});
+    this.name = 'CorruptBlockError';
+    this.exitCode = EXIT_CODES['corruptBlock'];
+  }
+}
+
+/**
+ * Raised when the header or schema of a file cannot be read, or a schema is not valid Avro.
+ * @param {string} file - filepath of the file (or schema file) which could not be parsed.
+ * @param {Error} cause - underlying error.
+ */
+export class SchemaParseError extends AvroDiffError {
+  constructor(file, cause) {
+    super(`${file}: could not parse Avro header or schema (${cause.message})`, {file, cause});
+    this.name = 'SchemaParseError';
+    this.exitCode = EXIT_CODES['schemaParse'];
+  }
+}
+
+/**
+ * Raised when a key field passed to keyDiff is not in the schema a file is read with.
+ * @param {string} field - missing key field.
+ * @param {string} file - filepath of the file missing the field.
+ */
+export class KeyFieldMissingError extends AvroDiffError {
+  constructor(field, file) {
+    super(`${file}: key field '${field}' is not in the schema (check keepFields and ignoreFields)`, {file});
+    this.name = 'KeyFieldMissingError';
+    this.exitCode = EXIT_CODES['keyFieldMissing'];
+    this.field = field;
+  }
+}
+
+/**
+ * Raised by keyDiff when a key appears on more than one row of a file and CONFIG.duplicateKeys is 'fail'.
+ * @param {Object} duplicates - object with schema {old:[Array], new:[Array]} where the elements of the arrays are
+ *                            - objects with schema {id:[Array], count:number}
+ */
+export class DuplicateKeyError extends AvroDiffError {
+  constructor(duplicates) {
+    const example = duplicates.old.length > 0 ? duplicates.old[0] : duplicates.new[0];
+    super(`duplicate keys: ${duplicates.old.length} in old file, ${duplicates.new.length} in new file, ` +
+      `e.g. ${JSON.stringify(example.id)} on ${example.count} rows (set duplicateKeys to 'first' or 'multiset' to diff anyway)`);
+    this.name = 'DuplicateKeyError';
+    this.exitCode = EXIT_CODES['duplicateKey'];
+    this.duplicates = duplicates;
+  }
+}
+
+/**
+ * Raised when a part of a partitioned input cannot be read with the schema of the dataset it belongs to.
+ * @param {string} file - filepath of the part.
+ * @param {string} source - where the schema of the dataset comes from: its first part or CONFIG.schema.
+ * @param {Object[]} issues - why the part cannot be read, see compatibilityHelper in compatibility.js.
+ */
+export class IncompatiblePartsError extends AvroDiffError {
+  constructor(file, source, issues) {
+    const issue = issues[0];
+    super(`${file}: cannot be read with the schema of ${source} (${issue.path || '<root>'}: ${issue.message}` +
+      `${issues.length > 1 ? `, and ${issues.length - 1} more issues` : ''})`, {file});
+    this.name = 'IncompatiblePartsError';
+    this.exitCode = EXIT_CODES['incompatibleParts'];
+    this.issues = issues;
+  }
+}
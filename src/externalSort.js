@@ -0,0 +1,377 @@
+/**
+ * externalSort.js contains an external merge sort for rows of .avro files, so files larger than memory can be diffed
+ * on a key. Rows are kept Avro encoded next to their key while buffered; once the buffered rows outgrow the memory
+ * budget they are sorted and spilled to a temporary run file. Reading the sorted rows back merges the runs.
+ *
+ * Run files hold the rows in key order, each as a 4 byte big endian length followed by the row encoded with the
+ * reader schema. The sort is stable: rows sharing a key come back in file order.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// bytes of a run file read at a time while merging.
+const READ_CHUNK_BYTES = 64 * 1024;
+// bytes written to a run file at a time while spilling.
+const WRITE_CHUNK_BYTES = 1024 * 1024;
+// bytes of a row's length prefix in a run file.
+const LENGTH_BYTES = 4;
+// most runs merged at once: once a level holds this many runs they are merged into one run of the next level.
+const MAX_RUNS = 64;
+// rough bytes of bookkeeping per buffered row on top of its encoding, counted against the budget.
+const ROW_OVERHEAD_BYTES = 64;
+
+/**
+ * Collects rows and returns them sorted by key, spilling sorted runs to temporary files to stay within a memory
+ * budget. Call add for every row, then finish, then reader as often as needed, then cleanup.
+ * @param {Type} type - avsc type of the rows, used to encode and decode them.
+ * @param {function} keyOf - returns the key of a row, see constructKey in index.js.
+ * @param {function} compareKeys - order of keys, see lexCompare in index.js.
+ * @param {Object} opts - optional fields: memoryLimit (bytes of buffered rows, default unlimited) and tempDir
+ *                      - (directory for run files, default the OS temporary directory).
+ */
+export class SortedRows {
+  constructor(type, keyOf, compareKeys, opts = {}) {
+    this.type = type;
+    this.keyOf = keyOf;
+    this.compareKeys = compareKeys;
+    this.memoryLimit = opts.memoryLimit != null ? opts.memoryLimit : Infinity;
+    this.tempDir = opts.tempDir;
+    this.dir = null;
+    // buffered entries {key, buf} and the bytes they are counted as.
+    this.entries = [];
+    this.bytes = 0;
+    // filepaths of the spilled runs by merge level, each oldest first. Runs of level n + 1 each merge MAX_RUNS runs of
+    // level n, so every row is rewritten once per level rather than on every merge.
+    this.levels = [];
+    this.runCount = 0;
+  }
+
+  /**
+   * Filepaths of the spilled runs, oldest rows first: the runs of the highest level were spilled first.
+   * @returns {string[]} filepaths.
+   */
+  get runs() {
+    return this.levels.reduceRight((runs, level) => runs.concat(level), []);
+  }
+
+  /**
+   * Adds a row, spilling the buffered rows once they exceed the memory limit.
+   * @param {Object} row - decoded row.
+   */
+  add(row) {
+    const buf = this.type.toBuffer(row);
+    this.entries.push({'key': this.keyOf(row), 'buf': buf});
+    this.bytes += buf.length + ROW_OVERHEAD_BYTES;
+    if (this.bytes > this.memoryLimit) this.spill();
+  }
+
+  /**
+   * Sorts the rows still buffered. They stay in memory and are merged with the spilled runs.
+   */
+  finish() {
+    this.sortEntries();
+  }
+
+  /**
+   * Returns a reader over all rows added, in key order.
+   * @returns {Object} reader with methods peek() and next() returning the current row, or null once done.
+   */
+  reader() {
+    const sources = this.runs.map(file => new RunReader(file, this.type, this.keyOf));
+    sources.push(new EntryReader(this.entries, this.type));
+    return new MergeReader(sources, this.compareKeys);
+  }
+
+  /**
+   * Deletes the run files.
+   */
+  cleanup() {
+    // the folder only holds run files, so it is emptied file by file (fs.rmSync needs Node 14.14).
+    if (this.dir != null && fs.existsSync(this.dir)) {
+      fs.readdirSync(this.dir).forEach(file => fs.unlinkSync(path.join(this.dir, file)));
+      fs.rmdirSync(this.dir);
+    }
+    this.dir = null;
+    this.levels = [];
+  }
+
+  /**
+   * Sorts the buffered rows by key. Array.prototype.sort is stable, so rows sharing a key keep file order.
+   */
+  sortEntries() {
+    this.entries.sort((a, b) => this.compareKeys(a.key, b.key));
+  }
+
+  /**
+   * Writes the buffered rows to a new run file in key order and empties the buffer.
+   */
+  spill() {
+    this.sortEntries();
+    const file = this.newRunFile();
+    writeRun(file, this.entries.map(entry => entry.buf));
+    this.entries = [];
+    this.bytes = 0;
+    this.addRun(file, 0);
+  }
+
+  /**
+   * Adds a run to a level, merging the level into a run of the next level once it holds MAX_RUNS runs, so merging
+   * never holds more than MAX_RUNS files open per level.
+   * @param {string} file - filepath of the run.
+   * @param {number} level - merge level of the run, 0 for spilled rows.
+   */
+  addRun(file, level) {
+    if (this.levels.length === level) this.levels.push([]);
+    this.levels[level].push(file);
+    if (this.levels[level].length < MAX_RUNS) return;
+    const runs = this.levels[level];
+    this.levels[level] = [];
+    this.addRun(this.mergeRuns(runs), level + 1);
+  }
+
+  /**
+   * Merges runs into a new run file and deletes them.
+   * @param {string[]} runs - filepaths of the runs, oldest first.
+   * @returns {string} filepath of the merged run.
+   */
+  mergeRuns(runs) {
+    const file = this.newRunFile();
+    const merged = new MergeReader(runs.map(run => new RunReader(run, this.type, this.keyOf)), this.compareKeys);
+    const fd = fs.openSync(file, 'w');
+    try {
+      let chunk = [];
+      let chunkBytes = 0;
+      for (let row = merged.next(); row != null; row = merged.next()) {
+        const buf = this.type.toBuffer(row);
+        chunk.push(buf);
+        chunkBytes += buf.length;
+        if (chunkBytes >= WRITE_CHUNK_BYTES) {
+          fs.writeSync(fd, encodeFrames(chunk));
+          chunk = [];
+          chunkBytes = 0;
+        }
+      }
+      fs.writeSync(fd, encodeFrames(chunk));
+    } finally {
+      fs.closeSync(fd);
+    }
+    runs.forEach(run => fs.unlinkSync(run));
+    return file;
+  }
+
+  /**
+   * Returns the filepath for a new run file, creating the temporary directory on first use.
+   * @returns {string} filepath.
+   */
+  newRunFile() {
+    if (this.dir == null) {
+      this.dir = fs.mkdtempSync(path.join(this.tempDir != null ? this.tempDir : os.tmpdir(), 'avro-diff-'));
+    }
+    this.runCount++;
+    return path.join(this.dir, `run-${this.runCount}`);
+  }
+}
+
+/**
+ * Writes encoded rows to a run file.
+ * @param {string} file - filepath of the run.
+ * @param {Buffer[]} bufs - encoded rows in key order.
+ */
+const writeRun = (file, bufs) => {
+  const fd = fs.openSync(file, 'w');
+  try {
+    for (let start = 0; start < bufs.length;) {
+      let end = start;
+      let bytes = 0;
+      while (end < bufs.length && (end === start || bytes < WRITE_CHUNK_BYTES)) {
+        bytes += bufs[end].length;
+        end++;
+      }
+      fs.writeSync(fd, encodeFrames(bufs.slice(start, end)));
+      start = end;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Prefixes each encoded row with its length and concatenates them.
+ * @param {Buffer[]} bufs - encoded rows.
+ * @returns {Buffer} bytes to append to a run file.
+ */
+const encodeFrames = (bufs) => {
+  const parts = [];
+  bufs.forEach((buf) => {
+    const length = Buffer.alloc(LENGTH_BYTES);
+    length.writeUInt32BE(buf.length, 0);
+    parts.push(length, buf);
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * Reads the rows of a run file one at a time.
+ * @param {string} file - filepath of the run.
+ * @param {Type} type - avsc type of the rows.
+ * @param {function} keyOf - returns the key of a row.
+ */
+class RunReader {
+  constructor(file, type, keyOf) {
+    this.fd = fs.openSync(file, 'r');
+    this.type = type;
+    this.keyOf = keyOf;
+    this.buf = Buffer.alloc(0);
+    this.done = false;
+    this.current = null;
+    this.key = null;
+    this.advance();
+  }
+
+  /**
+   * Moves to the next row of the run, closing the file at its end.
+   */
+  advance() {
+    const frame = this.readFrame();
+    if (frame == null) {
+      this.current = null;
+      this.key = null;
+      if (this.fd != null) fs.closeSync(this.fd);
+      this.fd = null;
+      return;
+    }
+    this.current = this.type.fromBuffer(frame);
+    this.key = this.keyOf(this.current);
+  }
+
+  /**
+   * Returns the next encoded row of the file, or null at its end.
+   * @returns {Buffer} encoded row.
+   */
+  readFrame() {
+    if (!this.fill(LENGTH_BYTES)) return null;
+    const length = this.buf.readUInt32BE(0);
+    if (!this.fill(LENGTH_BYTES + length)) throw new Error('truncated run file');
+    const frame = this.buf.slice(LENGTH_BYTES, LENGTH_BYTES + length);
+    this.buf = this.buf.slice(LENGTH_BYTES + length);
+    return frame;
+  }
+
+  /**
+   * Reads from the file until at least bytes bytes are buffered.
+   * @param {number} bytes - bytes needed.
+   * @returns {boolean} false if the file ended first.
+   */
+  fill(bytes) {
+    while (this.buf.length < bytes && !this.done) {
+      const chunk = Buffer.alloc(Math.max(READ_CHUNK_BYTES, bytes - this.buf.length));
+      const read = fs.readSync(this.fd, chunk, 0, chunk.length, null);
+      if (read === 0) this.done = true;
+      this.buf = Buffer.concat([this.buf, chunk.slice(0, read)]);
+    }
+    return this.buf.length >= bytes;
+  }
+}
+
+/**
+ * Reads the sorted rows still in memory, with the same interface as RunReader.
+ * @param {Object[]} entries - sorted entries {key, buf}.
+ * @param {Type} type - avsc type of the rows.
+ */
+class EntryReader {
+  constructor(entries, type) {
+    this.entries = entries;
+    this.type = type;
+    this.index = -1;
+    this.advance();
+  }
+
+  advance() {
+    this.index++;
+    const entry = this.entries[this.index];
+    this.current = entry != null ? this.type.fromBuffer(entry.buf) : null;
+    this.key = entry != null ? entry.key : null;
+  }
+}
+
+/**
+ * Merges sorted sources (RunReader and EntryReader) into one sequence in key order. Rows sharing a key come from
+ * earlier sources first, which keeps the sort stable as sources are created in file order.
+ * @param {Object[]} sources - sources, oldest rows first.
+ * @param {function} compareKeys - order of keys.
+ */
+class MergeReader {
+  constructor(sources, compareKeys) {
+    this.compareKeys = compareKeys;
+    // binary min heap of source indices.
+    this.sources = sources;
+    this.heap = [];
+    sources.forEach((source, index) => {
+      if (source.current != null) this.push(index);
+    });
+  }
+
+  /**
+   * Returns the current row without moving past it.
+   * @returns {Object} the smallest remaining row, or null once done.
+   */
+  peek() {
+    return this.heap.length === 0 ? null : this.sources[this.heap[0]].current;
+  }
+
+  /**
+   * Returns the current row and moves past it.
+   * @returns {Object} the smallest remaining row, or null once done.
+   */
+  next() {
+    if (this.heap.length === 0) return null;
+    const index = this.heap[0];
+    const source = this.sources[index];
+    const row = source.current;
+    source.advance();
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    if (source.current != null) this.push(index);
+    return row;
+  }
+
+  /**
+   * Orders two sources by their current key, then by position.
+   * @param {number} a - index of a source.
+   * @param {number} b - index of a source.
+   * @returns {boolean} true if source a comes before source b.
+   */
+  less(a, b) {
+    const order = this.compareKeys(this.sources[a].key, this.sources[b].key);
+    return order < 0 || (order === 0 && a < b);
+  }
+
+  push(index) {
+    this.heap.push(index);
+    let i = this.heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.less(this.heap[i], this.heap[parent])) break;
+      [this.heap[i], this.heap[parent]] = [this.heap[parent], this.heap[i]];
+      i = parent;
+    }
+  }
+
+  siftDown(i) {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < this.heap.length && this.less(this.heap[left], this.heap[smallest])) smallest = left;
+      if (right < this.heap.length && this.less(this.heap[right], this.heap[smallest])) smallest = right;
+      if (smallest === i) return;
+      [this.heap[i], this.heap[smallest]] = [this.heap[smallest], this.heap[i]];
+      i = smallest;
+    }
+  }
+}
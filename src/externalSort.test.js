@@ -0,0 +1,49 @@
+const avro = require('avsc');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {SortedRows} = require('./externalSort.js');
+
+const type = avro.Type.forSchema({
+  type: 'record',
+  name: 'row',
+  fields: [{name: 'k', type: 'int'}, {name: 'v', type: 'string'}],
+});
+
+const readAll = (reader) => {
+  const rows = [];
+  for (let row = reader.next(); row != null; row = reader.next()) rows.push({k: row.k, v: row.v});
+  return rows;
+};
+
+test('rows come back sorted and stable across spilled runs', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'avro-diff-test-'));
+  const sorted = new SortedRows(type, row => row.k, (a, b) => a - b, {memoryLimit: 200, tempDir});
+  const rows = [];
+  for (let i = 0; i < 500; i++) rows.push({k: (i * 7919) % 37, v: `row ${i}`});
+  rows.forEach(row => sorted.add(row));
+  sorted.finish();
+
+  expect(sorted.runs.length).toBeGreaterThan(1);
+  // 250 or so spills: full levels are merged into the next, the runs of later levels are left alone.
+  expect(sorted.levels.length).toBe(2);
+  expect(sorted.levels[1].length).toBeGreaterThan(1);
+  expect(sorted.levels.every(level => level.length < 64)).toBe(true);
+  const expected = rows.slice().sort((a, b) => a.k - b.k);
+  expect(readAll(sorted.reader())).toEqual(expected);
+  // readers can be opened again.
+  expect(readAll(sorted.reader())).toEqual(expected);
+
+  sorted.cleanup();
+  expect(fs.readdirSync(tempDir)).toEqual([]);
+  fs.rmdirSync(tempDir);
+});
+
+test('rows within the memory limit are never spilled', () => {
+  const sorted = new SortedRows(type, row => row.k, (a, b) => a - b);
+  [{k: 2, v: 'b'}, {k: 1, v: 'a'}].forEach(row => sorted.add(row));
+  sorted.finish();
+
+  expect(sorted.runs).toEqual([]);
+  expect(readAll(sorted.reader())).toEqual([{k: 1, v: 'a'}, {k: 2, v: 'b'}]);
+});
@@ -0,0 +1,302 @@
+/**
+ * htmlReport.js contains the html output format of the diff commands: one self-contained page, with no external
+ * scripts or styles, to open in a browser or attach to a ticket. It shows the summary counts, the differences between
+ * the schemas of the two sides, and the records of report.js in a paginated, searchable table. Clicking a row shows
+ * its old and new values side by side, field by field, with changed fields highlighted.
+ *
+ * The records are embedded as JSON and rendered by a script in the page, so a report is written one record at a time
+ * like the json and ndjson formats, see recordWriter in report.js.
+ */
+
+// rows per page of the table.
+const PAGE_SIZE = 50;
+
+/**
+ * Returns a writer producing an html report from records formatted as JSON.
+ * @param {function} write - called with each piece of html.
+ * @param {Object} context - object with schema {title:string, schemaDiff:{Object}} where schemaDiff is as returned
+ *                         - by schemaDiffHelper in schemaDiff.js, or null if the schemas were not compared.
+ * @returns {Object} writer with methods record(json), called with the JSON text of every record, and end(json),
+ *                   called once with the JSON text of the summary record.
+ */
+export const htmlWriter = (write, context = null) => {
+  const title = context != null && context['title'] != null ? context['title'] : 'Avro Diff report';
+  const schemaDiff = context != null && context['schemaDiff'] != null ? context['schemaDiff'] : null;
+  let records = 0;
+  const start = () => write(`${pageStart(title)}<script type="application/json" id="records">[`);
+  return {
+    record: (json) => {
+      if (records === 0) start();
+      write(`${records === 0 ? '' : ','}\n${scriptSafe(json)}`);
+      records++;
+    },
+    end: (json) => {
+      if (records === 0) start();
+      write(']</script>\n');
+      write(`<script type="application/json" id="summary">${scriptSafe(json)}</script>\n`);
+      write(`<script type="application/json" id="schema-diff">${scriptSafe(JSON.stringify(schemaDiff))}</script>\n`);
+      write(`<script>var PAGE_SIZE = ${PAGE_SIZE};\n${PAGE_SCRIPT}</script>\n</body>\n</html>\n`);
+    },
+  };
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Escapes text for html.
+ * @param {string} text - text to escape.
+ * @returns {string} escaped text.
+ */
+const escapeHtml = (text) => {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Makes JSON text safe to embed in a script element: '<' only occurs inside JSON strings, where its escape means the
+ * same, so no value can close the element.
+ * @param {string} json - JSON text.
+ * @returns {string} JSON text without '<'.
+ */
+const scriptSafe = json => json.replace(/</g, '\\u003c');
+
+/**
+ * Returns the start of the page, up to the embedded data.
+ * @param {string} title - title of the report.
+ * @returns {string} html.
+ */
+const pageStart = (title) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<section id="summary-section"><h2>Summary</h2><div id="summary-counts"></div></section>
+<section id="schema-section"><h2>Schema differences</h2><div id="schema-diff-table"></div></section>
+<section>
+<h2>Rows</h2>
+<div class="controls">
+<input id="search" type="search" placeholder="Search keys and values">
+<span id="type-filters"></span>
+</div>
+<table id="rows"><thead></thead><tbody></tbody></table>
+<div class="pager">
+<button id="prev">&larr; Previous</button> <span id="page-info"></span> <button id="next">Next &rarr;</button>
+</div>
+</section>
+`;
+}
+
+const PAGE_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+h1 { font-size: 1.4em; word-break: break-all; }
+h2 { font-size: 1.1em; margin-top: 1.5em; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+code, .value { font-family: Menlo, Consolas, monospace; white-space: pre-wrap; word-break: break-all; }
+.counts { display: flex; flex-wrap: wrap; gap: 1em; }
+.count { border: 1px solid #ddd; border-radius: 4px; padding: 0.5em 1em; min-width: 6em; }
+.count b { display: block; font-size: 1.5em; }
+.controls { margin-bottom: 0.5em; }
+.controls input { width: 24em; padding: 4px; }
+.controls label { margin-left: 1em; }
+.pager { margin-top: 0.5em; }
+tr.record { cursor: pointer; }
+tr.record:hover { background: #f8f8ff; }
+.type-added, .side-added { background: #e6ffec; }
+.type-removed, .side-removed { background: #ffebe9; }
+.type-changed { background: #fff8c5; }
+.type-unchanged { background: #f4f4f4; }
+.type-error { background: #ffebe9; font-weight: bold; }
+.type-violation, .type-orphan, .type-dangling, .type-dangling-added { background: #ffebe9; }
+.type-dangling-removed { background: #e6ffec; }
+tr.detail > td { background: #fff; padding: 0.5em; }
+td.changed { background: #fff3b0; font-weight: bold; }
+td.matched { background: #eef6ff; }
+.empty { color: #888; }
+`;
+
+// renders the page from the embedded records, summary and schema differences.
+const PAGE_SCRIPT = `
+(function () {
+  'use strict';
+  var data = function (id) { return JSON.parse(document.getElementById(id).textContent); };
+  var records = data('records');
+  var summary = data('summary');
+  var schemaDiff = data('schema-diff');
+  var query = '';
+  var hidden = {};
+  var page = 0;
+  var shown = records;
+  var texts = [];
+
+  var el = function (tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (name) { node.setAttribute(name, attrs[name]); });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  };
+  var show = function (value) { return value === undefined ? '' : JSON.stringify(value); };
+
+  // summary counts, nested counts such as duplicates flattened to 'duplicates.old'.
+  var counts = el('div', {'class': 'counts'});
+  var addCounts = function (obj, prefix) {
+    Object.keys(obj).forEach(function (name) {
+      if (prefix === '' && (name === 'type' || name === 'diff')) return;
+      if (obj[name] !== null && typeof obj[name] === 'object') return addCounts(obj[name], prefix + name + '.');
+      counts.appendChild(el('div', {'class': 'count'}, [el('b', {}, [String(obj[name])]), prefix + name]));
+    });
+  };
+  addCounts(summary, '');
+  document.getElementById('summary-counts').appendChild(counts);
+
+  // schema differences, one row per difference.
+  var schemaSection = document.getElementById('schema-diff-table');
+  if (schemaDiff === null) {
+    document.getElementById('schema-section').style.display = 'none';
+  } else {
+    var schemaRows = [];
+    Object.keys(schemaDiff).forEach(function (kind) {
+      schemaDiff[kind].forEach(function (entry) {
+        var details = {};
+        Object.keys(entry).filter(function (name) { return name !== 'path'; }).forEach(function (name) {
+          details[name] = entry[name];
+        });
+        schemaRows.push(el('tr', {}, [el('td', {}, [kind]), el('td', {}, [el('code', {}, [entry.path || '<root>'])]),
+          el('td', {'class': 'value'}, [JSON.stringify(details)])]));
+      });
+    });
+    if (schemaRows.length === 0) {
+      schemaSection.appendChild(el('p', {'class': 'empty'}, ['The schemas are the same.']));
+    } else {
+      schemaSection.appendChild(el('table', {}, [el('thead', {}, [el('tr', {}, [el('th', {}, ['difference']),
+        el('th', {}, ['field']), el('th', {}, ['details'])])]), el('tbody', {}, schemaRows)]));
+    }
+  }
+
+  // columns of the row table, the optional ones only if some record has them.
+  var has = function (name) { return records.some(function (record) { return record[name] != null; }); };
+  var columns = [{'name': 'type', 'cell': function (r) { return r.type; }}];
+  if (has('relationship')) columns.push({'name': 'relationship', 'cell': function (r) { return r.relationship; }});
+  if (has('table')) columns.push({'name': 'table', 'cell': function (r) { return r.table; }});
+  if (has('key')) columns.push({'name': 'key', 'cell': function (r) { return show(r.key); }});
+  if (has('count')) columns.push({'name': 'count', 'cell': function (r) { return show(r.count); }});
+  columns.push({'name': 'fields', 'cell': function (r) {
+    if (r.type === 'error' || r.type === 'violation') return r.message;
+    if (r.reference != null) return 'references ' + show(r.reference);
+    if (r.changes && r.changes.length > 0) return r.changes.map(function (c) { return c.path; }).join(', ');
+    return show(r.new !== null && r.new !== undefined ? r.new : r.old);
+  }});
+  document.querySelector('#rows thead').appendChild(el('tr', {}, columns.map(function (column) {
+    return el('th', {}, [column.name]);
+  })));
+
+  // leaf values of a row by path, written like the paths of changes.
+  var flatten = function (value, path, out) {
+    if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+      Object.keys(value).forEach(function (name) {
+        var next = Array.isArray(value) ? path + '[' + name + ']'
+          : /^[^.[\\]'"]+$/.test(name) ? (path === '' ? name : path + '.' + name) : path + "['" + name + "']";
+        flatten(value[name], next, out);
+      });
+    } else {
+      out[path] = value;
+    }
+    return out;
+  };
+  var covers = function (paths, path) {
+    return paths.some(function (p) {
+      return p === path || path.indexOf(p + '.') === 0 || path.indexOf(p + '[') === 0 || p.indexOf(path + '.') === 0 ||
+        p.indexOf(path + '[') === 0;
+    });
+  };
+
+  // old and new values side by side, the changed fields highlighted.
+  var detail = function (record) {
+    var oldFields = record.old != null ? flatten(record.old, '', {}) : {};
+    // a violation shows its row on the new side.
+    var newRow = record.type === 'violation' ? record.data : record.new;
+    var newFields = newRow != null ? flatten(newRow, '', {}) : {};
+    var paths = Object.keys(oldFields);
+    Object.keys(newFields).forEach(function (path) { if (!(path in oldFields)) paths.push(path); });
+    var changed = record.type === 'violation' ? [record.field]
+      : (record.changes || []).map(function (c) { return c.path; });
+    var matched = (record.matched || []).map(function (m) { return m.path; });
+    var rows = paths.map(function (path) {
+      var cls = covers(changed, path) ? 'changed' : covers(matched, path) ? 'matched' : '';
+      var cell = function (fields) {
+        var sideClass = record.type === 'added' || record.type === 'removed' ? ' side-' + record.type : '';
+        return el('td', {'class': 'value ' + cls + sideClass}, [path in fields ? show(fields[path]) : '']);
+      };
+      return el('tr', {}, [el('td', {'class': cls}, [el('code', {}, [path])]), cell(oldFields), cell(newFields)]);
+    });
+    return el('table', {}, [el('thead', {}, [el('tr', {}, [el('th', {}, ['field']), el('th', {}, ['old']),
+      el('th', {}, ['new'])])]), el('tbody', {}, rows)]);
+  };
+
+  var render = function () {
+    var pages = Math.max(1, Math.ceil(shown.length / PAGE_SIZE));
+    page = Math.min(page, pages - 1);
+    var body = document.querySelector('#rows tbody');
+    body.innerHTML = '';
+    shown.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).forEach(function (record) {
+      var row = el('tr', {'class': 'record type-' + record.type}, columns.map(function (column) {
+        var value = column.cell(record);
+        return el('td', {'class': column.name === 'type' ? '' : 'value'}, [value == null ? '' : String(value)]);
+      }));
+      var open = null;
+      row.addEventListener('click', function () {
+        if (open !== null) {
+          body.removeChild(open);
+          open = null;
+          return;
+        }
+        open = el('tr', {'class': 'detail'}, [el('td', {'colspan': String(columns.length)}, [detail(record)])]);
+        body.insertBefore(open, row.nextSibling);
+      });
+      body.appendChild(row);
+    });
+    document.getElementById('page-info').textContent = shown.length === 0 ? 'no rows'
+      : 'page ' + (page + 1) + ' of ' + pages + ', ' + shown.length + ' of ' + records.length + ' rows';
+    document.getElementById('prev').disabled = page === 0;
+    document.getElementById('next').disabled = page >= pages - 1;
+  };
+
+  var filter = function () {
+    shown = records.filter(function (record, i) {
+      if (hidden[record.type]) return false;
+      if (query === '') return true;
+      if (texts[i] === undefined) texts[i] = JSON.stringify(record).toLowerCase();
+      return texts[i].indexOf(query) !== -1;
+    });
+    page = 0;
+    render();
+  };
+
+  var types = [];
+  records.forEach(function (record) { if (types.indexOf(record.type) === -1) types.push(record.type); });
+  types.forEach(function (type) {
+    var box = el('input', {'type': 'checkbox', 'checked': 'checked'});
+    box.addEventListener('change', function () {
+      hidden[type] = !box.checked;
+      filter();
+    });
+    document.getElementById('type-filters').appendChild(el('label', {}, [box, ' ' + type]));
+  });
+  document.getElementById('search').addEventListener('input', function (event) {
+    query = event.target.value.trim().toLowerCase();
+    filter();
+  });
+  document.getElementById('prev').addEventListener('click', function () { page--; render(); });
+  document.getElementById('next').addEventListener('click', function () { page++; render(); });
+  render();
+})();
+`;
+
+/* <=== End of helper functions ===> */
@@ -9,45 +9,60 @@
 
 import {detailedDiff} from 'deep-object-diff';
 import avro from 'avsc';
-import snappy from 'snappy';
+import crypto from 'crypto';
+import fs from 'fs';
 import {inspect} from 'util';
 import stableStringify from 'json-stable-stringify';
 import 'colors';
 
 import {CONFIG} from './config.js';
+import {CODECS} from './codecs.js';
+import {getPath, schemaHasPath, filterSchema} from './paths.js';
+import {keyTypes, compareValues} from './order.js';
+import {compareRows} from './changes.js';
+import {compileRules} from './rules.js';
+import {SortedRows} from './externalSort.js';
+import {resolveInput, inputName} from './inputs.js';
+import {compatibilityHelper} from './compatibility.js';
+import {renameFields} from './renames.js';
+import {isJsonFile, readJsonRows} from './jsonInput.js';
+import {outputFilter, OUTPUT_CATEGORIES} from './outputFilter.js';
+import {
+  AvroDiffError,
+  FileNotFoundError,
+  CorruptBlockError,
+  SchemaParseError,
+  KeyFieldMissingError,
+  DuplicateKeyError,
+  IncompatiblePartsError,
+} from './errors.js';
+
+// ways keyDiffHelper can handle keys appearing on more than one row of a file, see keyDiffHelper.
+export const DUPLICATE_KEY_MODES = ['fail', 'first', 'multiset'];
+
+// ways vennDiff can keep track of rows, see vennDiff.
+export const VENN_MODES = ['rows', 'hash'];
+
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+// lengths of the magic bytes and sync marker framing the header of an .avro file.
+const HEADER_MAGIC_BYTES = 4;
+const HEADER_SYNC_BYTES = 16;
 
 /**
  * TODO:
- * filteredSchema: filtering will be read in from a config file (high priority)
- * error messages for corrupt file, file DNE, key not in file (high priority)
  * extractRowsParser: put rows into arr in sorted order (low priority, mild performance increase on keyDiff)
- * add functionality for nested fields: filter by/assign as key nested fields (medium)
  * add functionality to use object as key (medium)
- * improve detailedDiff: deleted fields show value as undefined but I want to show their old value (medium)
- *    note you can get around this by switching the order you pass in oldFile and newFile but I would rather show everything
- *    in one place.
  */
 
 /**
- * Given a schema and fields to KEEP or IGNORE, returns a schema with fields in KEEP
- * and not in IGNORE. Pass in null for KEEP or IGNORE to not filter by that argument.
+ * Given a schema, returns a schema with the fields in CONFIG.keepFields and not in CONFIG.ignoreFields.
+ * Set either to null to not filter by it. Both hold field paths, so nested fields can be kept or dropped,
+ * see paths.js.
  * @param {Object} schema - schema for an avro file
- * @param {Set} keepSet only fields in keepSet are not filtered out.
- * @param {Set} ignoreSet all fields in ignoreSet are filtered out.
- * @returns {Object} newFile - returns the schema restricted to fields in P0_FIELDS
+ * @returns {Object} newFile - returns the schema restricted to fields in keepFields and not in ignoreFields
  */
 const filteredSchema = (schema) => {
-  const keepSet = CONFIG.keepFields == null ? null : new Set(CONFIG.keepFields);
-  const ignoreSet = CONFIG.ignoreFields == null ? null : new Set(CONFIG.ignoreFields);
-
-  const fieldFilter = (field) => {
-    return (ignoreSet == null || !ignoreSet.has(field.name)) && (keepSet == null || keepSet.has(field.name));
-  }
-
-  return {
-    ...schema,
-    fields: schema.fields.filter(fieldFilter),
-  };
+  return filterSchema(schema, CONFIG.keepFields, CONFIG.ignoreFields);
 }
 
 export const printVennDiff = (venn) => {
@@ -57,22 +72,44 @@ export const printVennDiff = (venn) => {
   console.log(inspect({ "intersection" : venn.intersection}, { depth: 'Infinity' }).yellow);
   // print some stats about the diff
   console.log(`color code: green for added, red for removed, yellow for intersection`);
-  console.log(`${venn['added'] != null ? Object.keys(venn['added']).length : 0} removed`);
-  console.log(`${venn['removed'] != null ? Object.keys(venn['removed']).length : 0} added`);
+  console.log(`${venn['removed'] != null ? Object.keys(venn['removed']).length : 0} removed`);
+  console.log(`${venn['added'] != null ? Object.keys(venn['added']).length : 0} added`);
   console.log(`${venn['intersection'] != null ? Object.keys(venn['intersection']).length : 0} in intersection`);
 }
 
+/**
+ * Returns a venn diagram of the rows of two Avro files, treating each file as a multiset of rows.
+ * Rows are tracked according to CONFIG.vennMode:
+ * - 'rows' (default): every distinct row of the old file is held in memory as a string.
+ * - 'hash': only a fixed-size hash and count per distinct row is held, see hashVennDiff. The old file is read twice
+ *   and the intersection is keyed by hash instead of by row.
+ * Either side may be a partitioned dataset, see inputs.js: rows are counted over all of its parts.
+ * Either side may also be JSON files, decoded through CONFIG.schema or the schema of the other side, see jsonInput.js.
+ * Fields renamed between the schemas are compared under their new names, see renames.js.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @returns {Object} Returns an object with schema {removed:{Object}, added:{Object}, intersection:{Object}} where
+ *                    each field maps stringified rows (hashes for the intersection in 'hash' mode) to their count.
+ */
 export const vennDiff = async (oldFile, newFile) => {
-  const oldSchema = await getOriginalSchema(oldFile).then(filteredSchema);
-  const newSchema = await getOriginalSchema(newFile).then(filteredSchema);
+  const mode = CONFIG.vennMode == null ? 'rows' : CONFIG.vennMode;
+  if (VENN_MODES.indexOf(mode) === -1) {
+    throw new AvroDiffError(`unknown vennMode '${mode}', expected one of ${VENN_MODES.join(', ')}`);
+  }
+  const oldFiles = resolveInput(oldFile);
+  const newFiles = resolveInput(newFile);
+  const [oldSchema, newSchema] = await getRenamedSchemas(oldFiles, newFiles);
+  if (mode === 'hash') {
+    return hashVennDiff(oldFiles, newFiles, oldSchema, newSchema);
+  }
   const venn = {
     "removed" : {},
     "added" : {},
     "intersection" : {},
   };
 
-  await readAvroFile(makeDecoder(oldFile, {readerSchema: oldSchema}), venn, vennParser(1));
-  await readAvroFile(makeDecoder(newFile, {readerSchema: newSchema}), venn, vennParser(2));
+  await readAvroFiles(oldFiles, oldSchema, venn, vennParser(1));
+  await readAvroFiles(newFiles, newSchema, venn, vennParser(2));
 
   return venn;
 }
@@ -115,26 +152,148 @@ const vennParser = num => venn => row => {
   }
 }
 
+/**
+ * vennDiff in 'hash' mode: memory grows with the number of distinct rows and the size of the added and removed rows,
+ * not with the size of all rows.
+ * 1. count the hash of every row of the old file.
+ * 2. match each row of the new file against the counts: matched rows go to the intersection by hash, the others are
+ *    added and kept as strings.
+ * 3. read the old file again to recover the rows whose hashes were left unmatched, which are removed.
+ * @param {string[]} oldFiles - filepaths to the parts of the old dataset, see resolveInput in inputs.js.
+ * @param {string[]} newFiles - filepaths to the parts of the new dataset.
+ * @param {Object} oldSchema - reader schema for oldFiles.
+ * @param {Object} newSchema - reader schema for newFiles.
+ * @returns {Promise} Promise which resolves to the venn diagram, see vennDiff.
+ */
+const hashVennDiff = async (oldFiles, newFiles, oldSchema, newSchema) => {
+  const venn = {
+    "removed" : {},
+    "added" : {},
+    "intersection" : {},
+  };
+  // hash => number of rows of oldFile not yet matched by a row of newFile.
+  const unmatched = new Map();
+  await readAvroFiles(oldFiles, oldSchema, unmatched, hashCountParser);
+  await readAvroFiles(newFiles, newSchema, {venn, unmatched}, hashMatchParser);
+  // only the unmatched hashes are needed for the second pass over oldFile.
+  unmatched.forEach((count, hash) => {
+    if (count === 0) unmatched.delete(hash);
+  });
+  if (unmatched.size > 0) {
+    await readAvroFiles(oldFiles, oldSchema, {venn, unmatched}, hashRecoverParser);
+  }
+  return venn;
+}
+
+/**
+ * Returns a fixed-size hash of a row: the SHA-1 of its stable stringification, in base64.
+ * @param {Object} row - Row parsed from avro file.
+ * @returns {string} hash of row.
+ */
+const rowHash = (row) => {
+  return crypto.createHash('sha1').update(stableStringify(row)).digest('base64');
+}
+
+/**
+ * Parser function for the first pass of hashVennDiff. Counts the hash of row.
+ * @param {Map} unmatched - map from hash to count.
+ * @param {Object} row - Row parsed from the old avro file.
+ */
+const hashCountParser = unmatched => row => {
+  const hash = rowHash(row);
+  unmatched.set(hash, (unmatched.get(hash) || 0) + 1);
+}
+
+/**
+ * Parser function for the pass of hashVennDiff over the new file. Matches row against the old file's counts:
+ * a match is counted in the intersection, anything else is added.
+ * @param {Object} state - object with schema {venn:{Object}, unmatched:{Map}}.
+ * @param {Object} row - Row parsed from the new avro file.
+ */
+const hashMatchParser = ({venn, unmatched}) => row => {
+  const hash = rowHash(row);
+  if (unmatched.get(hash) > 0) {
+    unmatched.set(hash, unmatched.get(hash) - 1);
+    venn['intersection'][hash] = venn['intersection'][hash] == null ? 1 : venn['intersection'][hash] + 1;
+  } else {
+    const str = stableStringify(row);
+    venn['added'][str] = venn['added'][str] == null ? 1 : venn['added'][str] + 1;
+  }
+}
+
+/**
+ * Parser function for the second pass of hashVennDiff over the old file. Rows whose hash is still unmatched are
+ * removed.
+ * @param {Object} state - object with schema {venn:{Object}, unmatched:{Map}}.
+ * @param {Object} row - Row parsed from the old avro file.
+ */
+const hashRecoverParser = ({venn, unmatched}) => row => {
+  const hash = rowHash(row);
+  if (unmatched.get(hash) > 0) {
+    unmatched.set(hash, unmatched.get(hash) - 1);
+    const str = stableStringify(row);
+    venn['removed'][str] = venn['removed'][str] == null ? 1 : venn['removed'][str] + 1;
+  }
+}
+
 /**
  * Returns an object representing a diff of two Avro files.
- * @param {string} oldFile - filepath to old .avro file.
- * @param {string} newFile - filepath to new .avro file.
+ * When CONFIG.memoryLimit is set the files are sorted on disk instead of in memory, see streamKeyDiff. The result is
+ * the same, but still held in memory: use streamKeyDiff directly to handle entries as they are found.
+ * Either side may be a partitioned dataset, see inputs.js. Its parts are diffed as one file, so a row which moved to
+ * another part is matched on its key like any other.
+ * Either side may also be JSON files, decoded through CONFIG.schema or the schema of the other side, see jsonInput.js.
+ * Fields renamed between the schemas are diffed under their new names, see renames.js, and key names them so.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
  * @param {string[]} key  - fields comprising a key to diff oldFile and newFile
- * @returns {Object} Returns an object with schema {added:[Array], removed:[Array], changed:[Array], unchanged[Array]}
- *                    where the even indices of the arrays are strings of the form "<key>: <value>" and the odd indices
- *                    contain the decoded rows of Avro, except in the changed field where the odd indices contain
- *                    JSON diff objects.
+ * @returns {Object} Returns an object with schema {added:[Array], removed:[Array], changed:[Array], unchanged[Array],
+ *                    duplicates:{old:[Array], new:[Array]}} holding an entry per row, with schema {id:[Array],
+ *                    data:{Object}}, changed entries also holding the old and new rows and their changed fields, see
+ *                    keyDiffHelper.
  */
 export const keyDiff = async (oldFile, newFile, key) => {
+  // with a memory limit, sort on disk and collect the streamed entries.
+  if (CONFIG.memoryLimit != null) {
+    const output = {'removed': [], 'added': [], 'changed': [], 'unchanged': []};
+    const result = await streamKeyDiff(oldFile, newFile, key, (category, entry) => output[category].push(entry));
+    output['duplicates'] = result['duplicates'];
+    return output;
+  }
+  const oldFiles = resolveInput(oldFile);
+  const newFiles = resolveInput(newFile);
+  // check key against both schemas before reading any rows so a bad key fails fast.
+  const [oldSchema, newSchema] = await getReaderSchemas(oldFiles, newFiles, key);
   // extract rows to oldData and newData
-  const newData = await extractRows(newFile);
-  const oldData = await extractRows(oldFile);
+  const newData = await readRows(newFiles, newSchema);
+  const oldData = await readRows(oldFiles, oldSchema);
 
-  // produce a diff object of oldData and newData
-  const diff = await keyDiffHelper(oldData, newData, key);
+  // produce a diff object of oldData and newData, ordering keys by their type in the new schema.
+  const rules = compileRules(CONFIG.compareRules, newSchema);
+  const diff = await keyDiffHelper(oldData, newData, key, keyTypes(newSchema, key), rules);
   return diff;
 }
 
+/**
+ * Returns the part of a diff of two Avro files which CONFIG.only, limit and sample select, see outputFilter.js. The
+ * entries come from streamKeyDiff and pass the filter as they are found, so entries which are left out are never
+ * collected, unlike those of keyDiff.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts, see keyDiff.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key  - fields comprising a key to diff oldFile and newFile
+ * @returns {Object} Returns an object like keyDiff with the selected entries of each category, and counts holding the
+ *                    number of rows of every category of the whole diff, see keyDiffCounts.
+ */
+export const filteredKeyDiff = async (oldFile, newFile, key) => {
+  const output = {'removed': [], 'added': [], 'changed': [], 'unchanged': []};
+  const filter = outputFilter((category, entry) => output[category].push(entry));
+  const result = await streamKeyDiff(oldFile, newFile, key, filter.emit);
+  filter.end();
+  output['duplicates'] = result['duplicates'];
+  output['counts'] = result['counts'];
+  return output;
+}
+
 /**
  * Prints an object representing a diff of oldFile and newFile based on
  * the given key to console.
@@ -144,29 +303,87 @@ export const printKeyDiff = (diff) => {
   // log the diff object
   console.log(inspect({ "added" : diff.added}, { depth: 'Infinity' }).green);
   console.log(inspect({ "removed" : diff.removed}, { depth: 'Infinity' }).red);
-  console.log(inspect({ "updated" : diff.changed}, { depth: 'Infinity' }).yellow);
+  // the old and new rows of changed entries are left out, their changes say what changed.
+  const updated = diff.changed.map(updatedEntry);
+  console.log(inspect({ "updated" : updated}, { depth: 'Infinity' }).yellow);
   console.log(inspect({ "unchanged" : diff.unchanged}, { depth: 'Infinity' }).white);
+  printKeyDiffCounts(keyDiffCounts(diff), diff['duplicates']);
+}
+
+/**
+ * Returns a changed entry of a key diff as printKeyDiff shows it: its key and changes, and the fields which matched a
+ * comparison rule if any, without the old and new rows.
+ * @param {Object} entry - changed entry, see keyDiffHelper.
+ * @returns {Object} object with schema {id:[Array], changes:[Array], matched:[Array]}, matched left out if empty.
+ */
+export const updatedEntry = (entry) => {
+  const updated = {'id': entry.id, 'changes': entry.changes};
+  if (entry.matched != null) updated['matched'] = entry.matched;
+  return updated;
+}
+
+/**
+ * Returns the number of rows in each category of a diff returned by keyDiff. A diff returned by filteredKeyDiff holds
+ * the counts of the whole diff.
+ * @param {Object} diff - an object outputted from keyDiff or filteredKeyDiff.
+ * @returns {Object} object with schema {removed:number, added:number, changed:number, unchanged:number}
+ */
+export const keyDiffCounts = (diff) => {
+  if (diff['counts'] != null) return diff['counts'];
+  const counts = {};
+  OUTPUT_CATEGORIES.forEach((category) => {
+    counts[category] = diff[category].length;
+  });
+  return counts;
+}
+
+/**
+ * Prints the stats printKeyDiff ends with: the color code, the number of rows in each category and the duplicate keys.
+ * @param {Object} counts - object with schema {removed:number, added:number, changed:number, unchanged:number}
+ * @param {Object} duplicates - duplicate keys with schema {old:[Array], new:[Array]}, or null.
+ */
+export const printKeyDiffCounts = (counts, duplicates) => {
   // print some stats about the diff
   console.log("color code: green for added, red for deleted, yellow for updated, white for unchanged");
-  console.log(`${diff['removed'].length} removed, ${diff['added'].length} added`);
-  console.log(`${diff['changed'].length} changed, ${diff['unchanged'].length} unchanged`);
+  console.log(`${counts['removed']} removed, ${counts['added']} added`);
+  console.log(`${counts['changed']} changed, ${counts['unchanged']} unchanged`);
+  if (duplicates != null && (duplicates['old'].length > 0 || duplicates['new'].length > 0)) {
+    console.log(inspect({ "duplicates" : duplicates}, { depth: 'Infinity' }).magenta);
+    console.log(`${duplicates['old'].length} duplicate keys in old file, ` +
+      `${duplicates['new'].length} duplicate keys in new file`);
+  }
 }
 
 /**
  * Returns an object representing a diff of oldData and newData based on key.
+ * Keys appearing on more than one row of a file are handled according to CONFIG.duplicateKeys:
+ * - 'fail' (default): reject with a DuplicateKeyError listing the duplicate keys of both files.
+ * - 'first': keep the first row with each key in file order and drop the others.
+ * - 'multiset': rows sharing a key are matched by equality. Equal rows are unchanged, the rest are removed/added.
+ * Rows sharing a key are compared field by field under the comparison rules (see rules.js), and rows which only
+ * differ in fields equal under a rule are unchanged. Rows matched in 'multiset' mode are compared exactly.
  * @param {Object[]} oldData - array containing rows of old .avro file.
  * @param {Object[]} newData - array containing rows of new .avro file.
  * @param {string[]} key  - fields comprising a key to diff oldData and newData
- * @returns {Object} Returns an object with schema {added:[Array], removed:[Array], changed:[Array], unchanged[Array]}
- *                    where the elements of each array are objects with schema {id:[Array], data:{Object}}
+ * @param {Object[]} types - normalized types of the fields of key, see keyTypes in order.js. Omit to order keys by
+ *                         - the kind of their values only.
+ * @param {Object} rules - compiled comparison rules, see compileRules in rules.js. Omit to compare rows exactly.
+ * @returns {Object} Returns an object with schema {added:[Array], removed:[Array], changed:[Array], unchanged[Array],
+ *                    duplicates:{old:[Array], new:[Array]}} where the elements of the first four arrays are objects with
+ *                    schema {id:[Array], data:{Object}}, changed elements also holding the old and new rows and their
+ *                    changed fields with schema {id:[Array], data:{Object}, old:{Object}, new:{Object},
+ *                    changes:[Array]} (see fieldChanges in changes.js), and the elements of duplicates are objects
+ *                    with schema {id:[Array], count:number}. Changed and unchanged elements with fields equal under a
+ *                    rule also list them in matched (see compareRows in changes.js), unchanged ones then holding the
+ *                    old row too.
  */
-export const keyDiffHelper = async (oldData, newData, key) => {
+export const keyDiffHelper = async (oldData, newData, key, types = null, rules = null) => {
   // comparison function to order array based on key.
   // a,b are Objects which represent decoded rows of avro.
   const compare = (a, b) => {
     const arrA = constructKey(a, key);
     const arrB = constructKey(b, key);
-    return lexCompare(arrA, arrB);
+    return lexCompare(arrA, arrB, types);
   }
   // initialize object to print
   const output = {
@@ -174,118 +391,301 @@ export const keyDiffHelper = async (oldData, newData, key) => {
     'added': [],
     'changed': [],
     'unchanged': [],
+    'duplicates': {},
   };
-  // sort oldData and newData according to dictionary order of key
+  // sort oldData and newData according to dictionary order of key, comparing each field by its type.
+  // sort is stable so rows sharing a key stay in file order.
   oldData.sort(compare);
   newData.sort(compare);
-  // initialize pointers i j for oldData newData. While i j are not finished
-  // iterating through oldData newData, update output.
-  for (let i = 0, j = 0; i < oldData.length || j < newData.length;) {
-    const key1 = i === oldData.length ? null : constructKey(oldData[i], key);
-    const key2 = j === newData.length ? null : constructKey(newData[j], key);
-    const order = lexCompare(key1, key2);
-    const jsonDiff = {};
-    // order < 0 => oldData[i] precedes newData[j] => oldData[i] unique => push data
+  const emit = (category, entry) => output[category].push(entry);
+  output['duplicates'] = diffSortedRows(
+    () => arrayReader(oldData), () => arrayReader(newData), key, types, emit, rules
+  );
+  return output;
+}
+
+/**
+ * Diffs oldFile and newFile on key like keyDiff without holding either file in memory: both files are sorted on
+ * disk by an external merge sort (see externalSort.js) within CONFIG.memoryLimit megabytes of buffered rows each, and
+ * then merged. Each entry of the diff is passed to emit as soon as it is found instead of being collected, in the
+ * order keyDiff would list it. Temporary files go to CONFIG.tempDir, or the OS temporary directory if it is null.
+ * Without a memory limit the rows are sorted in memory, still encoded.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts, see keyDiff.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key  - fields comprising a key to diff oldFile and newFile
+ * @param {function} emit - called with the category ('removed', 'added', 'changed' or 'unchanged') and the entry
+ *                        - of every row, see keyDiffHelper for the entries.
+ * @returns {Promise} Promise which resolves to an object with schema {counts:{removed:number, added:number,
+ *                    changed:number, unchanged:number}, duplicates:{old:[Array], new:[Array]}}
+ */
+export const streamKeyDiff = async (oldFile, newFile, key, emit) => {
+  const oldFiles = resolveInput(oldFile);
+  const newFiles = resolveInput(newFile);
+  // check key against both schemas before reading any rows so a bad key fails fast.
+  const [oldSchema, newSchema] = await getReaderSchemas(oldFiles, newFiles, key);
+  const types = keyTypes(newSchema, key);
+  const rules = compileRules(CONFIG.compareRules, newSchema);
+  const counts = {'removed': 0, 'added': 0, 'changed': 0, 'unchanged': 0};
+  const count = (category, entry) => {
+    counts[category]++;
+    emit(category, entry);
+  };
+  const newRows = await sortFile(newFiles, newSchema, key, types);
+  let oldRows = null;
+  try {
+    oldRows = await sortFile(oldFiles, oldSchema, key, types);
+    const duplicates = diffSortedRows(() => oldRows.reader(), () => newRows.reader(), key, types, count, rules);
+    return {'counts': counts, 'duplicates': duplicates};
+  } finally {
+    newRows.cleanup();
+    if (oldRows != null) oldRows.cleanup();
+  }
+}
+
+/**
+ * Returns the rows of the given files sorted by key with an external merge sort, see SortedRows in externalSort.js.
+ * Call cleanup on the result once done with it.
+ * @param {string[]} files - filepaths to the parts of a dataset, see resolveInput in inputs.js.
+ * @param {Object} schema - reader schema, see getReaderSchemas.
+ * @param {string[]} key - fields comprising a key.
+ * @param {Object[]} types - normalized types of the fields of key, see lexCompare.
+ * @returns {Promise} - Promise which resolves to a SortedRows holding the rows of files.
+ */
+const sortFile = async (files, schema, key, types) => {
+  const sorted = new SortedRows(
+    avro.Type.forSchema(schema),
+    row => constructKey(row, key),
+    (id1, id2) => lexCompare(id1, id2, types),
+    // without a memory limit the encoded rows are sorted in memory.
+    {
+      memoryLimit: CONFIG.memoryLimit != null ? CONFIG.memoryLimit * BYTES_PER_MEGABYTE : null,
+      tempDir: CONFIG.tempDir,
+    }
+  );
+  try {
+    await readAvroFiles(files, schema, sorted, sortedRowsParser);
+  } catch (err) {
+    sorted.cleanup();
+    throw err;
+  }
+  sorted.finish();
+  return sorted;
+}
+
+/**
+ * Parser function for sortFile. Adds the given row to the given SortedRows.
+ * @param {SortedRows} sorted - rows of a .avro file being sorted.
+ * @param {Object} row - decoded row from a .avro file.
+ */
+const sortedRowsParser = sorted => row => {
+  sorted.add(row);
+}
+
+/**
+ * Diffs two sequences of rows sorted by key, passing each entry of the diff to emit. Keys appearing on more than one
+ * row are handled according to CONFIG.duplicateKeys, see keyDiffHelper. In 'fail' mode both sequences are read once
+ * to find duplicate keys before anything is emitted, so they must be readable more than once.
+ * @param {function} openOld - returns a new reader over the sorted rows of the old file.
+ * @param {function} openNew - returns a new reader over the sorted rows of the new file.
+ * @param {string[]} key - fields comprising a key.
+ * @param {Object[]} types - normalized types of the fields of key, see lexCompare.
+ * @param {function} emit - called with the category and entry of every row, see streamKeyDiff.
+ * @param {Object} rules - compiled comparison rules, see compileRules in rules.js, or null.
+ * @returns {Object} the duplicate keys with schema {old:[Array], new:[Array]}, see findDuplicateKeys.
+ */
+const diffSortedRows = (openOld, openNew, key, types, emit, rules = null) => {
+  const mode = CONFIG.duplicateKeys == null ? 'fail' : CONFIG.duplicateKeys;
+  if (DUPLICATE_KEY_MODES.indexOf(mode) === -1) {
+    throw new AvroDiffError(`unknown duplicateKeys '${mode}', expected one of ${DUPLICATE_KEY_MODES.join(', ')}`);
+  }
+  if (mode === 'fail') {
+    const duplicates = {
+      'old': findDuplicateKeys(openOld(), key, types),
+      'new': findDuplicateKeys(openNew(), key, types),
+    };
+    if (duplicates['old'].length > 0 || duplicates['new'].length > 0) {
+      throw new DuplicateKeyError(duplicates);
+    }
+  }
+  const oldRows = openOld();
+  const newRows = openNew();
+  const duplicates = {'old': [], 'new': []};
+  // take the rows sharing the next key of rows, noting the key if it is a duplicate.
+  const nextGroup = (rows, side) => {
+    if (rows.peek() == null) return null;
+    const group = takeGroup(rows, key, types);
+    if (group.length > 1) duplicates[side].push({'id': constructKey(group[0], key), 'count': group.length});
+    return mode === 'first' ? group.slice(0, 1) : group;
+  };
+  // initialize groups of rows sharing a key for oldRows newRows. While both are not finished
+  // iterating, emit entries.
+  let oldGroup = nextGroup(oldRows, 'old');
+  let newGroup = nextGroup(newRows, 'new');
+  while (oldGroup != null || newGroup != null) {
+    const key1 = oldGroup == null ? null : constructKey(oldGroup[0], key);
+    const key2 = newGroup == null ? null : constructKey(newGroup[0], key);
+    const order = lexCompare(key1, key2, types);
+    // order < 0 => oldGroup precedes newGroup => oldGroup unique => emit its rows
     if (order < 0) {
-      jsonDiff['id'] = key1;
-      jsonDiff['data'] = oldData[i];
-      output['removed'].push(jsonDiff);
-      i++;
+      oldGroup.forEach(row => emit('removed', {'id': key1, 'data': row}));
+      oldGroup = nextGroup(oldRows, 'old');
     }
-    // order > 0 => newData[j] precedes oldData[i] => newData[j] unique => push data
+    // order > 0 => newGroup precedes oldGroup => newGroup unique => emit its rows
     else if (order > 0) {
-      jsonDiff['id'] = key2;
-      jsonDiff['data'] = newData[j];
-      output['added'].push(jsonDiff);
-      j++;
+      newGroup.forEach(row => emit('added', {'id': key2, 'data': row}));
+      newGroup = nextGroup(newRows, 'new');
     }
-    // else oldData[i] corresponds to newData[j], process both rows
+    // else oldGroup corresponds to newGroup, process both
     else {
-      // If objects are not equal push the diff to 'changed'.
-      const diffObj = detailedDiff(oldData[i], newData[j]);
-      if(!diffIsEmpty(diffObj)) {
-        jsonDiff['id'] = key2;
-        jsonDiff['data'] = diffObj;
-        output['changed'].push(jsonDiff);
-      }
-      // Else the objects are equal, push the ids to 'unchanged'.
-      else {
-        jsonDiff['id'] = key2;
-        jsonDiff['data'] = newData[j];
-        output['unchanged'].push(jsonDiff);
+      // more than one row per key is only left in 'multiset' mode.
+      if (oldGroup.length > 1 || newGroup.length > 1) {
+        multisetDiff(oldGroup, newGroup, key2, emit);
+      } else {
+        diffRows(oldGroup[0], newGroup[0], key2, emit, rules);
       }
-      i++;
-      j++;
+      oldGroup = nextGroup(oldRows, 'old');
+      newGroup = nextGroup(newRows, 'new');
     }
   }
-  // at this point we have compared all elements of oldData, newData so we return.
-  return output;
+  return duplicates;
 }
 
 /**
- * Returns an array containing the rows of the given file.
- * @param {string} file - filepath to .avro file
+ * Diffs two rows sharing the key id and emits them as changed or unchanged.
+ * @param {Object} oldRow - row of the old file.
+ * @param {Object} newRow - row of the new file.
+ * @param {Array} id - the shared key.
+ * @param {function} emit - called with the category and entry, see streamKeyDiff.
+ * @param {Object} rules - compiled comparison rules, see compileRules in rules.js, or null.
+ */
+const diffRows = (oldRow, newRow, id, emit, rules = null) => {
+  const {changes, matched} = compareRows(oldRow, newRow, rules);
+  // If objects are not equal emit the diff as changed.
+  if (changes.length > 0) {
+    const entry = {
+      'id': id,
+      'data': detailedDiff(oldRow, newRow),
+      'old': oldRow,
+      'new': newRow,
+      'changes': changes,
+    };
+    if (matched.length > 0) entry['matched'] = matched;
+    emit('changed', entry);
+  }
+  // Else if they are only equal under the rules, emit the row as unchanged with both sides and the rules matched.
+  else if (matched.length > 0) {
+    emit('unchanged', {'id': id, 'data': newRow, 'old': oldRow, 'matched': matched});
+  }
+  // Else the objects are equal, emit the row as unchanged.
+  else {
+    emit('unchanged', {'id': id, 'data': newRow});
+  }
+}
+
+/**
+ * Returns an array containing the rows of the given file, or of every part of a partitioned dataset in order.
+ * @param {string|string[]} file - filepath to .avro or JSON file, or glob or array of its parts, see inputs.js.
+ * @param {string[]} key - fields which must be in the schema the file is read with. Defaults to none.
  * @returns {Promise} - Promise which resolves to an Object[] containing the rows of the given file.
+ *                    - Rejects with a KeyFieldMissingError if a field of key is not in the schema.
  */
-export const extractRows = async (file) => {
-  const schema = await getOriginalSchema(file).then(filteredSchema);
-  const fileData = await readAvroFile(makeDecoder(file, {readerSchema: schema}), [], extractRowsParser).then(passThrough);
-  return fileData;
+export const extractRows = async (file, key = []) => {
+  const files = resolveInput(file);
+  // with no other dataset to take a schema from, JSON files need CONFIG.schema.
+  const [schema] = await getReaderSchemas(files, files, key);
+  return readRows(files, schema);
 }
 
 /**
- * Parser function for extractRows. Pushes the given row to the given array.
- * @param {Object[]} arr - array to be filled with rows of a .avro file.
- * @param {Object} row - decoded row from a .avro file.
+ * Reads the rows of the given file one at a time with readAvroFile, so no rows are kept once parsed.
+ * @param {string|string[]} file - filepath to .avro or JSON file, or glob or array of its parts, see inputs.js.
+ * @param {Object} schema - reader schema to decode every part with, see readInputSchemas.
+ * @param {function} parse - called with every row, in file order.
+ * @returns {Promise} - Promise which resolves once every row is parsed, or rejects with the first error raised.
  */
-const extractRowsParser = arr => row => {
-  arr.push(row);
+export const forEachRow = async (file, schema, parse) => {
+  await readAvroFiles(resolveInput(file), schema, null, () => parse);
 }
 
-/* <=== Misc helper functions ===> */
+/**
+ * Returns the schemas two datasets are read with, see getRenamedSchemas, checking that both hold the key.
+ * @param {string[]} oldFiles - filepaths to the parts of the old dataset, see resolveInput in inputs.js.
+ * @param {string[]} newFiles - filepaths to the parts of the new dataset.
+ * @param {string[]} key - fields which must be in both schemas. Defaults to none.
+ * @returns {Promise} - Promise which resolves to the reader schemas [old, new].
+ *                    - Rejects with a KeyFieldMissingError if a field of key is not in a schema.
+ */
+const getReaderSchemas = async (oldFiles, newFiles, key = []) => {
+  const schemas = await getRenamedSchemas(oldFiles, newFiles);
+  checkKeyFields(schemas[0], key, inputName(oldFiles));
+  checkKeyFields(schemas[1], key, inputName(newFiles));
+  return schemas;
+}
 
 /**
- * Returns true if diffObj represents no differences and false otherwise.
- * @param {Object} diffObj - Object representing a diff using the deep-object-diff library
- * @returns {boolean} - returns true if diffObj is empty or all its fields are empty.
+ * Returns the schemas of two datasets, see getOriginalSchemas, with the renamed fields of the old schema under their
+ * names in the new schema (see renames.js) so rows of both decode to the same fields, filtered by CONFIG.keepFields
+ * and CONFIG.ignoreFields.
+ * @param {string[]} oldFiles - filepaths to the parts of the old dataset, see resolveInput in inputs.js.
+ * @param {string[]} newFiles - filepaths to the parts of the new dataset.
+ * @returns {Promise} - Promise which resolves to the reader schemas [old, new].
+ *                    - Rejects with an AvroDiffError if CONFIG.renames does not fit the schemas.
  */
-const diffIsEmpty = (diffObj) => {
-  return isEmpty(diffObj) || (isEmpty(diffObj['added']) && isEmpty(diffObj['deleted']) && isEmpty(diffObj['updated']));
+const getRenamedSchemas = async (oldFiles, newFiles) => {
+  const [oldSchema, newSchema] = await getOriginalSchemas(oldFiles, newFiles);
+  return [renameFields(oldSchema, newSchema)['schema'], newSchema].map(filteredSchema);
 }
 
 /**
- * Checks if the given object is empty.
- * @param {Object} obj - Object to check for being empty.
- * @returns {boolean} - true if obj is empty or null and false otherwise.
+ * Returns an array containing the rows of the given files decoded with the given reader schema.
+ * @param {string[]} files - filepaths to the parts of a dataset, see resolveInput in inputs.js.
+ * @param {Object} schema - reader schema, see getReaderSchemas.
+ * @returns {Promise} - Promise which resolves to an Object[] containing the rows of the given files.
  */
-const isEmpty = (obj) => {
-  return obj == null || Object.keys(obj).length === 0;
+const readRows = async (files, schema) => {
+  const fileData = await readAvroFiles(files, schema, [], extractRowsParser).then(passThrough);
+  return fileData;
 }
 
+/**
+ * Parser function for extractRows. Pushes the given row to the given array.
+ * @param {Object[]} arr - array to be filled with rows of a .avro file.
+ * @param {Object} row - decoded row from a .avro file.
+ */
+const extractRowsParser = arr => row => {
+  arr.push(row);
+}
+
+/* <=== Misc helper functions ===> */
+
 /**
  * Constructs a composite key of row with respect to fields.
- * The composite key is an array of row['field'] where field iterates over fields.
+ * The composite key is an array of the values at each field path in fields, see paths.js. Values keep their
+ * decoded type so they can be compared by it, and missing values are null.
  * @param {Object} row - decoded row from avro file.
- * @param {string[]} fields - fields which constitute a composite key for the avro file row was decoded from.
- * @returns {string[]} - returns array of row['field'] where field iterates over fields.
+ * @param {string[]} fields - field paths which constitute a composite key for the avro file row was decoded from.
+ * @returns {Array} - returns array of the value of row at field where field iterates over fields.
  */
 export const constructKey = (row, fields) => {
   if (row == null) return null;
   const result = fields.map(field => {
-    return String(row[field]);
+    const value = getPath(row, field);
+    return value === undefined ? null : value;
   });
   return result;
 }
 
 /**
- * Lexicographic order for two arrays of strings.
- * Null/undefined are ahead of the order compared to any non-null object.
- * @param {string[]} id1 - first array to compare
- * @param {string[]} id2 - second array to compare
+ * Lexicographic order for two composite keys, comparing each field by its Avro type, see order.js.
+ * Null/undefined keys are ahead of the order compared to any non-null key.
+ * @param {Array} id1 - first array to compare
+ * @param {Array} id2 - second array to compare
+ * @param {Object[]} types - normalized types of the fields of the keys, see keyTypes in order.js. Omit to compare
+ *                         - values by their kind only.
  * @returns {number}  returns a negative number if id1 < id2,
  *                    a positive number if id1 > id2, 0 otherwise
  */
-export const lexCompare = (id1, id2) => {
+export const lexCompare = (id1, id2, types = null) => {
   // null goes to the end of the ordering to make keyDiffHelper more elegant.
   if (id1 == null && id2 == null) return 0;
   if (id1 == null) return 1;
@@ -294,11 +694,9 @@ export const lexCompare = (id1, id2) => {
   const len = Math.min(id1.length, id2.length);
   for (let i = 0; i < len; i++) {
       // mismatch => return corresponding output.
-      if (id1[i] < id2[i]) {
-          return -1;
-      }
-      if (id1[i] > id2[i]) {
-          return 1;
+      const order = compareValues(id1[i], id2[i], types == null ? null : types[i]);
+      if (order !== 0) {
+          return order;
       }
   }
   // no return so far => one array is a prefix of the other.
@@ -307,6 +705,100 @@ export const lexCompare = (id1, id2) => {
 }
 
 
+/**
+ * Throws a KeyFieldMissingError if a field path of key does not lead to a value in schema.
+ * @param {Object} schema - schema a file is read with.
+ * @param {string[]} key - field paths comprising a key.
+ * @param {string} file - filepath of the file read with schema, for the error message.
+ */
+const checkKeyFields = (schema, key, file) => {
+  key.forEach((field) => {
+    let found;
+    try {
+      found = schemaHasPath(schema, field);
+    } catch (err) {
+      // not a valid path.
+      found = false;
+    }
+    if (!found) throw new KeyFieldMissingError(field, file);
+  });
+}
+
+/**
+ * Returns a reader over rows already sorted in an array, with the interface of the readers in externalSort.js.
+ * @param {Object[]} rows - rows sorted by key.
+ * @returns {Object} reader with methods peek() and next() returning the current row, or null once done.
+ */
+const arrayReader = (rows) => {
+  let index = 0;
+  return {
+    peek: () => (index < rows.length ? rows[index] : null),
+    next: () => (index < rows.length ? rows[index++] : null),
+  };
+}
+
+/**
+ * Takes the rows sharing the key of the next row from a reader.
+ * @param {Object} rows - reader over rows sorted by key, positioned on a row.
+ * @param {string[]} key - fields comprising a key.
+ * @param {Object[]} types - normalized types of the fields of key, see lexCompare.
+ * @returns {Object[]} the rows with the next key, in file order.
+ */
+const takeGroup = (rows, key, types) => {
+  const group = [rows.next()];
+  const id = constructKey(group[0], key);
+  while (rows.peek() != null && lexCompare(constructKey(rows.peek(), key), id, types) === 0) {
+    group.push(rows.next());
+  }
+  return group;
+}
+
+/**
+ * Returns the keys which appear on more than one row.
+ * @param {Object} rows - reader over rows sorted by key.
+ * @param {string[]} key - fields comprising a key.
+ * @param {Object[]} types - normalized types of the fields of key, see lexCompare.
+ * @returns {Object[]} array of objects with schema {id:[Array], count:number}.
+ */
+const findDuplicateKeys = (rows, key, types) => {
+  const duplicates = [];
+  while (rows.peek() != null) {
+    const group = takeGroup(rows, key, types);
+    if (group.length > 1) {
+      duplicates.push({'id': constructKey(group[0], key), 'count': group.length});
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Diffs rows sharing the key id as multisets and emits the results: each new row equal to a remaining
+ * old row is unchanged, other new rows are added and old rows left over are removed.
+ * @param {Object[]} oldRows - rows of the old file with key id.
+ * @param {Object[]} newRows - rows of the new file with key id.
+ * @param {Array} id - the shared key.
+ * @param {function} emit - called with the category and entry, see streamKeyDiff.
+ */
+const multisetDiff = (oldRows, newRows, id, emit) => {
+  // stringified row => old rows not yet matched.
+  const unmatched = new Map();
+  oldRows.forEach((row) => {
+    const str = stableStringify(row);
+    if (!unmatched.has(str)) unmatched.set(str, []);
+    unmatched.get(str).push(row);
+  });
+  newRows.forEach((row) => {
+    const rows = unmatched.get(stableStringify(row));
+    if (rows != null && rows.length > 0) {
+      rows.pop();
+      emit('unchanged', {'id': id, 'data': row});
+    } else {
+      emit('added', {'id': id, 'data': row});
+    }
+  });
+  unmatched.forEach(rows => rows.forEach(row => emit('removed', {'id': id, 'data': row})));
+}
+
 // this function is used to get result objects out of a Promise
 const passThrough = res => res;
 
@@ -314,43 +806,206 @@ const passThrough = res => res;
 
 /* <=== Helper functions for reading .avro files ===> */
 
-// snappy codecs to be passed as field in opts into createFileDecoder from avsc.
-// See https://github.com/mtth/avsc/wiki/API#class-blockdecoderopts
-const codecs = {
-  // eslint-disable-next-line promise/prefer-await-to-callbacks
-  snappy : function (buf, cb) {
-    // Avro appends checksums to compressed blocks, which we skip here.
-    // eslint-disable-next-line no-magic-numbers
-    return snappy.uncompress(buf.slice(0, buf.length - 4), cb);
-  },
-};
+/**
+ * BlockDecoder for a single .avro file which emits every failure as one of the typed errors in errors.js.
+ * avsc emits plain errors, or throws from inside its stream, and silently drops a truncated final block (which
+ * makeDecoder detects, see blockFraming); FileDecoder turns all of these into error events carrying the filepath.
+ */
+class FileDecoder extends avro.streams.BlockDecoder {
+  constructor(file, opts) {
+    super(opts);
+    this.file = file;
+    this.headerDecoded = false;
+    this.once('metadata', () => {
+      this.headerDecoded = true;
+    });
+    this.on('finish', () => {
+      if (!this.headerDecoded) this.emit('error', new Error('file ended before the end of the header'));
+    });
+  }
+
+  emit(event, ...args) {
+    if (event === 'error' && !(args[0] instanceof AvroDiffError)) {
+      return super.emit(event, this.typedError(args[0]));
+    }
+    return super.emit(event, ...args);
+  }
+
+  /**
+   * Wraps an error raised while reading this file in the matching error class.
+   * @param {Error} err - error raised by fs or avsc.
+   * @returns {AvroDiffError} typed error.
+   */
+  typedError(err) {
+    if (err.code === 'ENOENT') return new FileNotFoundError(this.file, err);
+    if (/^unknown codec/.test(err.message)) {
+      const message = `${this.file}: ${err.message} (see the codecs in the README)`;
+      return new AvroDiffError(message, {file: this.file, cause: err});
+    }
+    if (/precision loss/.test(err.message)) {
+      const message = `${this.file}: ${err.message} (see Known issues in the README)`;
+      return new AvroDiffError(message, {file: this.file, cause: err});
+    }
+    if (!this.headerDecoded) return new SchemaParseError(this.file, err);
+    return new CorruptBlockError(this.file, err);
+  }
+}
 
 /**
  * Creates a fileDecoder for the given file and options. Provide opts.readerSchema to decode
  * with a hard-coded schema as opposed to reading in the schema from the file.
+ * The codec is picked per file from its 'avro.codec' header, see codecs.js.
+ * Failures, including a missing file, are emitted as 'error' events holding the errors in errors.js.
  * @param {string} file - filepath to .avro file.
  * @param {Object} opts - Object containing decoding options. See https://github.com/mtth/avsc/wiki/API#class-blockdecoderopts
  * @returns {fileDecoder} fileDecoder for the given file according to the given options.
  */
 const makeDecoder = (file, opts = {}) => {
-  if (CONFIG.codecs == null || CONFIG.codecs.toLowerCase() !== 'snappy') {
-    return avro.createFileDecoder(
-      file,
-      {
-        ...(opts && opts.readerSchema ? { readerSchema: opts.readerSchema } : {}),
-      }
-    );
-  } else {
-    return avro.createFileDecoder(
+  let decoder;
+  try {
+    decoder = new FileDecoder(
       file,
       {
-        codecs,
+        codecs: CODECS,
         ...(opts && opts.readerSchema ? { readerSchema: opts.readerSchema } : {}),
       }
     );
+  } catch (err) {
+    // avsc parses the reader schema in the constructor.
+    throw new SchemaParseError('reader schema', err);
   }
+  // pipe the file into the decoder by hand: avsc can throw from write() on a corrupt header, which pipe() would
+  // turn into an uncaught exception.
+  const source = fs.createReadStream(file);
+  const fail = (err) => {
+    source.destroy();
+    decoder.destroy(err);
+  };
+  // chunks held back until the header is complete and checked, then null.
+  let header = [];
+  // framing of the data blocks following the header, to tell whether the file ends in the middle of one.
+  const framing = blockFraming();
+  source.on('error', fail);
+  source.on('data', (chunk) => {
+    try {
+      if (header != null) {
+        header.push(chunk);
+        const buf = Buffer.concat(header);
+        const headerLength = checkHeader(buf);
+        if (headerLength == null) return;
+        header = null;
+        chunk = buf;
+        framing.push(buf.slice(headerLength));
+      } else {
+        framing.push(chunk);
+      }
+      if (!decoder.write(chunk)) {
+        source.pause();
+        decoder.once('drain', () => source.resume());
+      }
+    } catch (err) {
+      fail(err);
+    }
+  });
+  source.on('end', () => {
+    // an incomplete header is passed on so the decoder reports the file as truncated.
+    if (header != null && header.length > 0) decoder.write(Buffer.concat(header));
+    if (header == null && !framing.complete()) {
+      fail(new Error('truncated block'));
+      return;
+    }
+    decoder.end();
+  });
+  decoder.on('close', () => source.destroy());
+  return decoder;
 };
 
+/**
+ * Checks the lengths in the header of an .avro file before avsc reads it: avsc allocates byte strings from a buffer
+ * pool shared by the whole process, and a negative length in a corrupt header leaves that pool broken, so every file
+ * read afterwards fails.
+ * @param {Buffer} buf - the first bytes of the file.
+ * @returns {number} length of the header in bytes if buf holds all of it, null if more bytes are needed.
+ * @throws {Error} if a length in the header is negative.
+ */
+const checkHeader = (buf) => {
+  // magic bytes, then the metadata map as blocks of string keys and bytes values, then the sync marker.
+  let pos = HEADER_MAGIC_BYTES;
+  const readLong = () => {
+    let n = 0;
+    let factor = 1;
+    let b;
+    do {
+      if (pos >= buf.length) return null;
+      b = buf[pos++];
+      n += (b & 0x7f) * factor;
+      factor *= 128;
+    } while (b & 0x80);
+    // zigzag decoding.
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+  };
+  for (;;) {
+    let count = readLong();
+    if (count == null) return null;
+    if (count === 0) break;
+    if (count < 0) {
+      // a negative count is followed by the size of the block in bytes.
+      count = -count;
+      if (readLong() == null) return null;
+    }
+    for (let i = 0; i < 2 * count; i++) {
+      const len = readLong();
+      if (len == null) return null;
+      if (len < 0) throw new Error(`negative length ${len} in header`);
+      pos += len;
+    }
+  }
+  return pos + HEADER_SYNC_BYTES <= buf.length ? pos + HEADER_SYNC_BYTES : null;
+}
+
+/**
+ * Returns a tracker of the data blocks of an .avro file, fed the bytes following the header as they are read. Each
+ * block is its row count and size in bytes as zigzag varints, then that many bytes and the sync marker, so the file
+ * ends cleanly only between blocks.
+ * @returns {Object} tracker with methods push(chunk), called with every chunk of bytes, and complete(), which is
+ *                   true if the bytes pushed so far end at the end of a block.
+ */
+const blockFraming = () => {
+  // bytes left in the current block, the varint being read and which of count and size it is.
+  let skip = 0;
+  let value = 0;
+  let factor = 1;
+  let reading = false;
+  let readingSize = false;
+  return {
+    push: (chunk) => {
+      let i = 0;
+      while (i < chunk.length) {
+        if (skip > 0) {
+          const step = Math.min(skip, chunk.length - i);
+          skip -= step;
+          i += step;
+          continue;
+        }
+        const b = chunk[i++];
+        reading = true;
+        value += (b & 0x7f) * factor;
+        factor *= 128;
+        if (b & 0x80) continue;
+        // zigzag decoding.
+        const n = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+        value = 0;
+        factor = 1;
+        reading = false;
+        // the sync marker ending a block is the one ending the header.
+        if (readingSize) skip = Math.max(n, 0) + HEADER_SYNC_BYTES;
+        readingSize = !readingSize;
+      }
+    },
+    complete: () => skip === 0 && !reading && !readingSize,
+  };
+}
+
 /**
  * Returns a Promise resolving to responseObj after parsing decoder with a given parsing function.
  * @param {fileDecoder} decoder - fileDecoder which streams rows of a .avro file.
@@ -358,46 +1013,142 @@ const makeDecoder = (file, opts = {}) => {
  * @param {function} parser - function of function run on each row which is passed responseObj then the current row.
  *                          - See extractRowsParser and vennParser
  * @param {Object} opts - Object containing options for decoder. See https://github.com/mtth/avsc/wiki/API#class-blockdecoderopts
- * @returns {Promise} Promise which resolves to responseObj
+ * @returns {Promise} Promise which resolves to responseObj, or rejects with the first error raised by decoder or parser.
  */
 const readAvroFile = async (decoder, responseObj = {}, parser = () => {}, opts = {}) => {
-  return new Promise((resolve) => {
-      decoder.on('data', parser(responseObj, opts));
-      decoder.on('end', () => {
+  return new Promise((resolve, reject) => {
+    const parse = parser(responseObj, opts);
+    decoder.on('data', (row) => {
+      try {
+        parse(row);
+      } catch (err) {
+        decoder.destroy();
+        reject(err);
+      }
+    });
+    decoder.on('error', reject);
+    decoder.on('end', () => {
       resolve(responseObj);
     });
   });
 };
 
+/**
+ * Reads the given files one after the other with readAvroFile, passing the rows of all of them to one parser.
+ * JSON files are read with readJsonRows instead, see jsonInput.js.
+ * @param {string[]} files - filepaths to the parts of a dataset, see resolveInput in inputs.js.
+ * @param {Object} schema - reader schema to decode every file with.
+ * @param {Object} responseObj - Object passed into parser for each row.
+ * @param {function} parser - function of function run on each row, see readAvroFile.
+ * @returns {Promise} Promise which resolves to responseObj, or rejects with the first error raised.
+ */
+const readAvroFiles = async (files, schema, responseObj = {}, parser = () => {}) => {
+  const parse = parser(responseObj);
+  let type = null;
+  for (const file of files) {
+    if (isJsonFile(file)) {
+      type = type != null ? type : avro.Type.forSchema(schema);
+      await readJsonRows(file, type, parse);
+    } else {
+      await readAvroFile(makeDecoder(file, {readerSchema: schema}), responseObj, () => parse);
+    }
+  }
+  return responseObj;
+}
+
 /**
  * Returns a Promise resolving to the schema for the file corresponding to the passed in decoder.
+ * The decoder is closed once the schema is read.
  * @param {fileDecoder} decoder - decoder for a fixed .avro file
  * @returns {Promise} Promise resolving to Object representing schema of file corresponding to decoder.
  */
 const getAvroSchema = async (decoder) => {
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
+    decoder.on('error', reject);
     decoder.on('metadata', (type, codec, header) => {
       let meta = header.meta['avro.schema'];
       let metaString = meta.toString();
       let schema = JSON.parse(metaString);
+      decoder.destroy();
       resolve(schema);
     });
   });
 };
 
 /**
- * Returns a Promise resolving to the schema of the given file.
- * @param {string} file - filepath to .avro file
- * @returns {Promise} - Promise which resolves to the schema of the given file.
+ * Returns a Promise resolving to the schemas of two datasets, see getOriginalSchema. A dataset of JSON files only
+ * has no schema of its own and is read with the schema of the other dataset.
+ * @param {string[]} oldFiles - filepaths to the parts of the old dataset, see resolveInput in inputs.js.
+ * @param {string[]} newFiles - filepaths to the parts of the new dataset.
+ * @returns {Promise} - Promise which resolves to the schemas [old, new].
+ *                    - Rejects with a SchemaParseError if neither dataset has a schema.
  */
-const getOriginalSchema = async (file) => {
-  if (CONFIG.schema != null) {
-    return CONFIG.schema;
-  } else {
-    let decoder = makeDecoder(file);
-    let schema = await getAvroSchema(decoder);
-    return schema;
+const getOriginalSchemas = async (oldFiles, newFiles) => {
+  const oldSchema = await getOriginalSchema(oldFiles);
+  const newSchema = await getOriginalSchema(newFiles);
+  if (oldSchema == null && newSchema == null) {
+    const reason = 'JSON files need a schema, set CONFIG.schema or diff them against an .avro file';
+    throw new SchemaParseError(inputName(oldFiles), new Error(reason));
+  }
+  return [oldSchema != null ? oldSchema : newSchema, newSchema != null ? newSchema : oldSchema];
+}
+
+/**
+ * Returns a Promise resolving to the schema of the given files: CONFIG.schema, or the schema of the first .avro file.
+ * Every other .avro file must be readable with it, so the parts of a dataset decode to rows of one schema. JSON
+ * files are decoded through it, see jsonInput.js.
+ * @param {string[]} files - filepaths to the parts of a dataset, see resolveInput in inputs.js.
+ * @returns {Promise} - Promise which resolves to the schema of the given files, or null if they are all JSON files
+ *                    - and CONFIG.schema is null.
+ *                    - Rejects with an IncompatiblePartsError if a file cannot be read with it.
+ */
+const getOriginalSchema = async (files) => {
+  const avroFiles = files.filter(file => !isJsonFile(file));
+  if (CONFIG.schema == null && avroFiles.length === 0) return null;
+  const schema = CONFIG.schema != null ? CONFIG.schema : await readFileSchema(avroFiles[0]);
+  const source = CONFIG.schema != null ? 'CONFIG.schema' : avroFiles[0];
+  // rows are diffed field by field, so only record schemas make sense.
+  if (schema == null || !Array.isArray(schema.fields)) {
+    throw new SchemaParseError(source, new Error('schema is not a record with fields'));
   }
+  // a single file is left to avsc, which fails on the first row it cannot resolve.
+  if (files.length > 1) {
+    for (const file of avroFiles) {
+      const writerSchema = await readFileSchema(file);
+      const result = compatibilityHelper(writerSchema, schema, 'backward');
+      if (!result['compatible']) throw new IncompatiblePartsError(file, source, result['issues']);
+    }
+  }
+  return schema;
+}
+
+/**
+ * Returns a Promise resolving to the schemas the two sides of a diff are read with, see getOriginalSchema. Given a
+ * key, the schemas are filtered by keepFields and ignoreFields and must hold the key, like the schemas keyDiff reads
+ * rows with.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key - fields comprising a key, or null for the schemas before filtering.
+ * @returns {Promise} - Promise which resolves to the schemas [old, new].
+ *                    - Rejects with a KeyFieldMissingError if a field of key is not in a schema.
+ */
+export const readInputSchemas = async (oldFile, newFile, key = null) => {
+  const oldFiles = resolveInput(oldFile);
+  const newFiles = resolveInput(newFile);
+  if (key != null) return getReaderSchemas(oldFiles, newFiles, key);
+  return getOriginalSchemas(oldFiles, newFiles);
+}
+
+/**
+ * Returns a Promise resolving to the schema embedded in the header of the given file.
+ * Unlike getOriginalSchema this ignores CONFIG.schema, so it always reflects what the writer used.
+ * @param {string} file - filepath to .avro file
+ * @returns {Promise} - Promise which resolves to the writer schema of the given file.
+ */
+export const readFileSchema = async (file) => {
+  let decoder = makeDecoder(file);
+  let schema = await getAvroSchema(decoder);
+  return schema;
 }
 
 /* <=== End of helper functions for reading .avro files ===> */
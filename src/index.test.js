@@ -1,25 +1,269 @@
 const {keyDiff} = require('./index.js');
+const {avroMatchers} = require('./dataTest.js');
+
+expect.extend(avroMatchers);
 
 const file1 = 'avro/submissions/studentAssignmentsOld.avro';
-const file2 = 'avro/submissions/studentAssignmentsNew.avro';
+const file2 = 'avro/fake_account_tc_guid_1/studentAssignments.avro';
 const key = ['studentId', 'assignmentId'];
 
 test('keys are unique', async () => {
-  const diff = await keyDiff(file1, file2, key);
-
-  // set containing ids
-  const ids = new Set();
-
-  // we assume id's don't contain commas then a comma is a sufficient delimiter.
-  // replace delimiter with any string that provides a hash for the array
-  let delimiter = ',';
-
-  for (var category in diff) {
-    for (let i = 0; i < diff[category].length || 0; i++) {
-      let id = diff[category][i].id;
-      let hash = id.join(delimiter);
-      expect(ids.has(hash)).toBe(false);
-      ids.add(hash);
-    }
-  }
+  await expect(file1).toHaveUniqueKey(key);
+  await expect(file2).toHaveUniqueKey(key);
+});
+
+describe('errors', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const {setConfig} = require('./config.js');
+  const {FileNotFoundError, CorruptBlockError, KeyFieldMissingError} = require('./errors.js');
+
+  const sample = 'avro/sample_avro/userdata1.avro';
+
+  beforeAll(() => {
+    setConfig({keepFields: ['id', 'first_name']});
+  });
+
+  test('missing files reject with FileNotFoundError', async () => {
+    await expect(keyDiff(sample, 'avro/missing.avro', ['id'])).rejects.toBeInstanceOf(FileNotFoundError);
+  });
+
+  test('missing key fields reject with KeyFieldMissingError', async () => {
+    await expect(keyDiff(sample, sample, ['identifier'])).rejects.toBeInstanceOf(KeyFieldMissingError);
+  });
+
+  test('a corrupt header does not break reading other files', async () => {
+    const {SchemaParseError} = require('./errors.js');
+    const corrupt = 'avro/fake_account_tc_guid_1/assetStudents.avro';
+
+    await expect(keyDiff(corrupt, sample, ['id'])).rejects.toBeInstanceOf(SchemaParseError);
+    const diff = await keyDiff(sample, sample, ['id']);
+    expect(diff.unchanged.length).toBe(1000);
+  });
+
+  test('truncated files reject with CorruptBlockError', async () => {
+    const truncated = path.join(os.tmpdir(), 'avro_diff_truncated.avro');
+    fs.writeFileSync(truncated, fs.readFileSync(sample).slice(0, 50000));
+
+    await expect(keyDiff(sample, truncated, ['id'])).rejects.toBeInstanceOf(CorruptBlockError);
+    fs.unlinkSync(truncated);
+  });
+});
+
+describe('duplicate keys', () => {
+  const {keyDiffHelper} = require('./index.js');
+  const {setConfig} = require('./config.js');
+  const {DuplicateKeyError} = require('./errors.js');
+
+  const oldRows = () => [{k: 1, v: 'a'}, {k: 2, v: 'b'}, {k: 2, v: 'c'}];
+  const newRows = () => [{k: 2, v: 'c'}, {k: 2, v: 'd'}, {k: 1, v: 'a'}];
+
+  afterEach(() => {
+    setConfig({duplicateKeys: 'fail'});
+  });
+
+  test('fail rejects with every duplicate key', async () => {
+    const result = keyDiffHelper(oldRows(), newRows(), ['k']);
+
+    await expect(result).rejects.toBeInstanceOf(DuplicateKeyError);
+    await expect(result).rejects.toHaveProperty('duplicates', {
+      old: [{id: [2], count: 2}],
+      new: [{id: [2], count: 2}],
+    });
+  });
+
+  test('first keeps the first row in file order', async () => {
+    setConfig({duplicateKeys: 'first'});
+    const diff = await keyDiffHelper(oldRows(), newRows(), ['k']);
+
+    expect(diff.changed).toEqual([{
+      id: [2],
+      data: {added: {}, deleted: {}, updated: {v: 'c'}},
+      old: {k: 2, v: 'b'},
+      new: {k: 2, v: 'c'},
+      changes: [{path: 'v', kind: 'updated', old: 'b', new: 'c'}],
+    }]);
+    expect(diff.duplicates.old).toEqual([{id: [2], count: 2}]);
+  });
+
+  test('multiset matches equal rows', async () => {
+    setConfig({duplicateKeys: 'multiset'});
+    const diff = await keyDiffHelper(oldRows(), newRows(), ['k']);
+
+    expect(diff.unchanged.map(entry => entry.data.v)).toEqual(['a', 'c']);
+    expect(diff.removed.map(entry => entry.data.v)).toEqual(['b']);
+    expect(diff.added.map(entry => entry.data.v)).toEqual(['d']);
+  });
+});
+
+describe('memory limit', () => {
+  const {streamKeyDiff} = require('./index.js');
+  const {setConfig} = require('./config.js');
+
+  const file1 = 'avro/sample_avro/userdata1.avro';
+  const file2 = 'avro/sample_avro/userdata2.avro';
+
+  afterEach(() => {
+    setConfig({keepFields: null, memoryLimit: null});
+  });
+
+  test('sorting on disk gives the same diff as sorting in memory', async () => {
+    setConfig({keepFields: ['id', 'first_name', 'email']});
+    const inMemory = await keyDiff(file1, file2, ['id']);
+    setConfig({memoryLimit: 0.01});
+    const onDisk = await keyDiff(file1, file2, ['id']);
+
+    expect(onDisk).toEqual(inMemory);
+  });
+
+  test('streamKeyDiff emits every entry and counts them', async () => {
+    setConfig({keepFields: ['id', 'first_name'], memoryLimit: 0.01});
+    const categories = [];
+    const result = await streamKeyDiff(file1, file2, ['id'], category => categories.push(category));
+
+    expect(categories.length).toBe(1000);
+    expect(result.counts.changed).toBe(categories.filter(category => category === 'changed').length);
+  });
+
+  test('filteredKeyDiff never keeps entries past the limit or outside the sample, but counts them', async () => {
+    const {filteredKeyDiff} = require('./index.js');
+    setConfig({keepFields: ['id', 'first_name']});
+    const whole = await keyDiff(file1, file2, ['id']);
+    const counts = {removed: whole.removed.length, added: whole.added.length, changed: whole.changed.length,
+      unchanged: whole.unchanged.length};
+
+    setConfig({limit: 3});
+    const limited = await filteredKeyDiff(file1, file2, ['id']);
+    expect(limited.changed).toEqual(whole.changed.slice(0, 3));
+    expect(limited.removed).toEqual(whole.removed.slice(0, 3));
+    expect(limited.counts).toEqual(counts);
+
+    setConfig({limit: null, sample: 5, only: ['changed']});
+    const sampled = await filteredKeyDiff(file1, file2, ['id']);
+    expect(sampled.changed).toHaveLength(5);
+    expect(sampled.removed).toHaveLength(0);
+    sampled.changed.forEach(entry => expect(whole.changed).toContainEqual(entry));
+    expect(sampled.counts).toEqual(counts);
+    setConfig({sample: null, only: null});
+  });
+});
+
+describe('venn modes', () => {
+  const {vennDiff} = require('./index.js');
+  const {setConfig} = require('./config.js');
+
+  const file1 = 'avro/sample_avro/userdata1.avro';
+  const file2 = 'avro/sample_avro/userdata4.avro';
+  const total = counts => Object.keys(counts).reduce((sum, str) => sum + counts[str], 0);
+
+  afterEach(() => {
+    setConfig({keepFields: null, vennMode: 'rows'});
+  });
+
+  test('hash mode finds the same added and removed rows', async () => {
+    setConfig({keepFields: ['gender', 'country']});
+    const rows = await vennDiff(file1, file2);
+    setConfig({vennMode: 'hash'});
+    const hashes = await vennDiff(file1, file2);
+
+    expect(hashes.added).toEqual(rows.added);
+    expect(hashes.removed).toEqual(rows.removed);
+    expect(total(hashes.intersection)).toBe(total(rows.intersection));
+    expect(Object.keys(hashes.intersection).length).toBe(Object.keys(rows.intersection).length);
+  });
+
+  test('unknown modes are rejected', async () => {
+    setConfig({vennMode: 'bloom'});
+    await expect(vennDiff(file1, file2)).rejects.toThrow(/unknown vennMode/);
+  });
+});
+
+describe('partitioned inputs', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const {extractRows, vennDiff} = require('./index.js');
+  const {setConfig} = require('./config.js');
+  const {IncompatiblePartsError} = require('./errors.js');
+  const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+  const file = 'avro/sample_avro/userdata1.avro';
+  const keepFields = ['id', 'first_name', 'email'];
+  const userdata = JSON.parse(fs.readFileSync('avro/sample_avro/userdata.avsc', 'utf8'));
+  const schema = {...userdata, fields: userdata.fields.filter(field => keepFields.indexOf(field.name) !== -1)};
+  let dir;
+
+  const writeFile = (name, rows, writerSchema = schema) => writeAvroFile(path.join(dir, name), writerSchema, rows);
+
+  beforeAll(async () => {
+    dir = makeTempDir('parts');
+    setConfig({keepFields});
+    const rows = await extractRows(file);
+    // the old dataset splits the rows in halves, the new one by parity of id.
+    await writeFile('old-0.avro', rows.slice(0, 500));
+    await writeFile('old-1.avro', rows.slice(500));
+    await writeFile('new-0.avro', rows.filter(row => row.id % 2 === 0));
+    await writeFile('new-1.avro', rows.filter(row => row.id % 2 === 1));
+  });
+
+  afterAll(() => {
+    setConfig({keepFields: null});
+    removeDir(dir);
+  });
+
+  afterEach(() => {
+    setConfig({vennMode: 'rows'});
+  });
+
+  test('rows moving between parts are matched', async () => {
+    const diff = await keyDiff(`${dir}/old-*.avro`, [`${dir}/new-0.avro`, `${dir}/new-1.avro`], ['id']);
+    expect(diff.removed.length + diff.added.length + diff.changed.length).toBe(0);
+    expect(diff.unchanged.length).toBe(1000);
+
+    const venn = await vennDiff(`${dir}/new-*.avro`, file);
+    expect(venn.removed).toEqual({});
+    expect(venn.added).toEqual({});
+    setConfig({vennMode: 'hash'});
+    const hashVenn = await vennDiff(file, `${dir}/old-*.avro`);
+    expect(hashVenn.removed).toEqual({});
+    expect(hashVenn.added).toEqual({});
+  });
+
+  test('parts which cannot be read with the dataset schema are rejected', async () => {
+    const other = {type: 'record', name: 'other', fields: [{name: 'id', type: 'string'}]};
+    await writeFile('old-2.avro', [{id: 'a'}], other);
+    await expect(keyDiff(`${dir}/old-*.avro`, file, ['id'])).rejects.toBeInstanceOf(IncompatiblePartsError);
+    fs.unlinkSync(path.join(dir, 'old-2.avro'));
+  });
+});
+
+describe('JSON inputs', () => {
+  const {vennDiff} = require('./index.js');
+  const {setConfig} = require('./config.js');
+  const {SchemaParseError} = require('./errors.js');
+
+  const avroFile = 'avro/sample_avro/userdata1.avro';
+  const jsonFile = 'avro/sample_avro/userdata1.json';
+
+  beforeEach(() => {
+    setConfig({keepFields: ['id', 'first_name', 'salary']});
+  });
+
+  afterEach(() => {
+    setConfig({keepFields: null});
+  });
+
+  test('JSON twins decode through the schema of the .avro file', async () => {
+    const diff = await keyDiff(jsonFile, avroFile, ['id']);
+    expect(diff.unchanged.length).toBe(1000);
+    expect(diff.removed.length + diff.added.length + diff.changed.length).toBe(0);
+
+    const venn = await vennDiff(avroFile, jsonFile);
+    expect(venn.removed).toEqual({});
+    expect(venn.added).toEqual({});
+  });
+
+  test('JSON on both sides needs CONFIG.schema', async () => {
+    await expect(keyDiff(jsonFile, jsonFile, ['id'])).rejects.toBeInstanceOf(SchemaParseError);
+  });
 });
@@ -0,0 +1,144 @@
+/**
+ * inputs.js contains the resolution of diff inputs to files. Each side of a diff may be a single .avro file or a
+ * partitioned dataset: a glob matching its parts (e.g. 'export/part-*.avro') or a list of filepaths and globs.
+ * The parts of a side are read one after the other as one dataset.
+ *
+ * Globs support '*' and '?' within a path segment, character classes such as '[0-9]' or '[!a]', and '**' for any
+ * number of directories. Wildcards do not match names starting with '.' unless the pattern does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {AvroDiffError, FileNotFoundError} from './errors.js';
+
+/**
+ * Returns the files of an input, in the order they are read.
+ * Filepaths are kept as given, so a missing file fails when it is read. Each glob is replaced by the files it
+ * matches, sorted by path, and a glob matching no file fails at once. A file listed twice is read once.
+ * @param {string|string[]} input - filepath or glob, or an array of them.
+ * @returns {string[]} filepaths.
+ */
+export const resolveInput = (input) => {
+  const patterns = Array.isArray(input) ? input : [input];
+  if (patterns.length === 0) throw new AvroDiffError('no input files given');
+  const files = [];
+  patterns.forEach((pattern) => {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new AvroDiffError(`invalid input ${JSON.stringify(pattern)}, expected a filepath or glob`);
+    }
+    if (!hasMagic(pattern)) {
+      files.push(pattern);
+      return;
+    }
+    const matches = expandGlob(pattern);
+    if (matches.length === 0) throw new FileNotFoundError(pattern, null);
+    files.push(...matches);
+  });
+  return files.filter((file, index) => files.indexOf(file) === index);
+}
+
+/**
+ * Returns a short name for the files of an input, for messages: the file itself, or the first part and the number
+ * of others.
+ * @param {string[]} files - filepaths, see resolveInput.
+ * @returns {string} name of the input.
+ */
+export const inputName = (files) => {
+  return files.length === 1 ? files[0] : `${files[0]} (+${files.length - 1} more parts)`;
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Returns true if a path segment or pattern holds glob syntax.
+ * @param {string} pattern - path or path segment.
+ * @returns {boolean} true if pattern is a glob.
+ */
+const hasMagic = pattern => /[*?[]/.test(pattern);
+
+/**
+ * Returns the files matching a glob, sorted by path.
+ * @param {string} pattern - glob.
+ * @returns {string[]} filepaths.
+ */
+const expandGlob = (pattern) => {
+  const absolute = path.isAbsolute(pattern);
+  const segments = pattern.split(/[\\/]+/).filter(segment => segment !== '' && segment !== '.');
+  const matches = new Set();
+  matchSegments(absolute ? path.parse(pattern).root : '.', segments, matches);
+  return [...matches].sort();
+}
+
+/**
+ * Recursive helper for expandGlob. Adds the files under dir matching segments to matches.
+ * @param {string} dir - directory matched so far.
+ * @param {string[]} segments - segments of the glob left to match.
+ * @param {Set} matches - filepaths found so far.
+ */
+const matchSegments = (dir, segments, matches) => {
+  const [segment, ...rest] = segments;
+  if (segment === '**') {
+    // zero directories, or one more and '**' again.
+    matchSegments(dir, rest, matches);
+    readDir(dir)
+      .filter(name => name[0] !== '.' && isDirectory(path.join(dir, name)))
+      .forEach(name => matchSegments(path.join(dir, name), segments, matches));
+    return;
+  }
+  const names = hasMagic(segment) ? readDir(dir).filter(segmentMatcher(segment)) : [segment];
+  names.forEach((name) => {
+    const next = path.join(dir, name);
+    if (rest.length === 0) {
+      if (isFile(next)) matches.add(next);
+    } else if (isDirectory(next)) {
+      matchSegments(next, rest, matches);
+    }
+  });
+}
+
+/**
+ * Returns a predicate testing names against one segment of a glob.
+ * @param {string} segment - path segment holding glob syntax.
+ * @returns {function} returns true for the names segment matches.
+ */
+const segmentMatcher = (segment) => {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const c = segment[i];
+    const end = c === '[' ? segment.indexOf(']', i + 2) : -1;
+    if (c === '*') {
+      source += '.*';
+    } else if (c === '?') {
+      source += '.';
+    } else if (end !== -1) {
+      const negated = segment[i + 1] === '!';
+      const members = segment.slice(negated ? i + 2 : i + 1, end).replace(/[\\\]^]/g, '\\$&');
+      source += `[${negated ? '^' : ''}${members}]`;
+      i = end;
+    } else {
+      source += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const regex = new RegExp(`^${source}$`);
+  return name => regex.test(name) && (name[0] !== '.' || segment[0] === '.');
+}
+
+/**
+ * Returns the names in a directory, or none if it cannot be read.
+ * @param {string} dir - path to a directory.
+ * @returns {string[]} names of its entries.
+ */
+const readDir = (dir) => {
+  try {
+    return fs.readdirSync(dir);
+  } catch (err) {
+    return [];
+  }
+}
+
+const isFile = file => fs.existsSync(file) && fs.statSync(file).isFile();
+
+const isDirectory = dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const {resolveInput, inputName} = require('./inputs.js');
+const {AvroDiffError, FileNotFoundError} = require('./errors.js');
+const {makeTempDir, removeDir} = require('./testUtils.js');
+
+let dir;
+
+beforeAll(() => {
+  dir = makeTempDir('inputs');
+  ['part-0.avro', 'part-1.avro', 'part-10.avro', '.part-2.avro', 'notes.txt', 'day=2/part-0.avro', 'day=1/part-0.avro']
+    .forEach((file) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+      fs.writeFileSync(path.join(dir, file), '');
+    });
+});
+
+afterAll(() => {
+  removeDir(dir);
+});
+
+test('filepaths are kept as given', () => {
+  expect(resolveInput('a.avro')).toEqual(['a.avro']);
+  expect(resolveInput(['b.avro', 'a.avro', 'b.avro'])).toEqual(['b.avro', 'a.avro']);
+});
+
+test('globs expand to the files they match in path order', () => {
+  const parts = names => names.map(name => path.join(dir, name));
+  expect(resolveInput(`${dir}/part-*.avro`)).toEqual(parts(['part-0.avro', 'part-1.avro', 'part-10.avro']));
+  expect(resolveInput(`${dir}/part-?.avro`)).toEqual(parts(['part-0.avro', 'part-1.avro']));
+  expect(resolveInput(`${dir}/part-[!0].avro`)).toEqual(parts(['part-1.avro']));
+  expect(resolveInput(`${dir}/**/part-0.avro`)).toEqual(parts(['day=1/part-0.avro', 'day=2/part-0.avro', 'part-0.avro']));
+  expect(resolveInput([`${dir}/day=*/*.avro`, `${dir}/part-0.avro`]))
+    .toEqual(parts(['day=1/part-0.avro', 'day=2/part-0.avro', 'part-0.avro']));
+});
+
+test('globs matching nothing throw FileNotFoundError', () => {
+  expect(() => resolveInput(`${dir}/*.parquet`)).toThrow(FileNotFoundError);
+  expect(() => resolveInput([])).toThrow(AvroDiffError);
+});
+
+test('inputName counts the other parts', () => {
+  expect(inputName(['a.avro'])).toBe('a.avro');
+  expect(inputName(['a.avro', 'b.avro', 'c.avro'])).toBe('a.avro (+2 more parts)');
+});
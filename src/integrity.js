@@ -0,0 +1,429 @@
+/**
+ * integrity.js contains referential integrity checks across the tables of an export folder (checkIntegrity), and
+ * the diff of the referential health of two snapshots of a folder (integrityDiff).
+ *
+ * Relationships are configured in CONFIG.relationships as an array of objects
+ *   {"child": "studentAssignments", "field": "globalStudentId", "parent": "students", "key": "globalStudentId"}
+ * saying that the value of field in every row of the child table is the key of a row of the parent table. field and
+ * key are field paths (see paths.js), or arrays or comma separated lists of them for composite keys, built with
+ * constructKey like the keys of keyDiff. A child row whose reference has no parent row is an orphan, and a reference
+ * without a parent row is dangling. References which are entirely null refer to nothing and are not checked.
+ */
+
+import path from 'path';
+import stableStringify from 'json-stable-stringify';
+import {inspect} from 'util';
+import 'colors';
+
+import {CONFIG} from './config.js';
+import {AvroDiffError, EXIT_CODES} from './errors.js';
+import {readInputSchemas, forEachRow, constructKey} from './index.js';
+import {filterSchema, schemaHasPath} from './paths.js';
+import {tableKey, AVRO_EXTENSION} from './dirDiff.js';
+import {formatRecords} from './report.js';
+
+/**
+ * Parses a relationship written on the command line as <child>.<field>=<parent>.<key>, where field and key may be
+ * comma separated lists, e.g. 'studentAssignments.globalStudentId=students.globalStudentId'.
+ * @param {string} value - relationship as text.
+ * @returns {Object} relationship with schema {child:string, field:[Array], parent:string, key:[Array]}.
+ * @throws {AvroDiffError} if value is not of that form.
+ */
+export const parseRelationship = (value) => {
+  const sides = value.split('=');
+  const ends = sides.map(side => side.trim().match(/^([^.]+)\.(.+)$/));
+  if (sides.length !== 2 || ends.some(end => end == null)) {
+    throw new AvroDiffError(`invalid relationship '${value}', expected <child>.<field>=<parent>.<key>`);
+  }
+  const fields = end => end[2].split(',').map(field => field.trim()).filter(field => field !== '');
+  return {'child': ends[0][1], 'field': fields(ends[0]), 'parent': ends[1][1], 'key': fields(ends[1])};
+}
+
+/**
+ * Checks the relationships of CONFIG.relationships between the tables of a folder. A relationship which cannot be
+ * checked (e.g. a missing table or field) does not stop the others: its error is reported in place of its result.
+ * Errors not raised by Avro Diff are thrown.
+ * @param {string} dir - path to the folder, holding a <table>.avro file per table.
+ * @returns {Promise} Promise which resolves to an object with schema {dir:string, relationships:[Array]} where the
+ *                    elements of relationships are objects with schema {relationship:{Object}, name:string,
+ *                    rows:number, nullReferences:number, orphans:[Array], dangling:[Array], error:{AvroDiffError}}.
+ *                    rows counts the rows of the child table, orphans holds objects with schema {row:number,
+ *                    key:[Array], reference:[Array]} where row is the position of the orphan in the child table
+ *                    counting from 1 and key its key in CONFIG.tableKeys (or null), and dangling holds objects with
+ *                    schema {reference:[Array], count:number} counting the orphans of each dangling reference.
+ * @throws {AvroDiffError} if a relationship is invalid.
+ */
+export const checkIntegrity = async (dir) => {
+  const relationships = configuredRelationships();
+  // keys of the parent tables, read once for every relationship pointing to the same key.
+  const parentKeys = new Map();
+  const output = {'dir': dir, 'relationships': []};
+  for (const relationship of relationships) {
+    const result = {
+      'relationship': relationship,
+      'name': relationshipName(relationship),
+      'rows': 0,
+      'nullReferences': 0,
+      'orphans': [],
+      'dangling': [],
+      'error': null,
+    };
+    try {
+      const id = `${relationship['parent']}\n${relationship['key'].join(',')}`;
+      if (!parentKeys.has(id)) parentKeys.set(id, await readKeys(dir, relationship));
+      await checkReferences(dir, relationship, parentKeys.get(id), result);
+    } catch (err) {
+      if (!(err instanceof AvroDiffError)) throw err;
+      result['error'] = err;
+    }
+    output['relationships'].push(result);
+  }
+  return output;
+}
+
+/**
+ * Diffs the referential health of two snapshots of a folder: checks both with checkIntegrity and compares the
+ * dangling references of each relationship.
+ * @param {string} oldDir - path to the old folder.
+ * @param {string} newDir - path to the new folder.
+ * @returns {Promise} Promise which resolves to an object with schema
+ *                    {old:{Object}, new:{Object}, relationships:[Array]} where old and new are the results of
+ *                    checkIntegrity and the elements of relationships are objects with schema
+ *                    {name:string, old:{Object}, new:{Object}, added:[Array], removed:[Array]}:
+ *                    the results of the relationship in both folders, the dangling references only in the new folder
+ *                    and those only in the old folder, with their counts in that folder. added and removed are empty
+ *                    if the relationship failed in either folder.
+ */
+export const integrityDiff = async (oldDir, newDir) => {
+  const oldResult = await checkIntegrity(oldDir);
+  const newResult = await checkIntegrity(newDir);
+  const relationships = oldResult['relationships'].map((before, i) => {
+    const after = newResult['relationships'][i];
+    const failed = before['error'] != null || after['error'] != null;
+    return {
+      'name': before['name'],
+      'old': before,
+      'new': after,
+      'added': failed ? [] : missingFrom(after['dangling'], before['dangling']),
+      'removed': failed ? [] : missingFrom(before['dangling'], after['dangling']),
+    };
+  });
+  return {'old': oldResult, 'new': newResult, 'relationships': relationships};
+}
+
+/**
+ * Prints a result returned by checkIntegrity: for every relationship its counts, its dangling references in red
+ * with their number of orphans, and its orphans.
+ * @param {Object} result - an object outputted from checkIntegrity.
+ */
+export const printIntegrity = (result) => {
+  result['relationships'].forEach((check) => {
+    console.log(`=== ${check['name']} ===`.cyan);
+    if (check['error'] != null) {
+      console.log(`error: ${check['error'].message}`.red);
+      return;
+    }
+    check['dangling'].forEach(({reference, count}) => {
+      console.log(`dangling ${inspect(reference)}: ${count} orphans`.red);
+    });
+    check['orphans'].forEach(({row, key, reference}) => {
+      console.log(`orphan row ${row}${key != null ? ` ${inspect(key)}` : ''} references ${inspect(reference)}`);
+    });
+    console.log(`${check['rows']} rows, ${check['orphans'].length} orphans, ${check['dangling'].length} dangling ` +
+      `references, ${check['nullReferences']} null references`);
+  });
+  const failed = result['relationships'].filter(check => check['error'] != null).length;
+  console.log(`${result['relationships'].length} relationships checked, ${failed} failed`);
+}
+
+/**
+ * Prints a diff returned by integrityDiff: for every relationship the numbers of orphans and dangling references in
+ * both folders, the dangling references only in the new folder in red and those only in the old folder in green.
+ * @param {Object} diff - an object outputted from integrityDiff.
+ */
+export const printIntegrityDiff = (diff) => {
+  diff['relationships'].forEach((change) => {
+    console.log(`=== ${change['name']} ===`.cyan);
+    const failed = ['old', 'new'].filter(side => change[side]['error'] != null);
+    failed.forEach(side => console.log(`error in ${side} folder: ${change[side]['error'].message}`.red));
+    if (failed.length > 0) return;
+    const shift = count => (count(change['old']) === count(change['new']) ? `${count(change['old'])}`
+      : `${count(change['old'])} -> ${count(change['new'])}`);
+    console.log(`orphans ${shift(check => check['orphans'].length)}, ` +
+      `dangling references ${shift(check => check['dangling'].length)}`);
+    change['added'].forEach(({reference, count}) => {
+      console.log(`+ dangling ${inspect(reference)}: ${count} orphans`.red);
+    });
+    change['removed'].forEach(({reference, count}) => {
+      console.log(`- dangling ${inspect(reference)}: ${count} orphans`.green);
+    });
+  });
+  const added = diff['relationships'].reduce((sum, change) => sum + change['added'].length, 0);
+  const removed = diff['relationships'].reduce((sum, change) => sum + change['removed'].length, 0);
+  console.log(`${added} dangling references added, ${removed} removed`);
+}
+
+/**
+ * Returns the exit code for a result of checkIntegrity or integrityDiff: the exit code of the first relationship
+ * which failed, else EXIT_CODES.checkFailed (see errors.js) if there are orphans (checkIntegrity) or dangling
+ * references were added (integrityDiff), else null.
+ * @param {Object} result - an object outputted from checkIntegrity or integrityDiff.
+ * @returns {number} exit code, or null.
+ */
+export const integrityExitCode = (result) => {
+  const checks = result['old'] != null ? [...result['old']['relationships'], ...result['new']['relationships']]
+    : result['relationships'];
+  const failed = checks.find(check => check['error'] != null);
+  if (failed != null) return failed['error'].exitCode;
+  const broken = result['old'] != null ? result['relationships'].some(change => change['added'].length > 0)
+    : checks.some(check => check['orphans'].length > 0);
+  return broken ? EXIT_CODES['checkFailed'] : null;
+}
+
+/**
+ * Returns the records for a result returned by checkIntegrity: records {type: 'orphan', relationship, table, row,
+ * key, reference} for the orphans of the child table and {type: 'dangling', relationship, table, reference, count} for
+ * the dangling references to the parent table, a record {type: 'relationship', relationship, rows, nullReferences,
+ * orphans, dangling} counting them per relationship, and records {type: 'error', relationship, message, exitCode} for
+ * relationships which could not be checked.
+ * @param {Object} result - an object outputted from checkIntegrity.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'integrity', relationships:number, failed:number, orphans:number,
+ *                    dangling:number}.
+ */
+export const integrityRecords = (result) => {
+  const records = [];
+  const checked = result['relationships'].filter(check => check['error'] == null);
+  result['relationships'].forEach((check) => {
+    const name = check['name'];
+    if (check['error'] != null) {
+      records.push(integrityError(name, null, check['error']));
+      return;
+    }
+    const {child, parent} = check['relationship'];
+    check['orphans'].forEach(({row, key, reference}) => {
+      records.push({'type': 'orphan', 'relationship': name, 'table': child, 'row': row, 'key': key, reference});
+    });
+    check['dangling'].forEach(({reference, count}) => {
+      records.push({'type': 'dangling', 'relationship': name, 'table': parent, reference, 'count': count});
+    });
+    records.push({'type': 'relationship', 'relationship': name, ...integrityCounts(check)});
+  });
+  const summary = {
+    'type': 'summary',
+    'diff': 'integrity',
+    'relationships': result['relationships'].length,
+    'failed': result['relationships'].length - checked.length,
+    'orphans': checked.reduce((sum, check) => sum + check['orphans'].length, 0),
+    'dangling': checked.reduce((sum, check) => sum + check['dangling'].length, 0),
+  };
+  return {summary, records};
+}
+
+/**
+ * Returns the records for a diff returned by integrityDiff: records {type: 'dangling-added'|'dangling-removed',
+ * relationship, table, reference, count}, a record {type: 'relationship', relationship, old, new} holding the counts
+ * of both folders per relationship, and error records as for integrityRecords with a side field ('old' or 'new').
+ * @param {Object} diff - an object outputted from integrityDiff.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'integrity', relationships:number, failed:number, added:number,
+ *                    removed:number}, added and removed counting dangling references.
+ */
+export const integrityDiffRecords = (diff) => {
+  const records = [];
+  let failed = 0;
+  diff['relationships'].forEach((change) => {
+    const name = change['name'];
+    const errors = ['old', 'new'].filter(side => change[side]['error'] != null);
+    errors.forEach(side => records.push(integrityError(name, side, change[side]['error'])));
+    if (errors.length > 0) {
+      failed++;
+      return;
+    }
+    const parent = change['new']['relationship']['parent'];
+    [['dangling-added', change['added']], ['dangling-removed', change['removed']]].forEach(([type, dangling]) => {
+      dangling.forEach(({reference, count}) => {
+        records.push({'type': type, 'relationship': name, 'table': parent, reference, 'count': count});
+      });
+    });
+    records.push({
+      'type': 'relationship',
+      'relationship': name,
+      'old': integrityCounts(change['old']),
+      'new': integrityCounts(change['new']),
+    });
+  });
+  const summary = {
+    'type': 'summary',
+    'diff': 'integrity',
+    'relationships': diff['relationships'].length,
+    'failed': failed,
+    'added': diff['relationships'].reduce((sum, change) => sum + change['added'].length, 0),
+    'removed': diff['relationships'].reduce((sum, change) => sum + change['removed'].length, 0),
+  };
+  return {summary, records};
+}
+
+/**
+ * Prints a result returned by checkIntegrity or a diff returned by integrityDiff in the given format.
+ * @param {Object} result - an object outputted from checkIntegrity or integrityDiff.
+ * @param {string} format - one of OUTPUT_FORMATS, see report.js. 'text' is printIntegrity or printIntegrityDiff.
+ * @param {Object} context - title for format html, see htmlWriter in htmlReport.js, or null.
+ */
+export const printIntegrityAs = (result, format = 'text', context = null) => {
+  const isDiff = result['old'] != null;
+  if (format === 'text') {
+    if (isDiff) printIntegrityDiff(result);
+    else printIntegrity(result);
+  } else {
+    const report = isDiff ? integrityDiffRecords(result) : integrityRecords(result);
+    process.stdout.write(formatRecords(report, format, context));
+  }
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Returns the error record of a relationship which could not be checked.
+ * @param {string} relationship - name of the relationship.
+ * @param {string} side - 'old' or 'new' for integrityDiff, else null.
+ * @param {AvroDiffError} err - error of the relationship.
+ * @returns {Object} record with schema {type:'error', relationship, side, message, exitCode}, without side if null.
+ */
+const integrityError = (relationship, side, err) => {
+  const record = {'type': 'error', 'relationship': relationship, 'message': err.message, 'exitCode': err.exitCode};
+  if (side != null) record['side'] = side;
+  return record;
+}
+
+/**
+ * Returns the counts of a relationship checked by checkIntegrity.
+ * @param {Object} check - result of the relationship, see checkIntegrity.
+ * @returns {Object} object with schema {rows:number, nullReferences:number, orphans:number, dangling:number}.
+ */
+const integrityCounts = (check) => {
+  return {
+    'rows': check['rows'],
+    'nullReferences': check['nullReferences'],
+    'orphans': check['orphans'].length,
+    'dangling': check['dangling'].length,
+  };
+}
+
+/**
+ * Returns the relationships of CONFIG.relationships with field and key as arrays.
+ * @returns {Object[]} relationships, see the top of this file.
+ * @throws {AvroDiffError} if there are none, a relationship lacks a part or its field and key differ in length.
+ */
+const configuredRelationships = () => {
+  const relationships = CONFIG.relationships;
+  if (!Array.isArray(relationships) || relationships.length === 0) {
+    throw new AvroDiffError('no relationships to check, expected a non-empty array in relationships');
+  }
+  return relationships.map((relationship) => {
+    const fields = value => (typeof value === 'string' ? value.split(',').map(field => field.trim()) : value);
+    const result = {
+      'child': relationship['child'],
+      'field': fields(relationship['field']),
+      'parent': relationship['parent'],
+      'key': fields(relationship['key']),
+    };
+    const valid = typeof result['child'] === 'string' && typeof result['parent'] === 'string' &&
+      Array.isArray(result['field']) && Array.isArray(result['key']) && result['key'].length > 0;
+    if (!valid) {
+      throw new AvroDiffError(`invalid relationship ${inspect(relationship)}, expected {child, field, parent, key}`);
+    }
+    if (result['field'].length !== result['key'].length) {
+      throw new AvroDiffError(`relationship ${relationshipName(result)}: field and key have different lengths`);
+    }
+    return result;
+  });
+}
+
+/**
+ * Returns the name of a relationship for messages and records, e.g.
+ * 'studentAssignments.globalStudentId -> students.globalStudentId'.
+ * @param {Object} relationship - relationship with field and key as arrays.
+ * @returns {string} name of the relationship.
+ */
+const relationshipName = (relationship) => {
+  return `${relationship['child']}.${relationship['field'].join(',')} -> ` +
+    `${relationship['parent']}.${relationship['key'].join(',')}`;
+}
+
+/**
+ * Reads the rows of a table, decoding only the given fields.
+ * @param {string} dir - path to the folder.
+ * @param {string} table - table name.
+ * @param {string[]} fields - field paths to decode, which must be in the table's schema.
+ * @param {string} name - name of the relationship the table is read for, for messages, see relationshipName.
+ * @param {function} parse - called with every row, in file order.
+ * @returns {Promise} Promise which resolves once every row is parsed.
+ * @throws {AvroDiffError} if a field is not in the table's schema.
+ */
+const readTable = async (dir, table, fields, name, parse) => {
+  const file = path.join(dir, `${table}${AVRO_EXTENSION}`);
+  const [schema] = await readInputSchemas(file, file);
+  const missing = fields.find(field => !schemaHasPath(schema, field));
+  if (missing != null) {
+    throw new AvroDiffError(`cannot check ${name}: field '${missing}' is not in table '${table}'`);
+  }
+  await forEachRow(file, filterSchema(schema, fields, null), parse);
+}
+
+/**
+ * Returns the keys of the rows of the parent table of a relationship.
+ * @param {string} dir - path to the folder.
+ * @param {Object} relationship - relationship with field and key as arrays.
+ * @returns {Promise} Promise which resolves to a Set of the keys as stable JSON.
+ */
+const readKeys = async (dir, relationship) => {
+  const key = relationship['key'];
+  const keys = new Set();
+  await readTable(dir, relationship['parent'], key, relationshipName(relationship), (row) => {
+    keys.add(stableStringify(constructKey(row, key)));
+  });
+  return keys;
+}
+
+/**
+ * Checks the references of the rows of a child table against the keys of its parent, filling in result.
+ * @param {string} dir - path to the folder.
+ * @param {Object} relationship - relationship with field and key as arrays.
+ * @param {Set} parentKeys - keys of the parent table, see readKeys.
+ * @param {Object} result - result of the relationship, see checkIntegrity.
+ * @returns {Promise} Promise which resolves once every row of the child table is checked.
+ */
+const checkReferences = async (dir, relationship, parentKeys, result) => {
+  const child = relationship['child'];
+  const key = tableKey(child);
+  const dangling = new Map();
+  const fields = key != null ? [...relationship['field'], ...key] : relationship['field'];
+  await readTable(dir, child, fields, result['name'], (row) => {
+    const position = ++result['rows'];
+    const reference = constructKey(row, relationship['field']);
+    if (reference.every(value => value == null)) {
+      result['nullReferences']++;
+      return;
+    }
+    const str = stableStringify(reference);
+    if (parentKeys.has(str)) return;
+    result['orphans'].push({'row': position, 'key': key != null ? constructKey(row, key) : null, reference});
+    if (!dangling.has(str)) dangling.set(str, {reference, 'count': 0});
+    dangling.get(str)['count']++;
+  });
+  result['dangling'] = [...dangling.values()];
+}
+
+/**
+ * Returns the dangling references of one folder which are not dangling in the other.
+ * @param {Object[]} dangling - dangling references of the folder, see checkIntegrity.
+ * @param {Object[]} other - dangling references of the other folder.
+ * @returns {Object[]} the elements of dangling whose reference is not in other.
+ */
+const missingFrom = (dangling, other) => {
+  const others = new Set(other.map(({reference}) => stableStringify(reference)));
+  return dangling.filter(({reference}) => !others.has(stableStringify(reference)));
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  checkIntegrity, integrityDiff, integrityExitCode, parseRelationship, integrityRecords, integrityDiffRecords,
+} = require('./integrity.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError, FileNotFoundError, EXIT_CODES} = require('./errors.js');
+const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+const schemas = {
+  'students': {type: 'record', name: 'student', fields: [{name: 'studentId', type: 'int'}]},
+  'grades': {
+    type: 'record',
+    name: 'grade',
+    fields: [{name: 'gradeId', type: 'int'}, {name: 'studentId', type: ['null', 'int']}],
+  },
+};
+const relationship = {child: 'grades', field: 'studentId', parent: 'students', key: 'studentId'};
+let root;
+
+// writes rows to <dir>/<table>.avro.
+const writeTable = (dir, table, rows) => {
+  fs.mkdirSync(dir, {recursive: true});
+  return writeAvroFile(path.join(dir, `${table}.avro`), schemas[table], rows);
+};
+
+const grades = studentIds => studentIds.map((studentId, i) => ({gradeId: i + 1, studentId}));
+
+beforeAll(async () => {
+  root = makeTempDir('integrity');
+  await writeTable(path.join(root, 'old'), 'students', [{studentId: 1}, {studentId: 2}]);
+  await writeTable(path.join(root, 'old'), 'grades', grades([1, 3, null, 3, 4]));
+  await writeTable(path.join(root, 'new'), 'students', [{studentId: 1}, {studentId: 2}, {studentId: 3}]);
+  await writeTable(path.join(root, 'new'), 'grades', grades([1, 2, 4, 5]));
+});
+
+afterAll(() => {
+  setConfig({relationships: null, tableKeys: null});
+  removeDir(root);
+});
+
+test('orphans and dangling references of a folder', async () => {
+  setConfig({relationships: [relationship], tableKeys: {grades: 'gradeId'}});
+  const result = await checkIntegrity(path.join(root, 'old'));
+
+  expect(result.relationships).toEqual([expect.objectContaining({
+    name: 'grades.studentId -> students.studentId',
+    rows: 5,
+    nullReferences: 1,
+    orphans: [
+      {row: 2, key: [2], reference: [3]}, {row: 4, key: [4], reference: [3]}, {row: 5, key: [5], reference: [4]},
+    ],
+    dangling: [{reference: [3], count: 2}, {reference: [4], count: 1}],
+    error: null,
+  })]);
+  expect(integrityExitCode(result)).toBe(EXIT_CODES.checkFailed);
+  const {summary, records} = integrityRecords(result);
+  expect(summary).toEqual({type: 'summary', diff: 'integrity', relationships: 1, failed: 0, orphans: 3, dangling: 2});
+  expect(records[0]).toEqual({type: 'orphan', relationship: 'grades.studentId -> students.studentId', table: 'grades',
+    row: 2, key: [2], reference: [3]});
+  expect(records[3]).toEqual({type: 'dangling', relationship: 'grades.studentId -> students.studentId',
+    table: 'students', reference: [3], count: 2});
+});
+
+test('diff of the dangling references of two folders', async () => {
+  setConfig({relationships: [relationship], tableKeys: null});
+  const diff = await integrityDiff(path.join(root, 'old'), path.join(root, 'new'));
+
+  expect(diff.relationships[0]).toMatchObject({
+    added: [{reference: [5], count: 1}], removed: [{reference: [3], count: 2}],
+  });
+  expect(integrityExitCode(diff)).toBe(EXIT_CODES.checkFailed);
+  const {summary, records} = integrityDiffRecords(diff);
+  expect(summary).toEqual({type: 'summary', diff: 'integrity', relationships: 1, failed: 0, added: 1, removed: 1});
+  expect(records.map(record => record.type)).toEqual(['dangling-added', 'dangling-removed', 'relationship']);
+  expect(records[2].new).toEqual({rows: 4, nullReferences: 0, orphans: 2, dangling: 2});
+});
+
+test('relationships which cannot be checked report their error', async () => {
+  const missing = [{...relationship, parent: 'teachers'}, {...relationship, field: 'missing'}];
+  setConfig({relationships: [...missing, relationship]});
+  const result = await checkIntegrity(path.join(root, 'new'));
+
+  expect(result.relationships[0].error).toBeInstanceOf(FileNotFoundError);
+  expect(result.relationships[1].error).toBeInstanceOf(AvroDiffError);
+  expect(result.relationships[1].error.message).toBe(
+    "cannot check grades.missing -> students.studentId: field 'missing' is not in table 'grades'");
+  expect(result.relationships[1].error.exitCode).toBe(EXIT_CODES.error);
+  expect(result.relationships[2].orphans).toHaveLength(2);
+  expect(integrityExitCode(result)).toBe(EXIT_CODES.fileNotFound);
+  setConfig({relationships: []});
+  await expect(checkIntegrity(path.join(root, 'new'))).rejects.toThrow(/no relationships to check/);
+});
+
+test('relationships on the command line', () => {
+  expect(parseRelationship('studentAssignments.globalStudentId,courseId=students.globalStudentId,courseId')).toEqual({
+    child: 'studentAssignments', field: ['globalStudentId', 'courseId'],
+    parent: 'students', key: ['globalStudentId', 'courseId'],
+  });
+  expect(() => parseRelationship('grades.studentId')).toThrow(/invalid relationship 'grades.studentId'/);
+});
@@ -0,0 +1,130 @@
+/**
+ * jsonInput.js contains functions to read rows from JSON files, so either side of a diff may hold expected data
+ * written by hand instead of an .avro file. A JSON input is a file ending in .json, .ndjson or .jsonl holding either
+ * one array of rows or one row per line (NDJSON).
+ *
+ * JSON files carry no schema, so their rows are decoded through an Avro schema like the rows of an .avro file: values
+ * are coerced to the types of the schema and fields outside it are dropped, so rows of both kinds compare alike. Rows
+ * may use the Avro JSON encoding (unions wrapped as {"long": 1}, bytes as strings of code points) as written by
+ * avro-tools tojson, or plain JSON values.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+import {FileNotFoundError, CorruptBlockError} from './errors.js';
+
+// extensions of the files read as JSON.
+export const JSON_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+// bytes read from the start of a file to tell an array from NDJSON.
+const SNIFF_BYTES = 256;
+
+/**
+ * Returns true if the given file is read as JSON rather than Avro, judging by its extension.
+ * @param {string} file - filepath.
+ * @returns {boolean} true for JSON files.
+ */
+export const isJsonFile = (file) => {
+  const lower = file.toLowerCase();
+  return JSON_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+/**
+ * Reads the rows of a JSON file, decoding each with type and passing it to parse.
+ * @param {string} file - filepath to a JSON array or NDJSON file.
+ * @param {Type} type - avsc type of the reader schema.
+ * @param {function} parse - called with each decoded row, in file order.
+ * @returns {Promise} Promise which resolves once every row is parsed. Rejects with a FileNotFoundError if the file
+ *                    does not exist, and with a CorruptBlockError naming the row if a row is not valid JSON or does
+ *                    not match the schema.
+ */
+export const readJsonRows = async (file, type, parse) => {
+  if (isJsonArray(file)) {
+    const text = await fs.promises.readFile(file, 'utf8').catch(err => Promise.reject(fileError(file, err)));
+    let rows;
+    try {
+      rows = JSON.parse(text);
+    } catch (err) {
+      throw new CorruptBlockError(file, err);
+    }
+    if (!Array.isArray(rows)) throw new CorruptBlockError(file, new Error('expected an array of rows'));
+    rows.forEach((row, index) => parse(decodeRow(type, JSON.stringify(row), file, `row ${index + 1}`)));
+    return;
+  }
+  const lines = readline.createInterface({'input': fs.createReadStream(file), 'crlfDelay': Infinity});
+  let number = 0;
+  try {
+    for await (const line of lines) {
+      number++;
+      if (line.trim() !== '') parse(decodeRow(type, line, file, `line ${number}`));
+    }
+  } catch (err) {
+    throw fileError(file, err);
+  } finally {
+    lines.close();
+  }
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Decodes one row from its JSON text: with the Avro JSON encoding if it is valid in it, otherwise as plain JSON.
+ * @param {Type} type - avsc type of the reader schema.
+ * @param {string} text - JSON text of the row.
+ * @param {string} file - filepath, for errors.
+ * @param {string} where - position of the row in file, for errors.
+ * @returns {Object} decoded row.
+ */
+const decodeRow = (type, text, file, where) => {
+  try {
+    return type.fromString(text);
+  } catch (err) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (syntaxError) {
+      throw new CorruptBlockError(file, new Error(`${where}: ${syntaxError.message}`));
+    }
+    try {
+      return type.clone(value, {'coerceBuffers': true, 'wrapUnions': true});
+    } catch (plainError) {
+      // the Avro JSON error names the offending value.
+      throw new CorruptBlockError(file, new Error(`${where}: ${err.message}`));
+    }
+  }
+}
+
+/**
+ * Returns true if a JSON file holds an array of rows rather than NDJSON.
+ * @param {string} file - filepath to a JSON file.
+ * @returns {boolean} true if the file starts with '['.
+ */
+const isJsonArray = (file) => {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch (err) {
+    throw fileError(file, err);
+  }
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const read = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    return buf.slice(0, read).toString('utf8').trim().startsWith('[');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Wraps an error raised while reading a JSON file: a missing file becomes a FileNotFoundError, any other error is
+ * returned as is.
+ * @param {string} file - filepath.
+ * @param {Error} err - error raised while reading file.
+ * @returns {Error} error to throw.
+ */
+const fileError = (file, err) => {
+  return err.code === 'ENOENT' ? new FileNotFoundError(file, err) : err;
+}
+
+/* <=== End of helper functions ===> */
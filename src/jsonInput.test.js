@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const avro = require('avsc');
+const {isJsonFile, readJsonRows} = require('./jsonInput.js');
+const {FileNotFoundError, CorruptBlockError} = require('./errors.js');
+const {makeTempDir, removeDir} = require('./testUtils.js');
+
+const type = avro.Type.forSchema({
+  type: 'record',
+  name: 'row',
+  fields: [
+    {name: 'id', type: 'long'},
+    {name: 'score', type: ['null', 'double'], default: null},
+    {name: 'tag', type: ['null', 'string', 'long'], default: null},
+  ],
+});
+
+let dir;
+
+beforeAll(() => {
+  dir = makeTempDir('json');
+});
+
+afterAll(() => {
+  removeDir(dir);
+});
+
+// writes text to a file in dir and reads its rows.
+const readRows = async (name, text) => {
+  fs.writeFileSync(path.join(dir, name), text);
+  const rows = [];
+  await readJsonRows(path.join(dir, name), type, row => rows.push(row));
+  return rows;
+};
+
+test('JSON files are recognized by extension', () => {
+  expect(isJsonFile('expected/students.json')).toBe(true);
+  expect(isJsonFile('expected/students.NDJSON')).toBe(true);
+  expect(isJsonFile('expected/students.jsonl')).toBe(true);
+  expect(isJsonFile('exports/students.avro')).toBe(false);
+});
+
+test('NDJSON and arrays decode alike, in Avro JSON encoding or plain JSON', async () => {
+  const ndjson = await readRows('rows.json', '{"id": 1, "score": {"double": 2.5}, "tag": {"string": "a"}}\n\n' +
+    '{"id": 2, "score": null, "tag": {"long": 3}, "extra": true}\n');
+  const array = await readRows('rows-array.json', '[{"id": 1, "score": 2.5, "tag": "a"}, {"id": 2}]');
+
+  expect(ndjson.map(row => ({...row}))).toEqual([
+    {id: 1, score: 2.5, tag: 'a'},
+    {id: 2, score: null, tag: 3},
+  ]);
+  expect(array.map(row => ({...row}))).toEqual([
+    {id: 1, score: 2.5, tag: 'a'},
+    {id: 2, score: null, tag: null},
+  ]);
+});
+
+test('rows which do not match the schema reject with CorruptBlockError naming the row', async () => {
+  await expect(readRows('bad-type.ndjson', '{"id": 1}\n{"id": "two"}\n')).rejects.toThrow(/line 2/);
+  await expect(readRows('bad-syntax.ndjson', '{"id": 1\n')).rejects.toBeInstanceOf(CorruptBlockError);
+  await expect(readRows('not-rows.json', '[1, 2]')).rejects.toThrow(/row 1/);
+});
+
+test('missing files reject with FileNotFoundError', async () => {
+  const rows = readJsonRows(path.join(dir, 'missing.json'), type, () => {});
+  await expect(rows).rejects.toBeInstanceOf(FileNotFoundError);
+});
@@ -0,0 +1,203 @@
+/**
+ * order.js contains the order keyDiff sorts and matches keys by. Key values are compared according to their Avro
+ * type rather than as strings, following the sort order of the Avro specification: numbers numerically (so 9 comes
+ * before 10), enums by symbol position, bytes and fixed by their bytes, decimals by value, and unions by branch
+ * first. Null sorts before every other value and never equals the string 'null'.
+ *
+ * Timestamps, dates and times are decoded as numbers and so compare numerically like the int or long they annotate.
+ */
+
+import stableStringify from 'json-stable-stringify';
+
+import {branchKey} from './schema.js';
+import {typeAtPath} from './paths.js';
+
+// order of values of different kinds, used when no type is known or the types of two values disagree.
+const KINDS = ['null', 'boolean', 'number', 'string', 'bytes', 'array', 'object'];
+
+// kind of the values decoded for each Avro type.
+const TYPE_KINDS = {
+  'null': 'null',
+  'boolean': 'boolean',
+  'int': 'number',
+  'long': 'number',
+  'float': 'number',
+  'double': 'number',
+  'string': 'string',
+  'enum': 'string',
+  'bytes': 'bytes',
+  'fixed': 'bytes',
+  'array': 'array',
+  'map': 'object',
+  'record': 'object',
+};
+
+/**
+ * Returns the normalized types (see schema.js) of the fields of key in schema, for passing to lexCompare.
+ * Fields which are not in schema get the type null, and their values are compared by kind, see compareValues.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @param {string[]} key - field paths comprising a key.
+ * @returns {Object[]} normalized type of each field of key.
+ */
+export const keyTypes = (schema, key) => {
+  return key.map((field) => {
+    try {
+      return typeAtPath(schema, field);
+    } catch (err) {
+      // not a valid path.
+      return null;
+    }
+  });
+}
+
+/**
+ * Compares two decoded values of the given type.
+ * @param {*} a - first value.
+ * @param {*} b - second value.
+ * @param {Object} type - normalized type of both values, or null to compare them by kind only.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+export const compareValues = (a, b, type = null) => {
+  if (type != null && type.type === 'union') return compareUnionValues(a, b, type);
+  const kindA = valueKind(a);
+  const kindB = valueKind(b);
+  if (kindA !== kindB) return KINDS.indexOf(kindA) - KINDS.indexOf(kindB);
+  const typed = type != null && TYPE_KINDS[type.type] === kindA;
+  switch (kindA) {
+    case 'null':
+      return 0;
+    case 'boolean':
+      return Number(a) - Number(b);
+    case 'number':
+      return compareNumbers(a, b);
+    case 'string':
+      return typed && type.type === 'enum' ? compareSymbols(a, b, type.symbols) : compareStrings(a, b);
+    case 'bytes':
+      return typed && type.logicalType === 'decimal' ? compareDecimals(a, b) : Buffer.compare(a, b);
+    case 'array':
+      return compareArrays(a, b, typed ? type.items : null);
+    default:
+      // records and maps have no meaningful order as keys, any consistent one will do.
+      return compareStrings(stableStringify(a), stableStringify(b));
+  }
+}
+
+/**
+ * Returns the kind of a decoded value, one of KINDS. Undefined counts as null.
+ * @param {*} value - decoded value.
+ * @returns {string} kind of value.
+ */
+const valueKind = (value) => {
+  if (value == null) return 'null';
+  if (Buffer.isBuffer(value)) return 'bytes';
+  if (Array.isArray(value)) return 'array';
+  switch (typeof value) {
+    case 'boolean':
+    case 'number':
+    case 'string':
+      return typeof value;
+    default:
+      return 'object';
+  }
+}
+
+/**
+ * Compares two values of a union: first by the position of their branch in the union, then as values of that
+ * branch. Values may be wrapped ({'com.example.Name': value}) or not, depending on how avsc decoded the union.
+ * @param {*} a - first value.
+ * @param {*} b - second value.
+ * @param {Object} type - normalized union.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareUnionValues = (a, b, type) => {
+  const [indexA, valueA] = unionBranch(a, type);
+  const [indexB, valueB] = unionBranch(b, type);
+  if (indexA !== indexB) return indexA - indexB;
+  return compareValues(valueA, valueB, indexA < type.branches.length ? type.branches[indexA] : null);
+}
+
+/**
+ * Returns the branch of a union a value belongs to, and the value unwrapped.
+ * @param {*} value - decoded value of the union.
+ * @param {Object} type - normalized union.
+ * @returns {Array} [index of the branch, or the number of branches if none matches, unwrapped value].
+ */
+const unionBranch = (value, type) => {
+  if (valueKind(value) === 'object') {
+    const keys = Object.keys(value);
+    const wrapped = keys.length === 1 ? type.branches.findIndex(branch => branchKey(branch) === keys[0]) : -1;
+    if (wrapped !== -1) return [wrapped, value[keys[0]]];
+  }
+  const kind = valueKind(value);
+  const index = type.branches.findIndex(branch => TYPE_KINDS[branch.type] === kind);
+  return [index === -1 ? type.branches.length : index, value];
+}
+
+/**
+ * Compares two numbers. NaN sorts after every other number and equals itself.
+ * @param {number} a - first number.
+ * @param {number} b - second number.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareNumbers = (a, b) => {
+  if (Number.isNaN(a) || Number.isNaN(b)) return Number(Number.isNaN(a)) - Number(Number.isNaN(b));
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Compares two strings by their UTF-16 code units.
+ * @param {string} a - first string.
+ * @param {string} b - second string.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareStrings = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Compares two enum symbols by their position in the enum. Symbols missing from the enum (e.g. read with an older
+ * schema) sort after all others, by name.
+ * @param {string} a - first symbol.
+ * @param {string} b - second symbol.
+ * @param {string[]} symbols - symbols of the enum.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareSymbols = (a, b, symbols = []) => {
+  const position = symbol => (symbols.indexOf(symbol) === -1 ? symbols.length : symbols.indexOf(symbol));
+  return position(a) - position(b) || compareStrings(a, b);
+}
+
+/**
+ * Compares two decimals encoded as big endian two's complement integers of the same scale.
+ * @param {Buffer} a - first decimal.
+ * @param {Buffer} b - second decimal.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareDecimals = (a, b) => {
+  const negative = buf => buf.length > 0 && buf[0] >= 0x80;
+  if (negative(a) !== negative(b)) return negative(a) ? -1 : 1;
+  // with the same sign and length, two's complement integers order like their unsigned bytes.
+  const length = Math.max(a.length, b.length);
+  const extend = buf => Buffer.concat([Buffer.alloc(length - buf.length, negative(buf) ? 0xff : 0), buf]);
+  return Buffer.compare(extend(a), extend(b));
+}
+
+/**
+ * Compares two arrays element by element. An array which is a prefix of the other sorts first.
+ * @param {Array} a - first array.
+ * @param {Array} b - second array.
+ * @param {Object} items - normalized type of the elements, or null.
+ * @returns {number} a negative number if a < b, a positive number if a > b, 0 otherwise.
+ */
+const compareArrays = (a, b, items) => {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    const order = compareValues(a[i], b[i], items);
+    if (order !== 0) return order;
+  }
+  return a.length - b.length;
+}
@@ -0,0 +1,66 @@
+const {compareValues, keyTypes} = require('./order.js');
+const {keyDiffHelper, lexCompare} = require('./index.js');
+const {normalizeSchema} = require('./schema.js');
+
+const type = schema => normalizeSchema(schema);
+
+test('numbers compare numerically', () => {
+  expect(compareValues(9, 10, type('long'))).toBeLessThan(0);
+  expect(compareValues(-1.5, -2, type('double'))).toBeGreaterThan(0);
+  expect(compareValues(NaN, Infinity, type('double'))).toBeGreaterThan(0);
+  expect(compareValues(1565000000000, 1565000000001, type({type: 'long', logicalType: 'timestamp-millis'})))
+    .toBeLessThan(0);
+});
+
+test('null and the string null are different keys', () => {
+  const union = type(['null', 'string']);
+
+  expect(compareValues(null, 'null', union)).toBeLessThan(0);
+  expect(lexCompare([null], ['null'])).not.toBe(0);
+});
+
+test('enums compare by symbol position', () => {
+  const grade = type({type: 'enum', name: 'grade', symbols: ['LOW', 'MEDIUM', 'HIGH']});
+
+  expect(compareValues('MEDIUM', 'HIGH', grade)).toBeLessThan(0);
+  expect(compareValues('HIGH', 'LOW', grade)).toBeGreaterThan(0);
+  expect(compareValues('UNKNOWN', 'HIGH', grade)).toBeGreaterThan(0);
+});
+
+test('bytes compare by bytes and decimals by value', () => {
+  const decimal = type({type: 'bytes', logicalType: 'decimal', precision: 10, scale: 2});
+
+  expect(compareValues(Buffer.from([1, 2]), Buffer.from([1, 3]), type('bytes'))).toBeLessThan(0);
+  expect(compareValues(Buffer.from([1, 0]), Buffer.from([0x7f]), decimal)).toBeGreaterThan(0);
+  expect(compareValues(Buffer.from([0xff]), Buffer.from([0x01]), decimal)).toBeLessThan(0);
+  expect(compareValues(Buffer.from([0xff, 0x00]), Buffer.from([0xff]), decimal)).toBeLessThan(0);
+  expect(compareValues(Buffer.from([0x00, 0x05]), Buffer.from([0x05]), decimal)).toBe(0);
+});
+
+test('unions compare by branch, wrapped or not', () => {
+  const union = type(['null', 'int', 'string']);
+
+  expect(compareValues({int: 20}, {string: '3'}, union)).toBeLessThan(0);
+  expect(compareValues({int: 20}, 3, union)).toBeGreaterThan(0);
+  expect(compareValues(null, {int: 3}, union)).toBeLessThan(0);
+});
+
+test('keyTypes looks up nested key fields', () => {
+  const schema = {
+    type: 'record',
+    name: 'row',
+    fields: [
+      {name: 'id', type: 'long'},
+      {name: 'submission', type: ['null', {type: 'record', name: 'submission', fields: [{name: 'attempt', type: 'int'}]}]},
+    ],
+  };
+
+  expect(keyTypes(schema, ['id', 'submission.attempt', 'missing'])).toEqual([{type: 'long'}, {type: 'int'}, null]);
+});
+
+test('keyDiffHelper sorts numeric keys numerically', async () => {
+  const rows = () => [{k: 10}, {k: 9}, {k: 100}];
+  const diff = await keyDiffHelper(rows(), rows(), ['k'], [{type: 'long'}]);
+
+  expect(diff.unchanged.map(entry => entry.id)).toEqual([[9], [10], [100]]);
+});
@@ -0,0 +1,140 @@
+/**
+ * outputFilter.js contains the filtering of keyDiff output for diffs too large to show in full: only some categories
+ * (CONFIG.only), the first rows of each category (CONFIG.limit) or a random sample of each category (CONFIG.sample,
+ * reproducible through CONFIG.sampleSeed).
+ *
+ * Entries are filtered as they are emitted, so entries which will not be shown are dropped at once instead of being
+ * collected, while every entry is still counted. key_diff diffs with filteredKeyDiff (see index.js) whenever one of
+ * the options is set.
+ */
+
+import {AvroDiffError} from './errors.js';
+import {CONFIG} from './config.js';
+
+// categories of keyDiff entries, in the order they are printed.
+export const OUTPUT_CATEGORIES = ['removed', 'added', 'changed', 'unchanged'];
+
+/**
+ * Returns a filter passing the entries configured by CONFIG.only, CONFIG.limit and CONFIG.sample on to emit, in the
+ * order they came in. With none of them set every entry is passed on.
+ * - only: array of OUTPUT_CATEGORIES to keep, the others are dropped.
+ * - limit: number of entries to keep per category, the first ones.
+ * - sample: number of entries to keep per category, drawn at random with equal chances for every entry. The draw only
+ *   depends on CONFIG.sampleSeed and the entries, so the same diff gives the same sample. Sampled entries are held
+ *   until end is called, as any entry may be replaced until the last.
+ * @param {function} emit - called with the category and entry of every entry kept, see streamKeyDiff in index.js.
+ * @returns {Object} filter with methods emit(category, entry), called for every entry, and end(), called once after
+ *                   the last entry, which passes on held entries and returns the exact counts of the entries with
+ *                   schema {removed:number, added:number, changed:number, unchanged:number}.
+ * @throws {AvroDiffError} if an option has an invalid value, or both limit and sample are set.
+ */
+export const outputFilter = (emit) => {
+  const only = CONFIG.only == null ? OUTPUT_CATEGORIES : CONFIG.only;
+  const limit = checkCount('limit', CONFIG.limit);
+  const sample = checkCount('sample', CONFIG.sample);
+  const seed = CONFIG.sampleSeed == null ? 0 : CONFIG.sampleSeed;
+  if (!Array.isArray(only)) throw new AvroDiffError('only must be an array of categories');
+  only.forEach((category) => {
+    if (OUTPUT_CATEGORIES.indexOf(category) === -1) {
+      throw new AvroDiffError(`unknown category '${category}', expected one of ${OUTPUT_CATEGORIES.join(', ')}`);
+    }
+  });
+  if (limit != null && sample != null) throw new AvroDiffError('limit and sample cannot be combined');
+  if (!Number.isInteger(seed)) throw new AvroDiffError(`invalid sampleSeed '${seed}', expected an integer`);
+
+  const counts = {};
+  // entries seen in all categories, to put sampled entries back in the order they came in.
+  let seen = 0;
+  const reservoirs = {};
+  const randoms = {};
+  OUTPUT_CATEGORIES.forEach((category, i) => {
+    counts[category] = 0;
+    reservoirs[category] = [];
+    // one generator per category, so a category's sample does not depend on the others.
+    randoms[category] = seededRandom(seed * OUTPUT_CATEGORIES.length + i);
+  });
+  return {
+    emit: (category, entry) => {
+      const index = counts[category]++;
+      const order = seen++;
+      if (only.indexOf(category) === -1) return;
+      if (limit != null) {
+        if (index < limit) emit(category, entry);
+      } else if (sample != null) {
+        addToReservoir(reservoirs[category], sample, index, {order, entry}, randoms[category]);
+      } else {
+        emit(category, entry);
+      }
+    },
+    end: () => {
+      if (sample != null) {
+        // entries held for the sample go out in the order they came in.
+        const held = [];
+        OUTPUT_CATEGORIES.forEach((category) => {
+          reservoirs[category].forEach(item => held.push({'category': category, ...item}));
+        });
+        held.sort((a, b) => a['order'] - b['order']).forEach(item => emit(item['category'], item['entry']));
+      }
+      return counts;
+    },
+  };
+}
+
+/**
+ * Returns whether CONFIG.only, limit or sample leaves entries out of the output.
+ * @returns {boolean} true if one of them is set.
+ */
+export const filtersOutput = () => {
+  return CONFIG.only != null || CONFIG.limit != null || CONFIG.sample != null;
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Adds an entry to a uniform random sample of the entries of a category (reservoir sampling): the first size entries
+ * are kept, and each later entry replaces a random kept one with a chance of size / (index + 1).
+ * @param {Object[]} reservoir - entries kept so far, see item.
+ * @param {number} size - size of the sample.
+ * @param {number} index - position of the entry in its category.
+ * @param {Object} item - object with schema {order:number, entry:{Object}}: the entry and its position among all.
+ * @param {function} random - returns the next random number in [0, 1).
+ */
+const addToReservoir = (reservoir, size, index, item, random) => {
+  if (index < size) {
+    reservoir.push(item);
+    return;
+  }
+  const j = Math.floor(random() * (index + 1));
+  if (j < size) reservoir[j] = item;
+}
+
+/**
+ * Returns a generator of random numbers in [0, 1) which gives the same numbers for the same seed (mulberry32).
+ * @param {number} seed - integer seed.
+ * @returns {function} returns the next number.
+ */
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Checks a number of entries to keep.
+ * @param {string} name - name of the option, for messages.
+ * @param {number} value - value of the option, or null.
+ * @returns {number} value.
+ */
+const checkCount = (name, value) => {
+  if (value != null && !(Number.isInteger(value) && value >= 0)) {
+    throw new AvroDiffError(`invalid ${name} '${value}', expected a whole number >= 0`);
+  }
+  return value;
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,64 @@
+const {outputFilter, filtersOutput} = require('./outputFilter.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError} = require('./errors.js');
+
+// runs entries through a filter configured with options, returning the kept entries and the counts.
+const run = (options, entries) => {
+  setConfig({only: null, limit: null, sample: null, sampleSeed: 0, ...options});
+  const kept = [];
+  const filter = outputFilter((category, entry) => kept.push([category, entry]));
+  entries.forEach(([category, entry]) => filter.emit(category, entry));
+  return {kept, counts: filter.end()};
+};
+
+const entries = [];
+for (let i = 0; i < 100; i++) entries.push([i % 4 === 0 ? 'removed' : 'changed', {id: [i]}]);
+
+afterAll(() => {
+  setConfig({only: null, limit: null, sample: null, sampleSeed: 0});
+});
+
+test('without options every entry is kept', () => {
+  expect(run({}, entries).kept).toEqual(entries);
+});
+
+test('only and limit keep the first entries of the chosen categories and count them all', () => {
+  const {kept, counts} = run({only: ['changed'], limit: 3}, entries);
+  expect(kept).toEqual([['changed', {id: [1]}], ['changed', {id: [2]}], ['changed', {id: [3]}]]);
+  expect(counts).toEqual({removed: 25, added: 0, changed: 75, unchanged: 0});
+});
+
+test('sample keeps n entries per category in their order, the same for the same seed', () => {
+  const first = run({sample: 5, sampleSeed: 42}, entries).kept;
+  expect(first.filter(([category]) => category === 'removed')).toHaveLength(5);
+  expect(first.filter(([category]) => category === 'changed')).toHaveLength(5);
+  const ids = first.map(([, entry]) => entry.id[0]);
+  expect(ids).toEqual([...ids].sort((a, b) => a - b));
+  expect(run({sample: 5, sampleSeed: 42}, entries).kept).toEqual(first);
+  expect(run({sample: 5, sampleSeed: 43}, entries).kept).not.toEqual(first);
+  expect(run({sample: 500}, entries).kept).toEqual(entries);
+});
+
+test('invalid options are rejected', () => {
+  expect(() => run({only: ['updated']}, [])).toThrow(/unknown category 'updated'/);
+  expect(() => run({limit: -1}, [])).toThrow(AvroDiffError);
+  expect(() => run({limit: 1, sample: 1}, [])).toThrow(/cannot be combined/);
+});
+
+test('entries past the limit or outside the sample are never passed on', () => {
+  const passed = {limit: 0, sample: 0};
+  ['limit', 'sample'].forEach((option) => {
+    setConfig({only: null, limit: null, sample: null, sampleSeed: 0, [option]: 2});
+    const filter = outputFilter(() => passed[option]++);
+    entries.forEach(([category, entry]) => filter.emit(category, entry));
+    filter.end();
+  });
+  expect(passed).toEqual({limit: 4, sample: 4});
+});
+
+test('filtersOutput tells whether any option is set', () => {
+  setConfig({only: null, limit: null, sample: null});
+  expect(filtersOutput()).toBe(false);
+  setConfig({limit: 0});
+  expect(filtersOutput()).toBe(true);
+});
@@ -0,0 +1,229 @@
+/**
+ * paths.js contains helper functions for field paths, which name fields nested inside records, unions, arrays and
+ * maps: parsing them, reading the value at a path from a decoded row, and checking or filtering schemas by path.
+ *
+ * Paths are written like JSONPath without the leading '$.' (which is accepted too):
+ *   submission.attempt.id    field id of record attempt of record submission
+ *   tags[0]                  first element of array tags
+ *   counts.week1             value of key week1 of map counts, also written counts['week1']
+ *   enrollments[*].id        field id of every element of array enrollments (filters only)
+ * Unions are transparent: submission.score reaches score whether submission is a record or a [null, record] union.
+ */
+
+import {normalizeSchema} from './schema.js';
+
+// segment matching every array element or map value.
+export const WILDCARD = '*';
+
+// path => segments, as getPath is called for every row.
+const parsedPaths = new Map();
+
+/**
+ * Parses a path into its segments: strings for field names and map keys, numbers for array indices and
+ * WILDCARD for [*] or .*
+ * @param {string} path - field path, e.g. 'submission.attempt.id' or 'tags[0]'.
+ * @returns {Array} segments of path.
+ */
+export const parsePath = (path) => {
+  const segments = [];
+  // name | [index] | [*] | ['key'] | ["key"]
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[\*\]|\[(['"])(.*?)\3\]/g;
+  const source = path.replace(/^\$\.?/, '');
+  let match;
+  let end = 0;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index !== end) break;
+    end = pattern.lastIndex;
+    if (match[1] != null) {
+      segments.push(match[1]);
+    } else if (match[2] != null) {
+      segments.push(Number(match[2]));
+    } else if (match[4] != null) {
+      segments.push(match[4]);
+    } else {
+      segments.push(WILDCARD);
+    }
+  }
+  if (end !== source.length || segments.length === 0) {
+    throw new Error(`invalid field path '${path}'`);
+  }
+  return segments;
+}
+
+/**
+ * Formats path segments as a path, the inverse of parsePath.
+ * @param {Array} segments - path segments: strings for field names and map keys, numbers for array indices.
+ * @returns {string} path, e.g. 'submission.attempts[0].id'.
+ */
+export const formatPath = (segments) => {
+  return segments.reduce((path, segment) => {
+    if (typeof segment === 'number' || segment === WILDCARD) return `${path}[${segment}]`;
+    // names parsePath would split are quoted.
+    if (!/^[^.[\]'"]+$/.test(segment)) return `${path}['${segment}']`;
+    return path === '' ? segment : `${path}.${segment}`;
+  }, '');
+}
+
+/**
+ * Returns the value at path in a decoded row, or undefined if there is none.
+ * Values of unions which avsc wraps ({'com.example.Record': {...}}) are looked through.
+ * @param {Object} row - decoded row from an avro file.
+ * @param {string|Array} path - field path or its parsed segments.
+ * @returns {*} value at path.
+ */
+export const getPath = (row, path) => {
+  if (typeof path === 'string' && !parsedPaths.has(path)) parsedPaths.set(path, parsePath(path));
+  const segments = typeof path === 'string' ? parsedPaths.get(path) : path;
+  return segments.reduce((value, segment) => {
+    if (value == null || typeof value !== 'object') return undefined;
+    if (Object.prototype.hasOwnProperty.call(value, segment)) return value[segment];
+    const wrapped = unwrapUnion(value);
+    return wrapped != null && Object.prototype.hasOwnProperty.call(wrapped, segment) ? wrapped[segment] : undefined;
+  }, row);
+}
+
+/**
+ * Returns the branch value of a wrapped union value, or null if value does not look like one.
+ * @param {Object} value - decoded value.
+ * @returns {Object} the single property of value if it is an object, else null.
+ */
+const unwrapUnion = (value) => {
+  if (Array.isArray(value)) return null;
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || value[keys[0]] == null || typeof value[keys[0]] !== 'object') return null;
+  return value[keys[0]];
+}
+
+/**
+ * Returns true if path leads to a value in schema: every segment names a field of a record, an index of an
+ * array or a key of a map, looking through unions. Wildcards are not allowed.
+ * @param {Object} schema - Avro schema as parsed JSON.
+ * @param {string|Array} path - field path or its parsed segments.
+ * @returns {boolean} true if rows of schema can hold a value at path.
+ */
+export const schemaHasPath = (schema, path) => {
+  return typeAtPath(schema, path) != null;
+}
+
+/**
+ * Returns the normalized type (see schema.js) of the values at path in schema, or null if path does not lead to
+ * a value, see schemaHasPath. When path goes through a union, the first branch holding path is used.
+ * @param {Object} schema - Avro schema as parsed JSON.
+ * @param {string|Array} path - field path or its parsed segments.
+ * @param {boolean} wildcards - let [*] and .* step into array items and map values. Defaults to false, which
+ *                            - finds no type for paths holding wildcards.
+ * @returns {Object} normalized type at path, or null.
+ */
+export const typeAtPath = (schema, path, wildcards = false) => {
+  const segments = typeof path === 'string' ? parsePath(path) : path;
+  return typeAt(normalizeSchema(schema), segments, wildcards);
+}
+
+/**
+ * Recursive helper for typeAtPath.
+ * @param {Object} type - normalized type.
+ * @param {Array} segments - remaining path segments.
+ * @param {boolean} wildcards - see typeAtPath.
+ * @returns {Object} normalized type at segments below type, or null.
+ */
+const typeAt = (type, segments, wildcards) => {
+  if (segments.length === 0) return type;
+  const [segment, ...rest] = segments;
+  if (segment === WILDCARD && !wildcards) return null;
+  switch (type.type) {
+    case 'union':
+      return type.branches.reduce(
+        (found, branch) => (found != null ? found : typeAt(branch, segments, wildcards)),
+        null
+      );
+    case 'record': {
+      const field = type.fields.find(f => f.name === segment);
+      return field != null ? typeAt(field.type, rest, wildcards) : null;
+    }
+    case 'array':
+      return typeof segment === 'number' || segment === WILDCARD ? typeAt(type.items, rest, wildcards) : null;
+    case 'map':
+      return typeof segment === 'string' ? typeAt(type.values, rest, wildcards) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns schema restricted to the fields at keepPaths and without the fields at ignorePaths. A path to a record
+ * keeps or drops the whole record, a longer path keeps or drops fields inside it. Array indices and map keys are
+ * not filtered: [*], [0] and .* all step into the array's items or the map's values, and may be left out.
+ * Named types referenced by name are left as they are defined.
+ * @param {Object} schema - record schema as parsed JSON.
+ * @param {string[]} keepPaths - paths of the fields to keep, or null to keep every field.
+ * @param {string[]} ignorePaths - paths of the fields to drop, or null to drop none.
+ * @returns {Object} filtered schema.
+ */
+export const filterSchema = (schema, keepPaths, ignorePaths) => {
+  const keep = keepPaths == null ? null : keepPaths.map(parsePath);
+  const ignore = ignorePaths == null ? [] : ignorePaths.map(parsePath);
+  return filterType(schema, keep, ignore);
+}
+
+/**
+ * Recursive helper for filterSchema.
+ * @param {Object|string|Array} type - type as parsed JSON.
+ * @param {Array[]} keep - segments of the paths to keep below type, or null to keep everything.
+ * @param {Array[]} ignore - segments of the paths to drop below type.
+ * @returns {Object|string|Array} filtered type.
+ */
+const filterType = (type, keep, ignore) => {
+  // a path ending here keeps everything below, and one ending at array items or map values cannot drop them.
+  if (keep != null && keep.some(p => p.length === 0)) keep = null;
+  ignore = ignore.filter(p => p.length > 0);
+  if (keep == null && ignore.length === 0) return type;
+  if (Array.isArray(type)) return type.map(branch => filterType(branch, keep, ignore));
+  if (type == null || typeof type !== 'object') return type;
+  if (typeof type.type === 'object') return {...type, type: filterType(type.type, keep, ignore)};
+  switch (type.type) {
+    case 'record':
+    case 'error':
+      return {...type, fields: filterFields(type.fields, keep, ignore)};
+    case 'array':
+      return {...type, items: filterType(type.items, skipWildcard(keep), skipWildcard(ignore))};
+    case 'map':
+      return {...type, values: filterType(type.values, skipWildcard(keep), skipWildcard(ignore))};
+    default:
+      return type;
+  }
+}
+
+/**
+ * Filters the fields of a record, see filterSchema.
+ * @param {Object[]} fields - record fields as parsed JSON.
+ * @param {Array[]} keep - segments of the paths to keep, or null to keep every field.
+ * @param {Array[]} ignore - segments of the paths to drop.
+ * @returns {Object[]} the kept fields, with their types filtered.
+ */
+const filterFields = (fields, keep, ignore) => {
+  return fields.reduce((result, field) => {
+    const below = paths => paths.filter(p => p[0] === field.name);
+    const ignored = below(ignore);
+    if (ignored.some(p => p.length === 1)) return result;
+    let nestedKeep = null;
+    if (keep != null) {
+      const kept = below(keep);
+      if (kept.length === 0) return result;
+      // a path ending at this field keeps all of it.
+      nestedKeep = kept.some(p => p.length === 1) ? null : kept.map(p => p.slice(1));
+    }
+    const nestedIgnore = ignored.map(p => p.slice(1));
+    result.push({...field, type: filterType(field.type, nestedKeep, nestedIgnore)});
+    return result;
+  }, []);
+}
+
+/**
+ * Drops a leading index or wildcard segment from each path, for stepping into array items or map values.
+ * @param {Array[]} paths - path segments, or null.
+ * @returns {Array[]} paths without their leading index or wildcard.
+ */
+const skipWildcard = (paths) => {
+  if (paths == null) return null;
+  return paths.map(p => (p[0] === WILDCARD || typeof p[0] === 'number' ? p.slice(1) : p));
+}
@@ -0,0 +1,56 @@
+const {parsePath, getPath, schemaHasPath, filterSchema, WILDCARD} = require('./paths.js');
+
+const schema = {
+  type: 'record',
+  name: 'row',
+  fields: [
+    {name: 'id', type: 'long'},
+    {name: 'tags', type: {type: 'array', items: 'string'}},
+    {name: 'counts', type: {type: 'map', values: 'int'}},
+    {
+      name: 'submission',
+      type: ['null', {
+        type: 'record',
+        name: 'submission',
+        fields: [{name: 'score', type: 'double'}, {name: 'grade', type: 'string'}],
+      }],
+    },
+  ],
+};
+
+test('parsePath splits names, indices, keys and wildcards', () => {
+  expect(parsePath('submission.attempt.id')).toEqual(['submission', 'attempt', 'id']);
+  expect(parsePath('$.tags[0]')).toEqual(['tags', 0]);
+  expect(parsePath("counts['week.1']")).toEqual(['counts', 'week.1']);
+  expect(parsePath('enrollments[*].id')).toEqual(['enrollments', WILDCARD, 'id']);
+  expect(() => parsePath('a..b')).toThrow();
+});
+
+test('getPath reads nested values', () => {
+  const row = {id: 1, tags: ['a', 'b'], counts: {week1: 3}, submission: {score: 0.5, grade: 'B'}};
+
+  expect(getPath(row, 'submission.score')).toBe(0.5);
+  expect(getPath(row, 'tags[1]')).toBe('b');
+  expect(getPath(row, 'counts.week1')).toBe(3);
+  expect(getPath(row, 'submission.missing')).toBeUndefined();
+  expect(getPath({submission: {'com.example.submission': {score: 1}}}, 'submission.score')).toBe(1);
+});
+
+test('schemaHasPath looks through unions, arrays and maps', () => {
+  expect(schemaHasPath(schema, 'submission.grade')).toBe(true);
+  expect(schemaHasPath(schema, 'tags[0]')).toBe(true);
+  expect(schemaHasPath(schema, 'counts.week1')).toBe(true);
+  expect(schemaHasPath(schema, 'submission.attempt')).toBe(false);
+  expect(schemaHasPath(schema, 'tags.first')).toBe(false);
+});
+
+test('filterSchema keeps and ignores nested fields', () => {
+  const filtered = filterSchema(schema, ['id', 'submission.score'], null);
+
+  expect(filtered.fields.map(field => field.name)).toEqual(['id', 'submission']);
+  expect(filtered.fields[1].type[1].fields.map(field => field.name)).toEqual(['score']);
+
+  const ignored = filterSchema(schema, null, ['tags', 'submission.grade']);
+  expect(ignored.fields.map(field => field.name)).toEqual(['id', 'counts', 'submission']);
+  expect(ignored.fields[2].type[1].fields.map(field => field.name)).toEqual(['score']);
+});
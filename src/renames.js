@@ -0,0 +1,156 @@
+/**
+ * renames.js contains the renaming of the fields of an old schema to their names in a new schema (renameFields), so
+ * rows of both files are decoded with the same field names and a renamed field is diffed like any other field instead
+ * of being reported as removed on one side and added on the other.
+ *
+ * A field is renamed when:
+ *   - the new schema lists its old name among the aliases of a field, and the new record has no field of that name,
+ *     as schemaDiff reports renames, or
+ *   - CONFIG.renames maps its path in the old schema to its new name, e.g. {"email": "emailAddress",
+ *     "address.zip": "postalCode"}. These take precedence over aliases.
+ * The old schema gets the new name of every renamed field with its old name as an alias, and old files are read with
+ * it as reader schema, so avsc resolves the renamed fields, see
+ * https://avro.apache.org/docs/current/spec.html#Aliases
+ */
+
+import stableStringify from 'json-stable-stringify';
+
+import {CONFIG} from './config.js';
+import {AvroDiffError} from './errors.js';
+import {parsePath, formatPath, typeAtPath, WILDCARD} from './paths.js';
+import {schemaDiffHelper} from './schemaDiff.js';
+
+/**
+ * Returns the old schema with its renamed fields under their new names, see the top of this file. Equal schemas, e.g.
+ * both sides read with CONFIG.schema or a single dataset, have nothing to rename and are returned as they are.
+ * Named types referenced by name are renamed where they are defined.
+ * @param {Object} oldSchema - old Avro schema as parsed JSON.
+ * @param {Object} newSchema - new Avro schema as parsed JSON.
+ * @returns {Object} Returns an object with schema {schema:{Object}, renamed:[Array]} where schema is the old schema
+ *                    with renamed fields and the elements of renamed are objects with schema {from:string, to:string,
+ *                    source:'alias'|'config'}, from being the path of a field in the old schema and to its path in the
+ *                    new schema.
+ * @throws {AvroDiffError} if a path of CONFIG.renames is not in the old schema, its new name is not in the new schema,
+ *                         or two fields of a record end up with the same name.
+ */
+export const renameFields = (oldSchema, newSchema) => {
+  if (stableStringify(oldSchema) === stableStringify(newSchema)) return {'schema': oldSchema, 'renamed': []};
+  const configured = configuredRenames();
+  // renames found from aliases, by the path of the old field with its parents under their new names.
+  const aliased = new Map(schemaDiffHelper(oldSchema, newSchema)['renamed'].map(({from, to}) => {
+    return [canonicalPath(from), parsePath(to).pop()];
+  }));
+  const renamed = [];
+  const used = new Set();
+  const schema = renameType(oldSchema, [], [], {configured, aliased, newSchema, renamed, used});
+  const missing = [...configured.keys()].filter(path => !used.has(path));
+  if (missing.length > 0) {
+    throw new AvroDiffError(`cannot rename '${missing[0]}': no such field in the old schema`);
+  }
+  return {schema, renamed};
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Returns CONFIG.renames as a Map from canonical field path (see canonicalPath) to new field name.
+ * @returns {Map} renames by old path.
+ * @throws {AvroDiffError} if CONFIG.renames is not an object of names, or a path is invalid.
+ */
+const configuredRenames = () => {
+  const renames = CONFIG.renames == null ? {} : CONFIG.renames;
+  if (typeof renames !== 'object' || Array.isArray(renames)) {
+    throw new AvroDiffError('renames must map field paths of the old schema to new field names');
+  }
+  return new Map(Object.keys(renames).map((path) => {
+    const name = renames[path];
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new AvroDiffError(`cannot rename '${path}' to ${JSON.stringify(name)}: expected a field name`);
+    }
+    try {
+      return [canonicalPath(path), name];
+    } catch (err) {
+      throw new AvroDiffError(`cannot rename '${path}': ${err.message}`);
+    }
+  }));
+}
+
+/**
+ * Returns a path written the way this module compares paths, with array items and map values as [*].
+ * @param {string} path - field path, see paths.js.
+ * @returns {string} canonical path.
+ */
+const canonicalPath = (path) => {
+  return formatPath(parsePath(path).map(segment => (typeof segment === 'number' ? WILDCARD : segment)));
+}
+
+/**
+ * Recursive helper for renameFields, walking a type of the old schema like filterSchema walks it.
+ * @param {Object|string|Array} type - type as parsed JSON.
+ * @param {Array} oldSegments - path segments of type in the old schema.
+ * @param {Array} newSegments - path segments of type with renamed fields under their new names.
+ * @param {Object} context - object with schema {configured:{Map}, aliased:{Map}, newSchema:{Object},
+ *                         renamed:[Array], used:{Set}}, renamed and the paths of CONFIG.renames found (used) being
+ *                         filled in, see renameFields.
+ * @returns {Object|string|Array} renamed type.
+ */
+const renameType = (type, oldSegments, newSegments, context) => {
+  if (Array.isArray(type)) return type.map(branch => renameType(branch, oldSegments, newSegments, context));
+  if (type == null || typeof type !== 'object') return type;
+  if (typeof type.type === 'object') return {...type, type: renameType(type.type, oldSegments, newSegments, context)};
+  switch (type.type) {
+    case 'record':
+    case 'error':
+      return {...type, fields: renameRecordFields(type.fields, oldSegments, newSegments, context)};
+    case 'array':
+      return {...type, items: renameType(type.items, [...oldSegments, WILDCARD], [...newSegments, WILDCARD], context)};
+    case 'map':
+      return {
+        ...type,
+        values: renameType(type.values, [...oldSegments, WILDCARD], [...newSegments, WILDCARD], context),
+      };
+    default:
+      return type;
+  }
+}
+
+/**
+ * Renames the fields of a record of the old schema, see renameType.
+ * @param {Object[]} fields - record fields as parsed JSON.
+ * @param {Array} oldSegments - path segments of the record in the old schema.
+ * @param {Array} newSegments - path segments of the record with renamed fields under their new names.
+ * @param {Object} context - see renameType.
+ * @returns {Object[]} fields under their new names, their types renamed.
+ */
+const renameRecordFields = (fields, oldSegments, newSegments, context) => {
+  const result = fields.map((field) => {
+    const nextOld = [...oldSegments, field.name];
+    const oldPath = formatPath(nextOld);
+    const configured = context.configured.has(oldPath);
+    if (configured) context.used.add(oldPath);
+    const name = configured ? context.configured.get(oldPath)
+      : context.aliased.get(formatPath([...newSegments, field.name]));
+    if (name == null || name === field.name) {
+      return {...field, type: renameType(field.type, nextOld, [...newSegments, field.name], context)};
+    }
+    const nextNew = [...newSegments, name];
+    const to = formatPath(nextNew);
+    if (typeAtPath(context.newSchema, nextNew, true) == null) {
+      throw new AvroDiffError(`cannot rename '${oldPath}' to '${name}': '${to}' is not in the new schema`);
+    }
+    context.renamed.push({'from': oldPath, 'to': to, 'source': configured ? 'config' : 'alias'});
+    const aliases = [...(field.aliases || []), field.name].filter(alias => alias !== name);
+    return {...field, 'name': name, 'aliases': aliases, type: renameType(field.type, nextOld, nextNew, context)};
+  });
+  const names = new Set();
+  result.forEach((field) => {
+    if (names.has(field.name)) {
+      throw new AvroDiffError(`cannot rename a field to '${formatPath([...newSegments, field.name])}': ` +
+        'the old schema already has a field of that name');
+    }
+    names.add(field.name);
+  });
+  return result;
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const {keyDiff, vennDiff} = require('./index.js');
+const {renameFields} = require('./renames.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError} = require('./errors.js');
+const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+const address = fields => ({type: 'record', name: 'address', fields});
+const oldSchema = {
+  type: 'record',
+  name: 'user',
+  fields: [
+    {name: 'id', type: 'int'},
+    {name: 'email', type: 'string'},
+    {name: 'address', type: address([{name: 'zip', type: 'string'}])},
+  ],
+};
+const newSchema = {
+  type: 'record',
+  name: 'user',
+  fields: [
+    {name: 'id', type: 'int'},
+    {name: 'emailAddress', type: 'string', aliases: ['email']},
+    {name: 'address', type: address([{name: 'postalCode', type: 'string'}])},
+  ],
+};
+let dir;
+let oldFile;
+let newFile;
+
+beforeAll(async () => {
+  dir = makeTempDir('renames');
+  oldFile = await writeAvroFile(path.join(dir, 'old.avro'), oldSchema, [
+    {id: 1, email: 'a@example.com', address: {zip: '10001'}},
+    {id: 2, email: 'b@example.com', address: {zip: '10002'}},
+  ]);
+  newFile = await writeAvroFile(path.join(dir, 'new.avro'), newSchema, [
+    {id: 1, emailAddress: 'a@example.com', address: {postalCode: '10001'}},
+    {id: 2, emailAddress: 'c@example.com', address: {postalCode: '10002'}},
+  ]);
+});
+
+afterAll(() => {
+  setConfig({renames: null});
+  removeDir(dir);
+});
+
+test('fields renamed by aliases and CONFIG.renames are diffed under their new names', async () => {
+  setConfig({renames: {'address.zip': 'postalCode'}});
+  const diff = await keyDiff(oldFile, newFile, ['id']);
+
+  expect(diff.removed.concat(diff.added)).toEqual([]);
+  expect(diff.unchanged).toHaveLength(1);
+  expect(diff.changed[0].changes).toEqual([
+    {path: 'emailAddress', kind: 'updated', old: 'b@example.com', new: 'c@example.com'},
+  ]);
+  const venn = await vennDiff(oldFile, newFile);
+  expect(Object.values(venn.intersection)).toEqual([1]);
+});
+
+test('renameFields gives the old schema the new names with the old names as aliases', () => {
+  setConfig({renames: {'address.zip': 'postalCode'}});
+  const {schema, renamed} = renameFields(oldSchema, newSchema);
+
+  expect(renamed).toEqual([
+    {from: 'email', to: 'emailAddress', source: 'alias'},
+    {from: 'address.zip', to: 'address.postalCode', source: 'config'},
+  ]);
+  expect(schema.fields[1]).toEqual({name: 'emailAddress', type: 'string', aliases: ['email']});
+  expect(schema.fields[2].type.fields).toEqual([{name: 'postalCode', type: 'string', aliases: ['zip']}]);
+  // without renames the nested field is removed on one side and added on the other.
+  setConfig({renames: null});
+  expect(renameFields(oldSchema, newSchema).renamed).toHaveLength(1);
+  expect(renameFields(oldSchema, oldSchema).schema).toBe(oldSchema);
+});
+
+test('renames which do not fit the schemas are rejected', () => {
+  const invalid = [
+    [{'phone': 'phoneNumber'}, /cannot rename 'phone': no such field in the old schema/],
+    [{'address.zip': 'zipCode'}, /'address.zipCode' is not in the new schema/],
+    [{'id': 'emailAddress'}, /cannot rename a field to 'emailAddress': the old schema already has a field/],
+    [{'id': 'not a name'}, /expected a field name/],
+  ];
+  invalid.forEach(([renames, message]) => {
+    setConfig({renames});
+    expect(() => renameFields(oldSchema, newSchema)).toThrow(AvroDiffError);
+    expect(() => renameFields(oldSchema, newSchema)).toThrow(message);
+  });
+  setConfig({renames: null});
+});
@@ -0,0 +1,472 @@
+/**
+ * report.js contains the machine readable output of keyDiff and vennDiff, for CI jobs and dashboards which should not
+ * have to scrape the colored text of printKeyDiff and printVennDiff.
+ *
+ * Both diffs are turned into records of the form
+ *   {type: 'added'|'removed'|'changed', key, old, new, changes}
+ * where key is the array of key values (null for vennDiff), old and new are the rows (null on the side a row is
+ * missing from) and changes lists the changed fields of a changed row as {path, kind, old, new}, see changes.js.
+ * vennDiff records also hold the number of times the row occurs in count. keyDiff records of rows with fields equal
+ * under a comparison rule (see rules.js) list them in matched, and such rows get a record of type 'unchanged' too,
+ * which other unchanged rows do not. A summary record
+ * {type: 'summary', diff: 'key'|'venn', ...counts} comes with them. Bytes and fixed values are written as hex strings.
+ *
+ * printKeyDiffStream writes the records of streamKeyDiff as they are found, for files diffed with a memory limit, in
+ * the same order as keyDiffRecords.
+ * Other commands write their results through formatRecords too, with records of their own (see dirDiffRecords,
+ * fieldSummaryRecords in summary.js, validationRecords in validate.js and integrityRecords in integrity.js).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {inspect} from 'util';
+import {StringDecoder} from 'string_decoder';
+import 'colors';
+
+import {CONFIG} from './config.js';
+import {
+  printKeyDiff, printKeyDiffCounts, printVennDiff, streamKeyDiff, updatedEntry, readInputSchemas, keyDiffCounts,
+} from './index.js';
+import {outputFilter, OUTPUT_CATEGORIES} from './outputFilter.js';
+import {printDirDiff} from './dirDiff.js';
+import {schemaDiffHelper} from './schemaDiff.js';
+import {htmlWriter} from './htmlReport.js';
+import {resolveInput, inputName} from './inputs.js';
+
+// bytes of a spooled category buffered before writing it and read back at a time, see categoryWriter.
+const SPOOL_CHUNK_BYTES = 64 * 1024;
+
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'html'];
+
+/**
+ * Returns the records for a diff returned by keyDiff, see the top of this file.
+ * Unchanged rows are only counted in the summary, unless they matched a comparison rule. For a diff returned by
+ * filteredKeyDiff (see index.js) the summary counts every row, including those left out.
+ * @param {Object} diff - an object outputted from keyDiff or filteredKeyDiff.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'key', added:number, removed:number, changed:number, unchanged:number,
+ *                    duplicates:{old:number, new:number}}
+ */
+export const keyDiffRecords = (diff) => {
+  const records = [];
+  OUTPUT_CATEGORIES.forEach((category) => {
+    diff[category].forEach((entry) => {
+      const record = keyDiffRecord(category, entry);
+      if (record != null) records.push(record);
+    });
+  });
+  return {'summary': keyDiffSummary(keyDiffCounts(diff), diff['duplicates']), records};
+}
+
+/**
+ * Returns the record for one entry of a diff returned by keyDiff or streamKeyDiff.
+ * @param {string} category - 'removed', 'added', 'changed' or 'unchanged'.
+ * @param {Object} entry - entry of the diff, see keyDiffHelper.
+ * @returns {Object} record, or null for unchanged rows which matched no comparison rule.
+ */
+export const keyDiffRecord = (category, entry) => {
+  let record;
+  switch (category) {
+    case 'removed':
+      return diffRecord('removed', entry.id, entry.data, null, []);
+    case 'added':
+      return diffRecord('added', entry.id, null, entry.data, []);
+    case 'changed':
+      record = diffRecord('changed', entry.id, entry.old, entry.new, entry.changes);
+      break;
+    default:
+      if (entry.matched == null) return null;
+      record = diffRecord('unchanged', entry.id, entry.old, entry.data, []);
+  }
+  if (entry.matched != null) record['matched'] = entry.matched;
+  return record;
+}
+
+/**
+ * Returns the summary record of a key diff.
+ * @param {Object} counts - object with schema {removed:number, added:number, changed:number, unchanged:number}
+ * @param {Object} duplicates - duplicate keys with schema {old:[Array], new:[Array]}, or null.
+ * @returns {Object} summary record, see keyDiffRecords.
+ */
+export const keyDiffSummary = (counts, duplicates) => {
+  const dups = duplicates != null ? duplicates : {'old': [], 'new': []};
+  return {
+    'type': 'summary',
+    'diff': 'key',
+    'added': counts['added'],
+    'removed': counts['removed'],
+    'changed': counts['changed'],
+    'unchanged': counts['unchanged'],
+    'duplicates': {'old': dups['old'].length, 'new': dups['new'].length},
+  };
+}
+
+/**
+ * Returns the records for a diff returned by vennDiff, see the top of this file: one record per distinct removed or
+ * added row, with the number of times it occurs in count. Rows in the intersection are only counted in the summary.
+ * @param {Object} venn - an object outputted from vennDiff.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'venn', added:number, removed:number, intersection:number} counting rows.
+ */
+export const vennDiffRecords = (venn) => {
+  const rows = (category, type, side) => Object.keys(venn[category]).map((str) => {
+    const row = JSON.parse(str, reviveBuffer);
+    const record = diffRecord(type, null, side === 'old' ? row : null, side === 'new' ? row : null, []);
+    record['count'] = venn[category][str];
+    return record;
+  });
+  const records = [...rows('removed', 'removed', 'old'), ...rows('added', 'added', 'new')];
+  return {'summary': vennDiffSummary(venn), records};
+}
+
+/**
+ * Returns the summary record of a venn diff.
+ * @param {Object} venn - an object outputted from vennDiff.
+ * @returns {Object} summary record, see vennDiffRecords.
+ */
+export const vennDiffSummary = (venn) => {
+  const count = category => Object.keys(venn[category]).reduce((sum, str) => sum + venn[category][str], 0);
+  return {
+    'type': 'summary',
+    'diff': 'venn',
+    'added': count('added'),
+    'removed': count('removed'),
+    'intersection': count('intersection'),
+  };
+}
+
+/**
+ * Returns the records for a diff returned by dirDiff: the records and summary record of every table, each with a
+ * table field naming the table, records {type: 'table-removed'|'table-added', table} for tables in one folder only and
+ * records {type: 'error', table, message, exitCode} for tables which could not be diffed.
+ * @param {Object} diff - an object outputted from dirDiff.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'dir', tables:number, failed:number, removedTables:number,
+ *                    addedTables:number}.
+ */
+export const dirDiffRecords = (diff) => {
+  const records = [];
+  const inTable = (table, record) => ({'type': record['type'], 'table': table, ...record});
+  diff['onlyOld'].forEach(table => records.push({'type': 'table-removed', 'table': table}));
+  diff['onlyNew'].forEach(table => records.push({'type': 'table-added', 'table': table}));
+  diff['tables'].forEach((result) => {
+    const table = result['table'];
+    if (result['error'] != null) {
+      records.push({
+        'type': 'error',
+        'table': table,
+        'message': result['error'].message,
+        'exitCode': result['error'].exitCode,
+      });
+      return;
+    }
+    const report = result['key'] != null ? keyDiffRecords(result['diff']) : vennDiffRecords(result['diff']);
+    report.records.forEach(record => records.push(inTable(table, record)));
+    records.push(inTable(table, report.summary));
+  });
+  const summary = {
+    'type': 'summary',
+    'diff': 'dir',
+    'tables': diff['tables'].length,
+    'failed': diff['tables'].filter(result => result['error'] != null).length,
+    'removedTables': diff['onlyOld'].length,
+    'addedTables': diff['onlyNew'].length,
+  };
+  return {summary, records};
+}
+
+/**
+ * Returns what an html report says about the inputs of a diff besides its records: a title naming them and the
+ * differences between their schemas (CONFIG.schema, or the schema of the first .avro file of each side).
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @returns {Promise} Promise resolving to an object with schema {title:string, schemaDiff:{Object}}, see htmlWriter
+ *                    in htmlReport.js.
+ */
+export const reportContext = async (oldFile, newFile) => {
+  const [oldSchema, newSchema] = await readInputSchemas(oldFile, newFile);
+  return {
+    'title': `${inputName(resolveInput(oldFile))} vs ${inputName(resolveInput(newFile))}`,
+    'schemaDiff': schemaDiffHelper(oldSchema, newSchema),
+  };
+}
+
+/**
+ * Formats records as JSON, NDJSON or html.
+ * - json: one document {records, summary}.
+ * - ndjson: one record per line, followed by the summary record.
+ * - html: a page showing the records, see htmlReport.js.
+ * @param {Object} report - object with schema {summary:{Object}, records:[Array]}, see keyDiffRecords.
+ * @param {string} format - 'json', 'ndjson' or 'html'.
+ * @param {Object} context - title and schema differences for format html, see reportContext, or null.
+ * @returns {string} formatted report, ending with a newline.
+ */
+export const formatRecords = (report, format, context = null) => {
+  const parts = [];
+  const writer = recordWriter(format, text => parts.push(text), context);
+  report.records.forEach(writer.record);
+  writer.end(report.summary);
+  return parts.join('');
+}
+
+/**
+ * Returns a writer formatting records one at a time, so a report can be written while it is produced.
+ * The output is the same as formatRecords.
+ * @param {string} format - 'json', 'ndjson' or 'html'.
+ * @param {function} write - called with each piece of formatted text.
+ * @param {Object} context - title and schema differences for format html, see reportContext, or null.
+ * @returns {Object} writer with methods record(record), called for every record, and end(summary), called once.
+ */
+export const recordWriter = (format, write, context = null) => {
+  let records = 0;
+  if (format === 'html') {
+    const html = htmlWriter(write, context);
+    return {
+      record: record => html.record(toJson(record)),
+      end: summary => html.end(toJson(summary)),
+    };
+  }
+  if (format === 'ndjson') {
+    return {
+      record: record => write(`${toJson(record)}\n`),
+      end: summary => write(`${toJson(summary)}\n`),
+    };
+  }
+  // the same layout as JSON.stringify(report, null, 2), written piece by piece.
+  return {
+    record: (record) => {
+      write(`${records === 0 ? '{\n  "records": [\n' : ',\n'}    ${indent(toJson(record, 2), '    ')}`);
+      records++;
+    },
+    end: (summary) => {
+      write(`${records === 0 ? '{\n  "records": [],\n' : '\n  ],\n'}  "summary": ${indent(toJson(summary, 2), '  ')}\n}\n`);
+    },
+  };
+}
+
+/**
+ * Prints a diff returned by keyDiff or filteredKeyDiff in the given format.
+ * @param {Object} diff - an object outputted from keyDiff or filteredKeyDiff.
+ * @param {string} format - one of OUTPUT_FORMATS. 'text' is printKeyDiff.
+ * @param {Object} context - title and schema differences for format html, see reportContext, or null.
+ */
+export const printKeyDiffAs = (diff, format = 'text', context = null) => {
+  if (format === 'text') {
+    printKeyDiff(diff);
+  } else {
+    process.stdout.write(formatRecords(keyDiffRecords(diff), format, context));
+  }
+}
+
+/**
+ * Diffs oldFile and newFile with streamKeyDiff and prints each entry as soon as it is found, in the given format.
+ * With format 'text' each entry is printed on its own, colored like printKeyDiff, and the counts are printed last.
+ * Entries are filtered by CONFIG.only, limit and sample like those of filteredKeyDiff, see outputFilter.js.
+ * @param {string} oldFile - filepath to old .avro file.
+ * @param {string} newFile - filepath to new .avro file.
+ * @param {string[]} key  - fields comprising a key to diff oldFile and newFile
+ * @param {string} format - one of OUTPUT_FORMATS.
+ * @returns {Promise} Promise which resolves to the summary record of the diff once it is printed, see keyDiffSummary.
+ */
+export const printKeyDiffStream = async (oldFile, newFile, key, format = 'text') => {
+  if (format === 'text') {
+    const filter = outputFilter(printTextEntry);
+    const result = await streamKeyDiff(oldFile, newFile, key, filter.emit);
+    filter.end();
+    printKeyDiffCounts(result['counts'], result['duplicates']);
+    return keyDiffSummary(result['counts'], result['duplicates']);
+  }
+  const context = format === 'html' ? await reportContext(oldFile, newFile) : null;
+  // entries are found in key order, records are written grouped by category like those of printKeyDiffAs.
+  const writer = categoryWriter(recordWriter(format, text => process.stdout.write(text), context));
+  try {
+    const filter = outputFilter((category, entry) => {
+      const record = keyDiffRecord(category, entry);
+      if (record != null) writer.record(category, record);
+    });
+    const result = await streamKeyDiff(oldFile, newFile, key, filter.emit);
+    filter.end();
+    const summary = keyDiffSummary(result['counts'], result['duplicates']);
+    writer.end(summary);
+    return summary;
+  } finally {
+    writer.cleanup();
+  }
+}
+
+/**
+ * Prints a diff returned by vennDiff in the given format.
+ * @param {Object} venn - an object outputted from vennDiff.
+ * @param {string} format - one of OUTPUT_FORMATS. 'text' is printVennDiff.
+ * @param {Object} context - title and schema differences for format html, see reportContext, or null.
+ */
+export const printVennDiffAs = (venn, format = 'text', context = null) => {
+  if (format === 'text') {
+    printVennDiff(venn);
+  } else {
+    process.stdout.write(formatRecords(vennDiffRecords(venn), format, context));
+  }
+}
+
+/**
+ * Prints a diff returned by dirDiff in the given format.
+ * @param {Object} diff - an object outputted from dirDiff.
+ * @param {string} format - one of OUTPUT_FORMATS. 'text' is printDirDiff.
+ */
+export const printDirDiffAs = (diff, format = 'text') => {
+  if (format === 'text') {
+    printDirDiff(diff);
+  } else {
+    process.stdout.write(formatRecords(dirDiffRecords(diff), format));
+  }
+}
+
+/**
+ * JSON.stringify writing Buffers (bytes and fixed values) as hex strings.
+ * @param {*} value - value to stringify.
+ * @param {number} indent - indentation, or undefined for a single line.
+ * @returns {string} JSON text.
+ */
+export const toJson = (value, indent) => {
+  return JSON.stringify(value, function replacer(name, val) {
+    // Buffer#toJSON runs before the replacer, so look at the raw value on the holder.
+    const raw = this[name];
+    return Buffer.isBuffer(raw) ? raw.toString('hex') : val;
+  }, indent);
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Returns a record for one row of a diff.
+ * @param {string} type - 'added', 'removed', 'changed' or 'unchanged'.
+ * @param {Array} key - key values of the row, or null.
+ * @param {Object} oldRow - row in the old file, or null.
+ * @param {Object} newRow - row in the new file, or null.
+ * @param {Object[]} changes - changed fields, see fieldChanges in changes.js.
+ * @returns {Object} record with schema {type, key, old, new, changes}.
+ */
+const diffRecord = (type, key, oldRow, newRow, changes) => {
+  return {'type': type, 'key': key, 'old': oldRow, 'new': newRow, 'changes': changes};
+}
+
+/**
+ * JSON.parse reviver turning the {type: 'Buffer', data} objects Buffer#toJSON writes back into Buffers, so bytes and
+ * fixed values of rows stringified as venn diff keys are written as hex strings like those of keyDiff.
+ * @param {string} name - property name.
+ * @param {*} value - parsed value.
+ * @returns {*} value, or the Buffer it was written from.
+ */
+const reviveBuffer = (name, value) => {
+  const isBuffer = value != null && value['type'] === 'Buffer' && Array.isArray(value['data']) &&
+    Object.keys(value).length === 2;
+  return isBuffer ? Buffer.from(value['data']) : value;
+}
+
+/**
+ * Returns a writer putting the records of a key diff in the order of keyDiffRecords, one category after the other,
+ * while they come in key order. Records of the first category are written at once, those of the others are spooled
+ * to temporary NDJSON files in CONFIG.tempDir (or the OS temporary directory) and written by end.
+ * @param {Object} writer - writer of the records, see recordWriter.
+ * @returns {Object} writer with methods record(category, record), end(summary) and cleanup(), which deletes the
+ *                   temporary files and is called once done, also on errors.
+ */
+const categoryWriter = (writer) => {
+  const dir = fs.mkdtempSync(path.join(CONFIG.tempDir != null ? CONFIG.tempDir : os.tmpdir(), 'avro-diff-'));
+  const spooled = OUTPUT_CATEGORIES.slice(1);
+  const spools = {};
+  spooled.forEach((category) => {
+    const file = path.join(dir, `${category}.ndjson`);
+    spools[category] = {'file': file, 'fd': fs.openSync(file, 'w'), 'text': ''};
+  });
+  // writes the buffered lines of a spool to its file.
+  const flush = (spool) => {
+    fs.writeSync(spool['fd'], spool['text']);
+    spool['text'] = '';
+  };
+  return {
+    record: (category, record) => {
+      const spool = spools[category];
+      if (spool == null) {
+        writer.record(record);
+        return;
+      }
+      spool['text'] += `${toJson(record)}\n`;
+      if (spool['text'].length >= SPOOL_CHUNK_BYTES) flush(spool);
+    },
+    end: (summary) => {
+      spooled.forEach((category) => {
+        const spool = spools[category];
+        flush(spool);
+        fs.closeSync(spool['fd']);
+        spool['fd'] = null;
+        readLines(spool['file'], line => writer.record(JSON.parse(line)));
+      });
+      writer.end(summary);
+    },
+    cleanup: () => {
+      spooled.forEach((category) => {
+        if (spools[category]['fd'] != null) fs.closeSync(spools[category]['fd']);
+        fs.unlinkSync(spools[category]['file']);
+      });
+      fs.rmdirSync(dir);
+    },
+  };
+}
+
+/**
+ * Calls fn with every line of a file, reading it a chunk at a time.
+ * @param {string} file - filepath.
+ * @param {function} fn - called with each line, without its line break. Empty lines are skipped.
+ */
+const readLines = (file, fn) => {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunk = Buffer.alloc(SPOOL_CHUNK_BYTES);
+    // decodes characters split between chunks whole.
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    let bytes;
+    while ((bytes = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const lines = (rest + decoder.write(chunk.slice(0, bytes))).split('\n');
+      rest = lines.pop();
+      lines.filter(line => line !== '').forEach(fn);
+    }
+    rest += decoder.end();
+    if (rest !== '') fn(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Prints one entry of a key diff as text, with the label and color printKeyDiff uses for its category.
+ * @param {string} category - 'removed', 'added', 'changed' or 'unchanged'.
+ * @param {Object} entry - entry of the diff, see keyDiffHelper.
+ */
+const printTextEntry = (category, entry) => {
+  switch (category) {
+    case 'added':
+      console.log(inspect({ "added" : entry}, { depth: 'Infinity' }).green);
+      break;
+    case 'removed':
+      console.log(inspect({ "removed" : entry}, { depth: 'Infinity' }).red);
+      break;
+    case 'changed':
+      console.log(inspect({ "updated" : updatedEntry(entry)}, { depth: 'Infinity' }).yellow);
+      break;
+    default:
+      console.log(inspect({ "unchanged" : entry}, { depth: 'Infinity' }).white);
+  }
+}
+
+/**
+ * Indents every line of text after the first.
+ * @param {string} text - text to indent.
+ * @param {string} prefix - indentation.
+ * @returns {string} indented text.
+ */
+const indent = (text, prefix) => text.replace(/\n/g, `\n${prefix}`);
+
+/* <=== End of helper functions ===> */
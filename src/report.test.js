@@ -0,0 +1,149 @@
+const {keyDiffHelper} = require('./index.js');
+const {keyDiffRecords, vennDiffRecords, formatRecords} = require('./report.js');
+
+test('keyDiffRecords lists added, removed and changed rows with their changed fields', async () => {
+  const oldRows = [{k: 1, v: {a: 1, b: 'x'}, tags: ['p', 'q']}, {k: 2, v: null, tags: []}];
+  const newRows = [{k: 1, v: {a: 2, b: 'x'}, tags: ['p', 'r']}, {k: 3, v: null, tags: []}];
+  const {summary, records} = keyDiffRecords(await keyDiffHelper(oldRows, newRows, ['k']));
+
+  expect(summary).toEqual({
+    type: 'summary',
+    diff: 'key',
+    added: 1,
+    removed: 1,
+    changed: 1,
+    unchanged: 0,
+    duplicates: {old: 0, new: 0},
+  });
+  expect(records.map(record => [record.type, record.key])).toEqual([['removed', [2]], ['added', [3]], ['changed', [1]]]);
+  expect(records[2].old).toEqual(oldRows[0]);
+  expect(records[2].changes).toEqual([
+    {path: 'v.a', kind: 'updated', old: 1, new: 2},
+    {path: 'tags[1]', kind: 'updated', old: 'q', new: 'r'},
+  ]);
+});
+
+test('rows equal under a comparison rule are unchanged records listing the rule', async () => {
+  const {compileRules} = require('./rules.js');
+  const schema = {type: 'record', name: 'row', fields: [{name: 'k', type: 'long'}, {name: 'name', type: 'string'}]};
+  const rules = compileRules({name: {ignoreCase: true}}, schema);
+  const oldRows = [{k: 1, name: 'Ann'}, {k: 2, name: 'Bo'}];
+  const newRows = [{k: 1, name: 'ann'}, {k: 2, name: 'Bo'}];
+  const diff = await keyDiffHelper(oldRows, newRows, ['k'], null, rules);
+  const {summary, records} = keyDiffRecords(diff);
+
+  expect(diff.changed).toEqual([]);
+  expect(summary.unchanged).toBe(2);
+  expect(records).toEqual([{
+    type: 'unchanged',
+    key: [1],
+    old: oldRows[0],
+    new: newRows[0],
+    changes: [],
+    matched: [{path: 'name', rule: {path: 'name', ignoreCase: true}, old: 'Ann', new: 'ann'}],
+  }]);
+});
+
+test('vennDiffRecords counts rows', () => {
+  const venn = {removed: {'{"a":1}': 2}, added: {'{"a":2}': 1}, intersection: {'{"a":3}': 3}};
+  const {summary, records} = vennDiffRecords(venn);
+
+  expect(summary).toEqual({type: 'summary', diff: 'venn', added: 1, removed: 2, intersection: 3});
+  expect(records).toEqual([
+    {type: 'removed', key: null, old: {a: 1}, new: null, changes: [], count: 2},
+    {type: 'added', key: null, old: null, new: {a: 2}, changes: [], count: 1},
+  ]);
+  const bytes = JSON.stringify({b: Buffer.from([0xab, 0x01])});
+  const {records: [record]} = vennDiffRecords({removed: {}, added: {[bytes]: 1}, intersection: {}});
+  expect(JSON.parse(formatRecords({summary: {}, records: [record]}, 'json')).records[0].new).toEqual({b: 'ab01'});
+});
+
+test('printVennDiff labels removed and added rows like the summary record', () => {
+  const {printVennDiff} = require('./index.js');
+  const venn = {removed: {'{"a":1}': 1, '{"a":2}': 1}, added: {'{"a":3}': 1}, intersection: {}};
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  printVennDiff(venn);
+  const lines = log.mock.calls.map(([line]) => line);
+  log.mockRestore();
+
+  expect(lines).toEqual(expect.arrayContaining(['2 removed', '1 added']));
+});
+
+test('formatRecords writes ndjson with the summary last and bytes as hex', () => {
+  const report = {
+    summary: {type: 'summary'},
+    records: [{type: 'added', key: [Buffer.from([0xab, 0x01])], old: null, new: {b: Buffer.from([0xff])}, changes: []}],
+  };
+  const lines = formatRecords(report, 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+
+  expect(lines).toEqual([{type: 'added', key: ['ab01'], old: null, new: {b: 'ff'}, changes: []}, {type: 'summary'}]);
+  expect(JSON.parse(formatRecords(report, 'json')).summary).toEqual({type: 'summary'});
+});
+
+test('formatRecords writes html embedding the records, summary and schema differences', () => {
+  const report = {
+    summary: {type: 'summary', diff: 'key', added: 1},
+    records: [{type: 'added', key: [1], old: null, new: {note: '</script><b>'}, changes: []}],
+  };
+  const schemaDiff = {added: [{path: 'note', type: 'string'}], removed: []};
+  const html = formatRecords(report, 'html', {title: 'old.avro vs <new>.avro', schemaDiff});
+  const embedded = (id, page = html) => {
+    return JSON.parse(page.match(new RegExp(`<script type="application/json" id="${id}">(.*?)</script>`, 's'))[1]);
+  };
+
+  expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+  expect(html).toContain('<title>old.avro vs &lt;new&gt;.avro</title>');
+  expect(html).not.toContain('</script><b>');
+  expect(embedded('records')).toEqual(report.records);
+  expect(embedded('summary')).toEqual(report.summary);
+  expect(embedded('schema-diff')).toEqual(schemaDiff);
+  expect(embedded('records', formatRecords({summary: {}, records: []}, 'html'))).toEqual([]);
+});
+
+test('printKeyDiffStream writes the same json and ndjson as printKeyDiffAs', async () => {
+  const path = require('path');
+  const {keyDiff} = require('./index.js');
+  const {printKeyDiffAs, printKeyDiffStream} = require('./report.js');
+  const {setConfig} = require('./config.js');
+  const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+  const schema = {type: 'record', name: 'row', fields: [
+    {name: 'k', type: 'long'}, {name: 'name', type: 'string'}, {name: 'raw', type: 'bytes'},
+  ]};
+  // removed, added, changed and unchanged keys take turns, so key order mixes the categories.
+  const oldRows = [];
+  const newRows = [];
+  for (let k = 0; k < 400; k++) {
+    const row = {k, name: `née ${k}`, raw: Buffer.from([k % 256])};
+    if (k % 4 !== 1) oldRows.push(row);
+    if (k % 4 === 1) newRows.push(row);
+    if (k % 4 === 2) newRows.push({...row, name: `${row.name}!`});
+    if (k % 4 === 3) newRows.push({...row, name: row.name.toUpperCase()});
+  }
+  const dir = makeTempDir('report');
+  const oldFile = await writeAvroFile(path.join(dir, 'old.avro'), schema, oldRows);
+  const newFile = await writeAvroFile(path.join(dir, 'new.avro'), schema, newRows);
+  const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  // returns what fn wrote to stdout.
+  const output = async (fn) => {
+    write.mockClear();
+    await fn();
+    return write.mock.calls.map(([text]) => text).join('');
+  };
+  try {
+    setConfig({compareRules: {name: {ignoreCase: true}}});
+    for (const format of ['json', 'ndjson']) {
+      const inMemory = await output(async () => printKeyDiffAs(await keyDiff(oldFile, newFile, ['k']), format));
+      setConfig({memoryLimit: 0.001});
+      const streamed = await output(() => printKeyDiffStream(oldFile, newFile, ['k'], format));
+      setConfig({memoryLimit: null});
+
+      expect(streamed).toBe(inMemory);
+    }
+    expect(JSON.parse(await output(() => printKeyDiffStream(oldFile, newFile, ['k'], 'json'))).summary)
+      .toMatchObject({removed: 100, added: 100, changed: 100, unchanged: 100});
+  } finally {
+    write.mockRestore();
+    setConfig({compareRules: null, memoryLimit: null});
+    removeDir(dir);
+  }
+});
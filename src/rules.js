@@ -0,0 +1,301 @@
+/**
+ * rules.js contains comparison rules, which let keyDiff treat two values of a field as equal when they differ only
+ * in ways that do not matter: float rounding, timestamp precision, whitespace or case, or null against a default,
+ * and compare arrays whose order does not matter as sets, multisets or collections of records with a key.
+ *
+ * Rules are configured in CONFIG.compareRules as a map from field path (see paths.js) to options, e.g.
+ *   {"salary": {"tolerance": 0.01}, "registeredAt": {"truncate": "second"},
+ *    "email": {"trim": true, "ignoreCase": true}}
+ * A rule covers the values at its path and everything below them, so a rule on a record or array covers its fields or
+ * elements, and where rules are nested the one with the longest path wins. Paths may hold [*] and .* wildcards.
+ */
+
+import stableStringify from 'json-stable-stringify';
+
+import {parsePath, formatPath, typeAtPath, WILDCARD} from './paths.js';
+import {AvroDiffError} from './errors.js';
+
+// options a rule may set:
+// - tolerance: numbers are equal if they differ by at most this much.
+// - relativeTolerance: numbers are equal if they differ by at most this fraction of the larger magnitude.
+// - truncate: timestamps and times are equal if they fall in the same one of TRUNCATE_UNITS.
+// - ignoreCase / trim: strings are compared in lower case / without leading and trailing whitespace.
+// - nullAsDefault: null equals the default of the field, or the empty value of the other value's kind (0, '', false,
+//   [], {}, empty bytes) if the field has no default other than null.
+// - unordered: the array at the path of the rule is compared as one of UNORDERED_MODES instead of by position.
+// - matchBy: the array at the path of the rule holds records, and elements of the old and new array with the same
+//   value at this path (or these paths) are compared with each other wherever they are in the arrays.
+export const COMPARE_RULE_OPTIONS = [
+  'tolerance', 'relativeTolerance', 'truncate', 'ignoreCase', 'trim', 'nullAsDefault', 'unordered', 'matchBy',
+];
+
+// ways to compare arrays without order: 'set' ignores repeated elements, 'multiset' counts them.
+export const UNORDERED_MODES = ['set', 'multiset'];
+
+// units timestamps and times may be truncated to, in milliseconds.
+export const TRUNCATE_UNITS = {
+  'millisecond': 1,
+  'second': 1000,
+  'minute': 60 * 1000,
+  'hour': 60 * 60 * 1000,
+  'day': 24 * 60 * 60 * 1000,
+};
+
+// decoded units per millisecond of logical types not counted in milliseconds.
+const TIME_SCALES = {
+  'timestamp-micros': 1000,
+  'local-timestamp-micros': 1000,
+  'time-micros': 1000,
+  'date': 1 / TRUNCATE_UNITS['day'],
+};
+
+/**
+ * Validates the rules of CONFIG.compareRules against the schema rows are read with.
+ * @param {Object} config - map from field path to rule options, see the top of this file, or null.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @returns {Object} compiled rules to pass to ruleAt and equalUnderRule, or null if there are none.
+ * @throws {AvroDiffError} if a path is not in schema or an option is unknown or has an invalid value.
+ */
+export const compileRules = (config, schema) => {
+  if (config == null || Object.keys(config).length === 0) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new AvroDiffError('compareRules must map field paths to rule options');
+  }
+  const rules = Object.keys(config).map((path) => {
+    let segments;
+    try {
+      segments = parsePath(path);
+    } catch (err) {
+      throw new AvroDiffError(`compareRules: ${err.message}`);
+    }
+    const type = typeAtPath(schema, segments, true);
+    if (type == null) {
+      throw new AvroDiffError(`compareRules: '${path}' is not in the schema (check keepFields and ignoreFields)`);
+    }
+    const rule = {'path': path, 'segments': segments, 'options': checkOptions(path, config[path])};
+    if (rule.options['unordered'] != null || rule.options['matchBy'] != null) checkArrayRule(rule, type, schema);
+    return rule;
+  });
+  // the most specific rule is found first.
+  rules.sort((a, b) => b.segments.length - a.segments.length);
+  return {'schema': schema, 'rules': rules, 'scales': new Map()};
+}
+
+/**
+ * Returns the rule covering the value at segments: the rule with the longest path which is a prefix of segments.
+ * @param {Object} compiled - compiled rules, see compileRules, or null.
+ * @param {Array} segments - path segments of a value in a row.
+ * @returns {Object} rule with schema {path:string, segments:[Array], options:{Object}}, or null.
+ */
+export const ruleAt = (compiled, segments) => {
+  if (compiled == null) return null;
+  const rule = compiled.rules.find(candidate => candidate.segments.length <= segments.length &&
+    candidate.segments.every((segment, i) => segment === WILDCARD || segment === segments[i]));
+  return rule != null ? rule : null;
+}
+
+/**
+ * Returns how the array at segments is compared: by position, as one of UNORDERED_MODES, or by matching records by
+ * key. Only a rule on the array itself changes this, not a rule on a value it is nested in.
+ * @param {Object} compiled - compiled rules, see compileRules, or null.
+ * @param {Array} segments - path segments of an array in a row.
+ * @returns {Object} object with schema {rule:{Object}, mode:string, matchBy:[Array]} where mode is 'set',
+ *                   'multiset' or 'key' and matchBy holds the parsed key paths in mode 'key', or null to compare by
+ *                   position.
+ */
+export const arrayRuleAt = (compiled, segments) => {
+  const rule = ruleAt(compiled, segments);
+  if (rule == null || rule.segments.length !== segments.length ||
+    (rule.matchBy == null && !rule.options['unordered'])) {
+    return null;
+  }
+  if (rule.matchBy != null) return {'rule': rule, 'mode': 'key', 'matchBy': rule.matchBy};
+  return {'rule': rule, 'mode': rule.options['unordered'], 'matchBy': null};
+}
+
+/**
+ * Returns true if two values which are not equal are equal under a rule.
+ * @param {Object} compiled - compiled rules, see compileRules.
+ * @param {Object} rule - the rule covering the values, see ruleAt.
+ * @param {Array} segments - path segments of the values.
+ * @param {*} oldValue - value in the old row.
+ * @param {*} newValue - value in the new row.
+ * @returns {boolean} true if the values are equal under rule.
+ */
+export const equalUnderRule = (compiled, rule, segments, oldValue, newValue) => {
+  const options = rule.options;
+  let a = oldValue;
+  let b = newValue;
+  if (options['nullAsDefault']) {
+    if (a == null && b != null) a = defaultValue(compiled.schema, segments, b);
+    if (b == null && a != null) b = defaultValue(compiled.schema, segments, a);
+  }
+  if (a == null || b == null) return a == null && b == null;
+  if (options['truncate'] != null) {
+    const unit = TRUNCATE_UNITS[options['truncate']] * timeScale(compiled, segments);
+    a = truncateTime(a, unit);
+    b = truncateTime(b, unit);
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    if (options['trim']) {
+      a = a.trim();
+      b = b.trim();
+    }
+    if (options['ignoreCase']) {
+      a = a.toLowerCase();
+      b = b.toLowerCase();
+    }
+  }
+  if (typeof a === 'number' && typeof b === 'number') return withinTolerance(a, b, options);
+  return a === b || (typeof a === 'object' && typeof b === 'object' && stableStringify(a) === stableStringify(b));
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Checks the options of one rule.
+ * @param {string} path - field path of the rule, for messages.
+ * @param {Object} options - options of the rule.
+ * @returns {Object} options.
+ */
+const checkOptions = (path, options) => {
+  const fail = (message) => {
+    throw new AvroDiffError(`compareRules: ${message} for '${path}'`);
+  };
+  if (options == null || typeof options !== 'object' || Array.isArray(options)) fail('expected an object of options');
+  Object.keys(options).forEach((option) => {
+    const value = options[option];
+    if (COMPARE_RULE_OPTIONS.indexOf(option) === -1) {
+      fail(`unknown option '${option}', expected one of ${COMPARE_RULE_OPTIONS.join(', ')}`);
+    } else if (option === 'tolerance' || option === 'relativeTolerance') {
+      if (typeof value !== 'number' || !(value >= 0)) fail(`${option} must be a number >= 0`);
+    } else if (option === 'truncate') {
+      if (!Object.prototype.hasOwnProperty.call(TRUNCATE_UNITS, value)) {
+        fail(`unknown truncate unit '${value}', expected one of ${Object.keys(TRUNCATE_UNITS).join(', ')}`);
+      }
+    } else if (option === 'unordered') {
+      if (UNORDERED_MODES.indexOf(value) === -1) {
+        fail(`unknown unordered mode '${value}', expected one of ${UNORDERED_MODES.join(', ')}`);
+      }
+    } else if (option === 'matchBy') {
+      const paths = Array.isArray(value) ? value : [value];
+      if (paths.length === 0 || paths.some(p => typeof p !== 'string' || p === '')) {
+        fail('matchBy must be a field path or an array of field paths');
+      }
+      if (options['unordered'] != null) fail('matchBy and unordered cannot be combined');
+    } else if (typeof value !== 'boolean') {
+      fail(`${option} must be true or false`);
+    }
+  });
+  return options;
+}
+
+/**
+ * Checks a rule setting unordered or matchBy: its path must lead to an array, and the key paths of matchBy to
+ * values in the records the array holds. Adds the parsed key paths to rule as matchBy.
+ * @param {Object} rule - rule with schema {path:string, segments:[Array], options:{Object}}.
+ * @param {Object} type - type at the path of rule.
+ * @param {Object} schema - reader schema as parsed JSON.
+ */
+const checkArrayRule = (rule, type, schema) => {
+  const types = type.type === 'union' ? type.branches : [type];
+  if (!types.some(branch => branch.type === 'array')) {
+    throw new AvroDiffError(`compareRules: unordered and matchBy apply to arrays, '${rule.path}' is not one`);
+  }
+  if (rule.options['matchBy'] == null) return;
+  const paths = Array.isArray(rule.options['matchBy']) ? rule.options['matchBy'] : [rule.options['matchBy']];
+  rule.matchBy = paths.map((path) => {
+    let segments;
+    try {
+      segments = parsePath(path);
+    } catch (err) {
+      throw new AvroDiffError(`compareRules: ${err.message}`);
+    }
+    if (typeAtPath(schema, [...rule.segments, WILDCARD, ...segments], true) == null) {
+      throw new AvroDiffError(`compareRules: matchBy '${path}' is not in the elements of '${rule.path}'`);
+    }
+    return segments;
+  });
+}
+
+/**
+ * Returns true if two numbers are within the absolute or relative tolerance of a rule.
+ * @param {number} a - first number.
+ * @param {number} b - second number.
+ * @param {Object} options - options of the rule.
+ * @returns {boolean} true if a and b are equal under the tolerances.
+ */
+const withinTolerance = (a, b, options) => {
+  if (a === b) return true;
+  const diff = Math.abs(a - b);
+  const magnitude = Math.max(Math.abs(a), Math.abs(b));
+  // leave room for the rounding of a - b, so a tolerance of 0.01 accepts 1.00 against 1.01.
+  const slack = Number.EPSILON * Math.max(magnitude, 1);
+  if (options['tolerance'] != null && diff <= options['tolerance'] + slack) return true;
+  return options['relativeTolerance'] != null && diff <= options['relativeTolerance'] * magnitude + slack;
+}
+
+/**
+ * Truncates a timestamp or time to a unit. Numbers are truncated in their own units. Strings are parsed as dates
+ * (e.g. ISO 8601), whose unit is the millisecond, and left as they are if they are not dates.
+ * @param {*} value - decoded value.
+ * @param {number} unit - length of the unit in the units of numeric values.
+ * @returns {*} the number of whole units in value, or value if it is not a timestamp.
+ */
+const truncateTime = (value, unit) => {
+  if (typeof value === 'number') return Math.floor(value / unit);
+  if (typeof value !== 'string') return value;
+  const millis = Date.parse(value);
+  return Number.isNaN(millis) ? value : Math.floor(millis / unit);
+}
+
+/**
+ * Returns the decoded units per millisecond of the values at segments, from their logical type. Plain numbers
+ * count milliseconds. Cached per path as it is needed for every compared value.
+ * @param {Object} compiled - compiled rules, see compileRules.
+ * @param {Array} segments - path segments of a value.
+ * @returns {number} units per millisecond.
+ */
+const timeScale = (compiled, segments) => {
+  const path = formatPath(segments);
+  if (!compiled.scales.has(path)) {
+    const type = typeAtPath(compiled.schema, segments);
+    const types = type == null ? [] : (type.type === 'union' ? type.branches : [type]);
+    const logical = types.map(branch => branch.logicalType).find(logicalType => TIME_SCALES[logicalType] != null);
+    compiled.scales.set(path, logical != null ? TIME_SCALES[logical] : 1);
+  }
+  return compiled.scales.get(path);
+}
+
+/**
+ * Returns the value null stands for under nullAsDefault: the default of the field at segments if it is not null,
+ * otherwise the empty value of the kind of other.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @param {Array} segments - path segments of the value.
+ * @param {*} other - the value null is compared with.
+ * @returns {*} default value.
+ */
+const defaultValue = (schema, segments, other) => {
+  const name = segments[segments.length - 1];
+  const parent = typeAtPath(schema, segments.slice(0, -1));
+  const records = parent == null ? [] : (parent.type === 'union' ? parent.branches : [parent]);
+  const field = records
+    .filter(type => type.type === 'record')
+    .map(type => type.fields.find(f => f.name === name))
+    .find(f => f != null);
+  if (field != null && field.hasDefault && field.default != null) return field.default;
+  if (Buffer.isBuffer(other)) return Buffer.alloc(0);
+  if (Array.isArray(other)) return [];
+  switch (typeof other) {
+    case 'number':
+      return 0;
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    default:
+      return {};
+  }
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,82 @@
+const {compileRules, ruleAt, arrayRuleAt, equalUnderRule} = require('./rules.js');
+const {AvroDiffError} = require('./errors.js');
+
+const schema = {
+  type: 'record',
+  name: 'row',
+  fields: [
+    {name: 'id', type: 'long'},
+    {name: 'score', type: ['null', 'double'], default: null},
+    {name: 'loggedIn', type: {type: 'long', logicalType: 'timestamp-micros'}},
+    {name: 'registered', type: 'string'},
+    {name: 'email', type: 'string'},
+    {name: 'status', type: 'string', default: 'active'},
+    {name: 'attempts', type: {type: 'array', items: {type: 'record', name: 'attempt', fields: [
+      {name: 'score', type: 'double'},
+      {name: 'note', type: ['null', 'string'], default: null},
+    ]}}},
+  ],
+};
+
+// returns whether two values at path are equal under the rules.
+const equal = (config, path, oldValue, newValue) => {
+  const rules = compileRules(config, schema);
+  const segments = path.split('.').map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+  return equalUnderRule(rules, ruleAt(rules, segments), segments, oldValue, newValue);
+};
+
+test('numbers are equal within an absolute or relative tolerance', () => {
+  expect(equal({score: {tolerance: 0.01}}, 'score', 1.00, 1.01)).toBe(true);
+  expect(equal({score: {tolerance: 0.01}}, 'score', 1.00, 1.02)).toBe(false);
+  expect(equal({score: {relativeTolerance: 0.001}}, 'score', 1000, 1000.9)).toBe(true);
+  expect(equal({score: {relativeTolerance: 0.001}}, 'score', 1, 1.01)).toBe(false);
+});
+
+test('timestamps are truncated in the unit of their logical type, dates in strings too', () => {
+  expect(equal({loggedIn: {truncate: 'second'}}, 'loggedIn', 1561673456573123, 1561673456999999)).toBe(true);
+  expect(equal({loggedIn: {truncate: 'second'}}, 'loggedIn', 1561673456573123, 1561673457000000)).toBe(false);
+  expect(equal({registered: {truncate: 'day'}}, 'registered', '2016-02-03T07:55:29Z', '2016-02-03T17:04:03Z'))
+    .toBe(true);
+});
+
+test('strings may be trimmed and compared ignoring case', () => {
+  expect(equal({email: {trim: true}}, 'email', ' a@b.com', 'a@b.com ')).toBe(true);
+  expect(equal({email: {trim: true}}, 'email', 'A@b.com', 'a@b.com')).toBe(false);
+  expect(equal({email: {trim: true, ignoreCase: true}}, 'email', ' A@b.com', 'a@B.com')).toBe(true);
+});
+
+test('null may stand for the default of the field or an empty value', () => {
+  expect(equal({status: {nullAsDefault: true}}, 'status', null, 'active')).toBe(true);
+  expect(equal({status: {nullAsDefault: true}}, 'status', null, '')).toBe(false);
+  expect(equal({score: {nullAsDefault: true}}, 'score', 0, null)).toBe(true);
+  expect(equal({score: {nullAsDefault: true}}, 'score', 0.5, null)).toBe(false);
+});
+
+test('rules cover the values below their path and the most specific rule wins', () => {
+  const config = {'attempts': {tolerance: 1}, 'attempts[*].note': {ignoreCase: true}};
+  expect(equal(config, 'attempts.0.score', 1, 2)).toBe(true);
+  expect(equal(config, 'attempts.3.note', 'Late', 'late')).toBe(true);
+  expect(ruleAt(compileRules(config, schema), ['id'])).toBeNull();
+});
+
+test('invalid rules are rejected', () => {
+  expect(compileRules(null, schema)).toBeNull();
+  expect(() => compileRules({missing: {trim: true}}, schema)).toThrow(AvroDiffError);
+  expect(() => compileRules({score: {tolerence: 1}}, schema)).toThrow(/unknown option 'tolerence'/);
+  expect(() => compileRules({score: {tolerance: -1}}, schema)).toThrow(AvroDiffError);
+  expect(() => compileRules({loggedIn: {truncate: 'week'}}, schema)).toThrow(/unknown truncate unit/);
+  expect(() => compileRules({email: {trim: 'yes'}}, schema)).toThrow(AvroDiffError);
+  expect(() => compileRules({attempts: {unordered: 'bag'}}, schema)).toThrow(/unknown unordered mode 'bag'/);
+  expect(() => compileRules({email: {unordered: 'set'}}, schema)).toThrow(/'email' is not one/);
+  expect(() => compileRules({attempts: {matchBy: 'id'}}, schema)).toThrow(/matchBy 'id' is not in the elements/);
+  expect(() => compileRules({attempts: {matchBy: 'score', unordered: 'set'}}, schema)).toThrow(AvroDiffError);
+});
+
+test('unordered and matchBy apply to the array at their path only', () => {
+  const rules = compileRules({'attempts': {matchBy: ['score', 'note']}}, schema);
+  expect(arrayRuleAt(rules, ['attempts'])).toMatchObject({mode: 'key', matchBy: [['score'], ['note']]});
+  expect(arrayRuleAt(rules, ['attempts', 0, 'note'])).toBeNull();
+  expect(arrayRuleAt(compileRules({'attempts': {unordered: 'multiset'}}, schema), ['attempts']).mode)
+    .toBe('multiset');
+  expect(arrayRuleAt(compileRules({'attempts': {tolerance: 1}}, schema), ['attempts'])).toBeNull();
+});
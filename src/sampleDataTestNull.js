@@ -67,7 +67,6 @@ const schema = {
 
 const opts = {
   "schema": schema,
-  "codecs": null,
   "keepFields": ['id', 'first_name', 'last_name'],
   "ignoreFields": null
 };
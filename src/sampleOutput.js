@@ -7,7 +7,6 @@ const k = ['id'];
 
 const opts = {
   "schema": null,
-  "codecs": 'snappy',
   "keepFields": ['id', 'first_name', 'last_name', 'email'],
   "ignoreFields": null
 };
@@ -0,0 +1,148 @@
+/**
+ * schema.js contains helper functions for working with Avro schemas as plain JSON: resolving named type
+ * references, normalizing the many equivalent ways of writing a type, and describing types for output.
+ */
+
+export const PRIMITIVE_TYPES = new Set(['null', 'boolean', 'int', 'long', 'float', 'double', 'bytes', 'string']);
+const NAMED_TYPES = new Set(['record', 'error', 'enum', 'fixed']);
+const COMPLEX_TYPES = new Set([...NAMED_TYPES, 'array', 'map']);
+
+/**
+ * Returns the full name of a named type given its name and the enclosing namespace.
+ * @param {string} name - name of the type. Names containing a dot are already full names.
+ * @param {string} namespace - enclosing namespace, may be null or empty.
+ * @returns {string} full name of the type.
+ */
+export const fullName = (name, namespace) => {
+  if (name.indexOf('.') !== -1 || !namespace) return name;
+  return `${namespace}.${name}`;
+}
+
+/**
+ * Returns the namespace part of a full name, or '' if the name has no namespace.
+ * @param {string} name - full name of a named type.
+ * @returns {string} namespace of name.
+ */
+const namespaceOf = (name) => {
+  const idx = name.lastIndexOf('.');
+  return idx === -1 ? '' : name.slice(0, idx);
+}
+
+/**
+ * Returns the short (unqualified) part of a full name.
+ * @param {string} name - full name of a named type.
+ * @returns {string} name without its namespace.
+ */
+export const shortName = (name) => name.slice(name.lastIndexOf('.') + 1);
+
+/**
+ * Joins a parent path and a field name with a dot, the path notation used for fields across the package.
+ * @param {string} path - parent path, '' for the top level.
+ * @param {string} name - field name.
+ * @returns {string} path of the field.
+ */
+export const joinPath = (path, name) => path === '' ? name : `${path}.${name}`;
+
+/**
+ * Normalizes a schema into a tree of plain objects of the form {type, ...attributes} where:
+ *  - primitives are always objects ("long" becomes {type: 'long'}),
+ *  - unions are objects {type: 'union', branches: [...]},
+ *  - named types carry their full name and qualified aliases,
+ *  - references to named types are replaced by the normalized definition (recursive types become cycles),
+ *  - record fields are objects {name, aliases, hasDefault, default, type}.
+ * @param {Object|string|Array} schema - Avro schema as parsed JSON.
+ * @param {string} namespace - enclosing namespace. Omit for a top level schema.
+ * @param {Object} registry - map from full name to normalized named type, filled in as types are defined.
+ * @returns {Object} normalized schema.
+ */
+export const normalizeSchema = (schema, namespace = '', registry = {}) => {
+  if (Array.isArray(schema)) {
+    return {type: 'union', branches: schema.map(branch => normalizeSchema(branch, namespace, registry))};
+  }
+  if (typeof schema === 'string') {
+    if (PRIMITIVE_TYPES.has(schema)) return {type: schema};
+    const named = registry[fullName(schema, namespace)] || registry[schema];
+    // unknown references are kept by name so they still show up in descriptions.
+    return named != null ? named : {type: 'reference', name: fullName(schema, namespace)};
+  }
+  // {type: {...}} and {type: 'SomeName'} are wrappers around another type.
+  if (typeof schema.type !== 'string' || (!PRIMITIVE_TYPES.has(schema.type) && !COMPLEX_TYPES.has(schema.type))) {
+    return normalizeSchema(schema.type, namespace, registry);
+  }
+  if (NAMED_TYPES.has(schema.type)) {
+    const name = fullName(schema.name, schema.namespace != null ? schema.namespace : namespace);
+    const ns = namespaceOf(name);
+    const node = {
+      ...schema,
+      type: schema.type === 'error' ? 'record' : schema.type,
+      name,
+      aliases: (schema.aliases || []).map(alias => fullName(alias, ns)),
+    };
+    delete node.namespace;
+    // register before recursing so that recursive references resolve to this node.
+    registry[name] = node;
+    if (node.type === 'record') {
+      node.fields = schema.fields.map(field => ({
+        name: field.name,
+        aliases: field.aliases || [],
+        hasDefault: Object.prototype.hasOwnProperty.call(field, 'default'),
+        default: field.default,
+        type: normalizeSchema(field.type, ns, registry),
+      }));
+    }
+    return node;
+  }
+  if (schema.type === 'array') {
+    return {...schema, items: normalizeSchema(schema.items, namespace, registry)};
+  }
+  if (schema.type === 'map') {
+    return {...schema, values: normalizeSchema(schema.values, namespace, registry)};
+  }
+  return {...schema};
+}
+
+/**
+ * Returns a short human readable description of a normalized type, e.g. 'long (timestamp-millis)',
+ * 'union[null, string]' or 'array<record com.example.Item>'.
+ * @param {Object} type - normalized type, see normalizeSchema.
+ * @returns {string} description of type.
+ */
+export const describeType = (type) => {
+  switch (type.type) {
+    case 'union':
+      return `union[${type.branches.map(describeType).join(', ')}]`;
+    case 'record':
+    case 'enum':
+    case 'reference':
+      return `${type.type} ${type.name}`;
+    case 'fixed':
+      return `fixed ${type.name}(${type.size})${describeLogicalType(type)}`;
+    case 'array':
+      return `array<${describeType(type.items)}>`;
+    case 'map':
+      return `map<${describeType(type.values)}>`;
+    default:
+      return `${type.type}${describeLogicalType(type)}`;
+  }
+}
+
+/**
+ * Returns the logical type annotation of a normalized type as a suffix for describeType.
+ * @param {Object} type - normalized type.
+ * @returns {string} e.g. ' (decimal 10,2)', or '' when type has no logical type.
+ */
+const describeLogicalType = (type) => {
+  if (type.logicalType == null) return '';
+  if (type.logicalType === 'decimal') return ` (decimal ${type.precision},${type.scale || 0})`;
+  return ` (${type.logicalType})`;
+}
+
+/**
+ * Returns the key used to pair up branches of two unions. Avro allows at most one branch per unnamed type
+ * (one array, one map, one long, ...), so unnamed types are keyed by type and named types by full name.
+ * @param {Object} type - normalized union branch.
+ * @returns {string} key identifying the branch within its union.
+ */
+export const branchKey = (type) => {
+  return type.name != null ? type.name : type.type;
+}
@@ -0,0 +1,266 @@
+/**
+ * schemaDiff.js contains functions to diff the writer schemas embedded in two .avro files (schemaDiff).
+ */
+
+import {inspect} from 'util';
+import stableStringify from 'json-stable-stringify';
+import 'colors';
+
+import {readFileSchema} from './index.js';
+import {normalizeSchema, describeType, branchKey, joinPath} from './schema.js';
+
+/**
+ * Returns an object representing a diff of the schemas embedded in two Avro files.
+ * CONFIG.schema, keepFields and ignoreFields are not applied: the diff is always of the full writer schemas.
+ * @param {string} oldFile - filepath to old .avro file.
+ * @param {string} newFile - filepath to new .avro file.
+ * @returns {Promise} Promise resolving to an object in the format returned by schemaDiffHelper.
+ */
+export const schemaDiff = async (oldFile, newFile) => {
+  const oldSchema = await readFileSchema(oldFile);
+  const newSchema = await readFileSchema(newFile);
+  return schemaDiffHelper(oldSchema, newSchema);
+}
+
+/**
+ * Returns an object representing a diff of two Avro schemas.
+ * Fields are identified by dotted paths from the top level record. Union branches holding records are
+ * transparent, array items are written as 'field[*]' and map values as 'field.*'.
+ * A field of the new schema whose aliases contain the name of a field only in the old schema counts as renamed.
+ * @param {Object} oldSchema - old Avro schema as parsed JSON.
+ * @param {Object} newSchema - new Avro schema as parsed JSON.
+ * @returns {Object} Returns an object with schema
+ *                    {added:[Array], removed:[Array], renamed:[Array], typeChanged:[Array], defaultChanged:[Array],
+ *                    aliasesChanged:[Array]} where every element has a 'path' field. added and removed elements hold
+ *                    the 'type' of the field, renamed elements hold 'from' and 'to' paths, and the others hold 'old' and
+ *                    'new' values. typeChanged elements also hold a 'reason' ('type', 'union', 'logicalType', 'name',
+ *                    'symbols' or 'size') and, for unions and enums, the 'added' and 'removed' branches or symbols.
+ */
+export const schemaDiffHelper = (oldSchema, newSchema) => {
+  const diff = {
+    'added': [],
+    'removed': [],
+    'renamed': [],
+    'typeChanged': [],
+    'defaultChanged': [],
+    'aliasesChanged': [],
+  };
+  // pairs of record names already compared, so recursive types terminate.
+  const seen = new Set();
+  compareTypes(normalizeSchema(oldSchema), normalizeSchema(newSchema), '', diff, seen);
+  return diff;
+}
+
+/**
+ * Prints an object representing a diff of two schemas to console.
+ * @param {Object} diff - an object outputted from schemaDiff
+ */
+export const printSchemaDiff = (diff) => {
+  console.log(inspect({ "added" : diff.added}, { depth: 'Infinity' }).green);
+  console.log(inspect({ "removed" : diff.removed}, { depth: 'Infinity' }).red);
+  console.log(inspect({ "renamed" : diff.renamed}, { depth: 'Infinity' }).cyan);
+  console.log(inspect({ "typeChanged" : diff.typeChanged}, { depth: 'Infinity' }).yellow);
+  console.log(inspect({ "defaultChanged" : diff.defaultChanged}, { depth: 'Infinity' }).yellow);
+  console.log(inspect({ "aliasesChanged" : diff.aliasesChanged}, { depth: 'Infinity' }).yellow);
+  // print some stats about the diff
+  console.log("color code: green for added, red for removed, cyan for renamed, yellow for changed");
+  console.log(`${diff['removed'].length} removed, ${diff['added'].length} added, ${diff['renamed'].length} renamed`);
+  console.log(`${diff['typeChanged'].length} type changes, ${diff['defaultChanged'].length} default changes, ` +
+    `${diff['aliasesChanged'].length} alias changes`);
+}
+
+/* <=== Helper functions for comparing schemas ===> */
+
+/**
+ * Appends the differences between two normalized types at path to diff.
+ * @param {Object} oldType - normalized type from the old schema.
+ * @param {Object} newType - normalized type from the new schema.
+ * @param {string} path - path of the field holding the types, '' for the top level.
+ * @param {Object} diff - diff object being filled in, see schemaDiffHelper.
+ * @param {Set} seen - pairs of record names already compared.
+ */
+const compareTypes = (oldType, newType, path, diff, seen) => {
+  if (oldType.type === 'union' && newType.type === 'union') {
+    compareUnions(oldType, newType, path, diff, seen);
+    return;
+  }
+  if (oldType.type === 'union' || newType.type === 'union' || oldType.type !== newType.type) {
+    diff['typeChanged'].push({path, reason: 'type', old: describeType(oldType), new: describeType(newType)});
+    // keep looking inside when a type was wrapped in or unwrapped from a union, e.g. record => [null, record]
+    const inner = matchingBranch(oldType, newType);
+    if (inner != null) compareTypes(inner[0], inner[1], path, diff, seen);
+    return;
+  }
+  if (!sameLogicalType(oldType, newType)) {
+    diff['typeChanged'].push({path, reason: 'logicalType', old: describeType(oldType), new: describeType(newType)});
+  }
+  if (oldType.name !== newType.name && (newType.aliases || []).indexOf(oldType.name) === -1) {
+    diff['typeChanged'].push({path, reason: 'name', old: oldType.name, new: newType.name});
+  }
+  switch (newType.type) {
+    case 'record':
+      compareRecords(oldType, newType, path, diff, seen);
+      break;
+    case 'enum': {
+      const added = newType.symbols.filter(symbol => oldType.symbols.indexOf(symbol) === -1);
+      const removed = oldType.symbols.filter(symbol => newType.symbols.indexOf(symbol) === -1);
+      if (added.length > 0 || removed.length > 0) {
+        diff['typeChanged'].push({path, reason: 'symbols', old: oldType.symbols, new: newType.symbols, added, removed});
+      }
+      break;
+    }
+    case 'fixed':
+      if (oldType.size !== newType.size) {
+        diff['typeChanged'].push({path, reason: 'size', old: oldType.size, new: newType.size});
+      }
+      break;
+    case 'array':
+      compareTypes(oldType.items, newType.items, `${path}[*]`, diff, seen);
+      break;
+    case 'map':
+      compareTypes(oldType.values, newType.values, joinPath(path, '*'), diff, seen);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Appends the differences between two unions at path to diff. Branches present on both sides are compared
+ * recursively, so a change inside a [null, record] union is reported on the record's fields.
+ * @param {Object} oldType - normalized union from the old schema.
+ * @param {Object} newType - normalized union from the new schema.
+ * @param {string} path - path of the field holding the unions.
+ * @param {Object} diff - diff object being filled in, see schemaDiffHelper.
+ * @param {Set} seen - pairs of record names already compared.
+ */
+const compareUnions = (oldType, newType, path, diff, seen) => {
+  const pairs = [];
+  const removed = [];
+  const matched = new Set();
+  oldType.branches.forEach((oldBranch) => {
+    const newBranch = findBranch(newType.branches, oldBranch);
+    if (newBranch == null) {
+      removed.push(describeType(oldBranch));
+    } else {
+      matched.add(newBranch);
+      pairs.push([oldBranch, newBranch]);
+    }
+  });
+  const added = newType.branches.filter(branch => !matched.has(branch)).map(describeType);
+  if (added.length > 0 || removed.length > 0) {
+    diff['typeChanged'].push({
+      path,
+      reason: 'union',
+      old: describeType(oldType),
+      new: describeType(newType),
+      added,
+      removed,
+    });
+  }
+  pairs.forEach(([oldBranch, newBranch]) => compareTypes(oldBranch, newBranch, path, diff, seen));
+}
+
+/**
+ * Appends the differences between the fields of two records at path to diff.
+ * @param {Object} oldType - normalized record from the old schema.
+ * @param {Object} newType - normalized record from the new schema.
+ * @param {string} path - path of the field holding the records, '' for the top level.
+ * @param {Object} diff - diff object being filled in, see schemaDiffHelper.
+ * @param {Set} seen - pairs of record names already compared.
+ */
+const compareRecords = (oldType, newType, path, diff, seen) => {
+  const pairKey = `${oldType.name}|${newType.name}`;
+  if (seen.has(pairKey)) return;
+  seen.add(pairKey);
+
+  const newNames = new Set(newType.fields.map(field => field.name));
+  const matched = new Set();
+  newType.fields.forEach((newField) => {
+    const fieldPath = joinPath(path, newField.name);
+    let oldField = oldType.fields.find(field => field.name === newField.name);
+    // a field only in the old schema which the new field lists as an alias has been renamed.
+    if (oldField == null) {
+      oldField = oldType.fields.find(field => !newNames.has(field.name) && newField.aliases.indexOf(field.name) !== -1);
+      if (oldField != null) {
+        diff['renamed'].push({path: fieldPath, from: joinPath(path, oldField.name), to: fieldPath});
+      }
+    }
+    if (oldField == null) {
+      diff['added'].push({path: fieldPath, type: describeType(newField.type)});
+      return;
+    }
+    matched.add(oldField);
+    compareFields(oldField, newField, fieldPath, diff, seen);
+  });
+  oldType.fields.filter(field => !matched.has(field)).forEach((oldField) => {
+    diff['removed'].push({path: joinPath(path, oldField.name), type: describeType(oldField.type)});
+  });
+}
+
+/**
+ * Appends the differences between two matching record fields to diff.
+ * @param {Object} oldField - normalized field from the old schema.
+ * @param {Object} newField - normalized field from the new schema.
+ * @param {string} path - path of the field.
+ * @param {Object} diff - diff object being filled in, see schemaDiffHelper.
+ * @param {Set} seen - pairs of record names already compared.
+ */
+const compareFields = (oldField, newField, path, diff, seen) => {
+  const oldDefault = oldField.hasDefault ? stableStringify(oldField.default) : null;
+  const newDefault = newField.hasDefault ? stableStringify(newField.default) : null;
+  if (oldDefault !== newDefault) {
+    diff['defaultChanged'].push({path, old: oldField.default, new: newField.default});
+  }
+  const oldAliases = [...oldField.aliases].sort();
+  const newAliases = [...newField.aliases].sort();
+  if (oldAliases.join() !== newAliases.join()) {
+    diff['aliasesChanged'].push({path, old: oldField.aliases, new: newField.aliases});
+  }
+  compareTypes(oldField.type, newField.type, path, diff, seen);
+}
+
+/**
+ * Returns the branch of branches matching type: the same unnamed type, or a named type with the same
+ * name or with type's name among its aliases.
+ * @param {Object[]} branches - normalized union branches to search.
+ * @param {Object} type - normalized type to look for.
+ * @returns {Object} the matching branch, or undefined if none matches.
+ */
+const findBranch = (branches, type) => {
+  return branches.find(branch => branchKey(branch) === branchKey(type)) ||
+    branches.find(branch => branch.aliases != null && branch.aliases.indexOf(type.name) !== -1);
+}
+
+/**
+ * When exactly one of oldType, newType is a union, returns the [old, new] pair of the non-union type and
+ * the union branch matching it, so the comparison can continue inside.
+ * @param {Object} oldType - normalized type from the old schema.
+ * @param {Object} newType - normalized type from the new schema.
+ * @returns {Object[]} [oldType, newType] pair to compare, or null if there is none.
+ */
+const matchingBranch = (oldType, newType) => {
+  if (oldType.type === 'union' && newType.type !== 'union') {
+    const branch = oldType.branches.find(b => branchKey(b) === branchKey(newType));
+    return branch == null ? null : [branch, newType];
+  }
+  if (newType.type === 'union' && oldType.type !== 'union') {
+    const branch = findBranch(newType.branches, oldType);
+    return branch == null ? null : [oldType, branch];
+  }
+  return null;
+}
+
+/**
+ * Returns true if two normalized types of the same underlying type carry the same logical type.
+ * @param {Object} oldType - normalized type from the old schema.
+ * @param {Object} newType - normalized type from the new schema.
+ * @returns {boolean} true if the logical types and their parameters are equal.
+ */
+const sameLogicalType = (oldType, newType) => {
+  return oldType.logicalType === newType.logicalType &&
+    oldType.precision === newType.precision &&
+    (oldType.scale || 0) === (newType.scale || 0);
+}
+
+/* <=== End of helper functions for comparing schemas ===> */
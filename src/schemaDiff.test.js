@@ -0,0 +1,64 @@
+const {schemaDiffHelper} = require('./schemaDiff.js');
+
+const record = (fields) => ({type: 'record', name: 'row', namespace: 'com.example', fields});
+
+test('identical schemas have an empty diff', () => {
+  const schema = record([{name: 'id', type: 'long'}, {name: 'tags', type: {type: 'array', items: 'string'}}]);
+  const diff = schemaDiffHelper(schema, schema);
+
+  for (var category in diff) {
+    expect(diff[category]).toEqual([]);
+  }
+});
+
+test('added, removed and aliased fields', () => {
+  const oldSchema = record([{name: 'id', type: 'long'}, {name: 'first', type: 'string'}, {name: 'gone', type: 'int'}]);
+  const newSchema = record([
+    {name: 'id', type: 'long'},
+    {name: 'firstName', type: 'string', aliases: ['first']},
+    {name: 'extra', type: ['null', 'string'], default: null},
+  ]);
+  const diff = schemaDiffHelper(oldSchema, newSchema);
+
+  expect(diff.added).toEqual([{path: 'extra', type: 'union[null, string]'}]);
+  expect(diff.removed).toEqual([{path: 'gone', type: 'int'}]);
+  expect(diff.renamed).toEqual([{path: 'firstName', from: 'first', to: 'firstName'}]);
+  expect(diff.aliasesChanged).toEqual([{path: 'firstName', old: [], new: ['first']}]);
+});
+
+test('union branches, logical types and defaults', () => {
+  const oldSchema = record([
+    {name: 'score', type: ['double', 'null']},
+    {name: 'at', type: 'long'},
+    {name: 'count', type: 'int', default: 0},
+  ]);
+  const newSchema = record([
+    {name: 'score', type: ['double', 'string', 'null']},
+    {name: 'at', type: {type: 'long', logicalType: 'timestamp-millis'}},
+    {name: 'count', type: 'int', default: 1},
+  ]);
+  const diff = schemaDiffHelper(oldSchema, newSchema);
+
+  expect(diff.typeChanged).toEqual([
+    {
+      path: 'score',
+      reason: 'union',
+      old: 'union[double, null]',
+      new: 'union[double, string, null]',
+      added: ['string'],
+      removed: [],
+    },
+    {path: 'at', reason: 'logicalType', old: 'long', new: 'long (timestamp-millis)'},
+  ]);
+  expect(diff.defaultChanged).toEqual([{path: 'count', old: 0, new: 1}]);
+});
+
+test('nested records are compared through unions, arrays and named references', () => {
+  const item = {type: 'record', name: 'item', fields: [{name: 'id', type: 'string'}]};
+  const oldSchema = record([{name: 'items', type: {type: 'array', items: item}}, {name: 'last', type: ['null', 'item']}]);
+  const newItem = {...item, fields: [{name: 'id', type: 'long'}]};
+  const newSchema = record([{name: 'items', type: {type: 'array', items: newItem}}, {name: 'last', type: ['null', 'item']}]);
+  const diff = schemaDiffHelper(oldSchema, newSchema);
+
+  expect(diff.typeChanged).toEqual([{path: 'items[*].id', reason: 'type', old: 'string', new: 'long'}]);
+});
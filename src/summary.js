@@ -0,0 +1,314 @@
+/**
+ * summary.js contains the summary mode of keyDiff (fieldSummary): instead of listing rows it tells which fields a
+ * change affected, with per field statistics of both files and the number of rows whose value of each field changed.
+ *
+ * The rows are diffed with streamKeyDiff and every row is folded into the statistics as it is emitted, so no rows are
+ * kept once counted. With CONFIG.memoryLimit the rows are sorted on disk too and files of any size can be summarized.
+ * Distinct values are counted exactly up to EXACT_DISTINCT_LIMIT per field and estimated with HyperLogLog beyond.
+ */
+
+import crypto from 'crypto';
+import stableStringify from 'json-stable-stringify';
+import 'colors';
+
+import {streamKeyDiff, readInputSchemas} from './index.js';
+import {formatRecords, keyDiffSummary} from './report.js';
+import {parsePath, getPath} from './paths.js';
+import {normalizeSchema} from './schema.js';
+
+// distinct values of a field kept to count them exactly, beyond which the count is estimated.
+export const EXACT_DISTINCT_LIMIT = 10000;
+
+// bits of a value's hash choosing its HyperLogLog register, 2^14 registers estimate within about 1%.
+const REGISTER_BITS = 14;
+
+/**
+ * Diffs oldFile and newFile on key and returns per field statistics instead of rows. A field is a top level field or
+ * a field of a nested record (looking through unions), e.g. 'submission.score'. Arrays and maps are one field each.
+ * The statistics of each side cover the rows the diff compares: every row, or the first row of each key in
+ * duplicateKeys 'first' mode.
+ * @param {string|string[]} oldFile - filepath to old .avro file, or glob or array of its parts, see keyDiff.
+ * @param {string|string[]} newFile - filepath to new .avro file, or glob or array of its parts.
+ * @param {string[]} key  - fields comprising a key to diff oldFile and newFile
+ * @returns {Promise} Promise which resolves to an object with schema {counts:{Object}, duplicates:{Object},
+ *                    fields:[Array]} where counts and duplicates are as returned by streamKeyDiff and fields holds
+ *                    objects with schema {field:string, changed:number, old:{Object}, new:{Object}}. changed is the
+ *                    number of changed rows in which the field changed. old and new are null if the field is not in
+ *                    that side's schema, else objects with schema {rows:number, nulls:number, nullRate:number,
+ *                    distinct:number, distinctExact:boolean, min:number, max:number, mean:number}, the last three
+ *                    null unless the field holds numbers.
+ */
+export const fieldSummary = async (oldFile, newFile, key) => {
+  const [oldSchema, newSchema] = await readInputSchemas(oldFile, newFile, key);
+  const oldFields = summaryFields(oldSchema);
+  const newFields = summaryFields(newSchema);
+  const paths = [...newFields, ...oldFields.filter(path => newFields.indexOf(path) === -1)];
+  const fields = paths.map(path => ({
+    'field': path,
+    'segments': parsePath(path),
+    'changed': 0,
+    'old': oldFields.indexOf(path) !== -1 ? new FieldStats() : null,
+    'new': newFields.indexOf(path) !== -1 ? new FieldStats() : null,
+  }));
+  const add = (side, row) => fields.forEach((field) => {
+    if (field[side] != null) field[side].add(getPath(row, field['segments']));
+  });
+  const result = await streamKeyDiff(oldFile, newFile, key, (category, entry) => {
+    switch (category) {
+      case 'removed':
+        add('old', entry.data);
+        break;
+      case 'added':
+        add('new', entry.data);
+        break;
+      case 'changed':
+        add('old', entry.old);
+        add('new', entry.new);
+        countChanges(fields, entry.changes);
+        break;
+      default:
+        add('old', entry.old != null ? entry.old : entry.data);
+        add('new', entry.data);
+    }
+  });
+  return {
+    'counts': result['counts'],
+    'duplicates': result['duplicates'],
+    'fields': fields.map(field => ({
+      'field': field['field'],
+      'changed': field['changed'],
+      'old': field['old'] != null ? field['old'].summary() : null,
+      'new': field['new'] != null ? field['new'].summary() : null,
+    })),
+  };
+}
+
+/**
+ * Prints an object returned by fieldSummary to console: a table with a line per field, fields which changed in
+ * yellow, followed by the number of rows in each category and of duplicate keys. Estimated distinct counts start
+ * with '~'.
+ * @param {Object} summary - an object outputted from fieldSummary.
+ */
+export const printFieldSummary = (summary) => {
+  const percent = rate => (rate == null ? '-' : `${(rate * 100).toFixed(2)}%`);
+  const number = value => (value == null ? '-' : `${Number(value.toPrecision(6))}`);
+  const distinct = stats => (stats == null ? '-' : `${stats['distinctExact'] ? '' : '~'}${stats['distinct']}`);
+  const shift = (format, name) => field => {
+    const before = format(field['old'] != null ? field['old'][name] : null);
+    const after = format(field['new'] != null ? field['new'][name] : null);
+    return before === after ? before : `${before} -> ${after}`;
+  };
+  const columns = [
+    ['field', field => field['field']],
+    ['changed', field => `${field['changed']}`],
+    ['null rate', shift(percent, 'nullRate')],
+    ['distinct', field => {
+      const before = distinct(field['old']);
+      const after = distinct(field['new']);
+      return before === after ? before : `${before} -> ${after}`;
+    }],
+    ['min', shift(number, 'min')],
+    ['max', shift(number, 'max')],
+    ['mean', shift(number, 'mean')],
+  ];
+  const rows = summary['fields'].map(field => columns.map(([, cell]) => cell(field)));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns.map(([title]) => title)).bold);
+  rows.forEach((row, i) => {
+    const text = line(row);
+    console.log(summary['fields'][i]['changed'] > 0 ? text.yellow : text);
+  });
+  const counts = summary['counts'];
+  const duplicates = summary['duplicates'];
+  console.log(`${counts['removed']} removed, ${counts['added']} added, ${counts['changed']} changed, ` +
+    `${counts['unchanged']} unchanged`);
+  if (duplicates['old'].length > 0 || duplicates['new'].length > 0) {
+    console.log(`${duplicates['old'].length} duplicate keys in old file, ` +
+      `${duplicates['new'].length} duplicate keys in new file`.magenta);
+  }
+}
+
+/**
+ * Returns the records for an object returned by fieldSummary: one record {type: 'field', field, changed, old, new} per
+ * field, see fieldSummary, and the summary record of the key diff.
+ * @param {Object} summary - an object outputted from fieldSummary.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary is as for
+ *                    keyDiffRecords in report.js.
+ */
+export const fieldSummaryRecords = (summary) => {
+  const records = summary['fields'].map(field => ({'type': 'field', ...field}));
+  return {'summary': keyDiffSummary(summary['counts'], summary['duplicates']), records};
+}
+
+/**
+ * Prints an object returned by fieldSummary in the given format.
+ * @param {Object} summary - an object outputted from fieldSummary.
+ * @param {string} format - one of OUTPUT_FORMATS, see report.js. 'text' is printFieldSummary.
+ * @param {Object} context - title and schema differences for format html, see reportContext in report.js, or null.
+ */
+export const printFieldSummaryAs = (summary, format = 'text', context = null) => {
+  if (format === 'text') {
+    printFieldSummary(summary);
+  } else {
+    process.stdout.write(formatRecords(fieldSummaryRecords(summary), format, context));
+  }
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Statistics of the values of one field on one side of a diff.
+ */
+class FieldStats {
+  constructor() {
+    this.rows = 0;
+    this.nulls = 0;
+    this.numbers = 0;
+    this.min = null;
+    this.max = null;
+    this.sum = 0;
+    this.distinct = new DistinctCounter();
+  }
+
+  /**
+   * Counts one value of the field.
+   * @param {*} value - decoded value, undefined if the row has none.
+   */
+  add(value) {
+    this.rows++;
+    if (value == null) this.nulls++;
+    this.distinct.add(stableStringify(value === undefined ? null : value));
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      this.numbers++;
+      this.min = this.min == null || value < this.min ? value : this.min;
+      this.max = this.max == null || value > this.max ? value : this.max;
+      this.sum += value;
+    }
+  }
+
+  /**
+   * Returns the statistics, see fieldSummary.
+   * @returns {Object} statistics of the field.
+   */
+  summary() {
+    return {
+      'rows': this.rows,
+      'nulls': this.nulls,
+      'nullRate': this.rows > 0 ? this.nulls / this.rows : null,
+      'distinct': this.distinct.count(),
+      'distinctExact': this.distinct.exact(),
+      'min': this.min,
+      'max': this.max,
+      'mean': this.numbers > 0 ? this.sum / this.numbers : null,
+    };
+  }
+}
+
+/**
+ * Counts distinct values: exactly while there are at most EXACT_DISTINCT_LIMIT of them, then with a HyperLogLog
+ * estimate whose memory does not grow with the number of values.
+ */
+class DistinctCounter {
+  constructor() {
+    this.values = new Set();
+    this.registers = null;
+  }
+
+  /**
+   * Counts one value.
+   * @param {string} text - value as a string, equal for equal values.
+   */
+  add(text) {
+    if (this.registers == null) {
+      this.values.add(text);
+      if (this.values.size <= EXACT_DISTINCT_LIMIT) return;
+      this.registers = new Uint8Array(1 << REGISTER_BITS);
+      this.values.forEach(value => this.addHash(value));
+      this.values = null;
+      return;
+    }
+    this.addHash(text);
+  }
+
+  /**
+   * Adds a value to the HyperLogLog registers: the first REGISTER_BITS bits of its hash pick a register, which keeps
+   * the most leading zeros seen in the next 32 bits, plus one.
+   * @param {string} text - value as a string.
+   */
+  addHash(text) {
+    const digest = crypto.createHash('sha1').update(text).digest();
+    const register = digest.readUInt16BE(0) >>> (16 - REGISTER_BITS);
+    const rank = Math.clz32(digest.readUInt32BE(4)) + 1;
+    if (rank > this.registers[register]) this.registers[register] = rank;
+  }
+
+  /**
+   * Returns true while the count is exact.
+   * @returns {boolean} true if count is exact.
+   */
+  exact() {
+    return this.registers == null;
+  }
+
+  /**
+   * Returns the number of distinct values counted, estimated once there are more than EXACT_DISTINCT_LIMIT.
+   * @returns {number} number of distinct values.
+   */
+  count() {
+    if (this.registers == null) return this.values.size;
+    const m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    this.registers.forEach((rank) => {
+      sum += Math.pow(2, -rank);
+      if (rank === 0) zeros++;
+    });
+    const estimate = (0.7213 / (1 + 1.079 / m)) * m * m / sum;
+    // small estimates are more accurate from the share of empty registers.
+    if (estimate <= 2.5 * m && zeros > 0) return Math.round(m * Math.log(m / zeros));
+    return Math.round(estimate);
+  }
+}
+
+/**
+ * Returns the paths of the fields fieldSummary reports for a schema: fields of records, and fields of records nested
+ * in them directly or through unions, in schema order. A record nested in itself is not followed again.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @returns {string[]} field paths.
+ */
+const summaryFields = (schema) => {
+  const paths = [];
+  const walk = (type, prefix, seen) => {
+    type.fields.forEach((field) => {
+      const path = prefix === '' ? field.name : `${prefix}.${field.name}`;
+      const branches = field.type.type === 'union' ? field.type.branches : [field.type];
+      const records = branches.filter(branch => branch.type === 'record' && seen.indexOf(branch) === -1);
+      if (records.length === 0) {
+        paths.push(path);
+        return;
+      }
+      records.forEach(record => walk(record, path, [...seen, record]));
+    });
+  };
+  const root = normalizeSchema(schema);
+  walk(root, '', [root]);
+  return paths.filter((path, index) => paths.indexOf(path) === index);
+}
+
+/**
+ * Adds one to the changed count of every field a changed row changed: the fields at or below the path of a change,
+ * and the field holding it if the change is inside an array or map.
+ * @param {Object[]} fields - fields being summarized, with their parsed segments.
+ * @param {Object[]} changes - changes of the row, see fieldChanges in changes.js.
+ */
+const countChanges = (fields, changes) => {
+  const changed = changes.map(change => parsePath(change.path));
+  fields.forEach((field) => {
+    const segments = field['segments'];
+    const isPrefix = (a, b) => a.length <= b.length && a.every((segment, i) => segment === b[i]);
+    if (changed.some(path => isPrefix(segments, path) || isPrefix(path, segments))) field['changed']++;
+  });
+}
+
+/* <=== End of helper functions ===> */
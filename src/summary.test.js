@@ -0,0 +1,29 @@
+const {fieldSummary} = require('./summary.js');
+const {setConfig} = require('./config.js');
+
+const file1 = 'avro/sample_avro/userdata1.avro';
+const file2 = 'avro/sample_avro/userdata2.avro';
+
+afterAll(() => {
+  setConfig({keepFields: null});
+});
+
+test('fieldSummary counts changed rows per field with statistics of both files', async () => {
+  setConfig({keepFields: ['id', 'first_name', 'salary']});
+  const summary = await fieldSummary(file1, file1, ['id']);
+  const byField = field => summary.fields.find(f => f.field === field);
+
+  expect(summary.counts).toEqual({removed: 0, added: 0, changed: 0, unchanged: 1000});
+  expect(summary.fields.map(f => f.field)).toEqual(['id', 'first_name', 'salary']);
+  expect(byField('id').old).toEqual(byField('id').new);
+  expect(byField('id').new).toMatchObject({rows: 1000, nulls: 0, nullRate: 0, distinct: 1000, distinctExact: true,
+    min: 1, max: 1000, mean: 500.5});
+  expect(byField('first_name').new.mean).toBeNull();
+  expect(byField('salary').new.nulls).toBeGreaterThan(0);
+
+  const diff = await fieldSummary(file1, file2, ['id']);
+  expect(diff.counts.changed).toBeGreaterThan(0);
+  expect(diff.fields.find(f => f.field === 'id').changed).toBe(0);
+  expect(diff.fields.find(f => f.field === 'first_name').changed).toBeGreaterThan(0);
+  expect(diff.fields.find(f => f.field === 'salary').changed).toBeLessThanOrEqual(diff.counts.changed);
+});
@@ -0,0 +1,45 @@
+/**
+ * testUtils.js contains helpers shared by the tests in src/*.test.js for writing small .avro fixtures to temporary
+ * folders.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import avro from 'avsc';
+
+/**
+ * Creates a folder in the OS temporary directory. Remove it with removeDir once done.
+ * @param {string} name - part of the folder name, e.g. the name of the test file.
+ * @returns {string} path to the folder.
+ */
+export const makeTempDir = (name) => {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `avro-diff-${name}-`));
+}
+
+/**
+ * Removes a folder and everything in it. fs.rmSync needs Node 14.14, so the folder is walked instead.
+ * @param {string} dir - path to the folder.
+ */
+export const removeDir = (dir) => {
+  fs.readdirSync(dir).forEach((name) => {
+    const file = path.join(dir, name);
+    if (fs.lstatSync(file).isDirectory()) removeDir(file);
+    else fs.unlinkSync(file);
+  });
+  fs.rmdirSync(dir);
+}
+
+/**
+ * Writes rows to an .avro file with the given writer schema.
+ * @param {string} file - path of the file to write.
+ * @param {Object} schema - writer schema as parsed JSON.
+ * @param {Object[]} rows - rows to write, in order.
+ * @returns {Promise} Promise which resolves to file once it is closed.
+ */
+export const writeAvroFile = (file, schema, rows) => new Promise((resolve, reject) => {
+  const encoder = new avro.streams.BlockEncoder(schema);
+  encoder.pipe(fs.createWriteStream(file)).on('error', reject).on('close', () => resolve(file));
+  rows.forEach(row => encoder.write(row));
+  encoder.end();
+});
@@ -0,0 +1,122 @@
+/**
+ * thresholds.js contains the checks which turn a diff into a pass or fail, so the diff commands can gate a pipeline:
+ * CONFIG.failOn fails a diff with any row in the given categories, and CONFIG.maxAdded, maxRemoved and maxChanged fail
+ * a diff with more rows in a category than a number of rows (e.g. 10) or a percentage (e.g. '0.5%').
+ *
+ * Percentages of removed and changed rows are of the rows of the old side, percentages of added rows are of the rows
+ * of the new side. The commands exit with EXIT_CODES.checkFailed when a check fails, see errors.js.
+ */
+
+import 'colors';
+
+import {AvroDiffError} from './errors.js';
+import {CONFIG} from './config.js';
+
+// categories of rows the checks apply to. vennDiff has no changed rows.
+export const THRESHOLD_CATEGORIES = ['added', 'removed', 'changed'];
+
+/**
+ * Returns the checks configured by CONFIG.failOn, maxAdded, maxRemoved and maxChanged, so invalid values fail before
+ * any file is read.
+ * @param {string} diff - the kind of diff the checks apply to: 'key' or 'venn'.
+ * @returns {Object} checks with schema {failOn:[Array], limits:{Object}} where limits maps categories to objects with
+ *                   schema {option:string, value, count:number, percent:number}, one of count and percent null.
+ * @throws {AvroDiffError} if a category is unknown or does not apply to diff, or a limit is not a number of rows or
+ *                         a percentage.
+ */
+export const diffThresholds = (diff = 'key') => {
+  const categories = diff === 'venn' ? THRESHOLD_CATEGORIES.filter(category => category !== 'changed')
+    : THRESHOLD_CATEGORIES;
+  const checkCategory = (category, option) => {
+    if (categories.indexOf(category) === -1) {
+      throw new AvroDiffError(`${option}: unknown category '${category}' for a ${diff} diff, expected one of ` +
+        `${categories.join(', ')}`);
+    }
+  };
+  const failOn = CONFIG.failOn == null ? [] : CONFIG.failOn;
+  if (!Array.isArray(failOn)) throw new AvroDiffError('failOn must be an array of categories');
+  failOn.forEach(category => checkCategory(category, 'failOn'));
+  const limits = {};
+  THRESHOLD_CATEGORIES.forEach((category) => {
+    const option = `max${category[0].toUpperCase()}${category.slice(1)}`;
+    if (CONFIG[option] == null) return;
+    checkCategory(category, option);
+    limits[category] = {'option': option, 'value': CONFIG[option], ...parseLimit(option, CONFIG[option])};
+  });
+  return {failOn, limits};
+}
+
+/**
+ * Checks the counts of a diff against checks.
+ * @param {Object} summary - summary record of the diff, see keyDiffSummary and vennDiffSummary in report.js.
+ * @param {Object} thresholds - checks returned by diffThresholds.
+ * @returns {Object} Returns an object with schema {passed:boolean, violations:[Array]} where violations holds objects
+ *                    with schema {category:string, count:number, total:number, option:string, limit, message:string}
+ *                    for every failed check, limit being the configured value (null for failOn).
+ */
+export const checkThresholds = (summary, thresholds) => {
+  const intersection = summary['diff'] === 'venn' ? summary['intersection'] : summary['changed'] + summary['unchanged'];
+  const totals = {'old': summary['removed'] + intersection, 'new': summary['added'] + intersection};
+  const violations = [];
+  THRESHOLD_CATEGORIES.forEach((category) => {
+    const count = summary[category];
+    if (count == null) return;
+    const total = category === 'added' ? totals['new'] : totals['old'];
+    const side = category === 'added' ? 'new' : 'old';
+    const share = total > 0 ? `${(count / total * 100).toFixed(2)}% of ${total} ${side} rows` : `no ${side} rows`;
+    if (thresholds['failOn'].indexOf(category) !== -1 && count > 0) {
+      violations.push({
+        'category': category,
+        'count': count,
+        'total': total,
+        'option': 'failOn',
+        'limit': null,
+        'message': `${count} ${category} rows (${share}), failOn ${category}`,
+      });
+    }
+    const limit = thresholds['limits'][category];
+    if (limit == null) return;
+    const exceeded = limit['percent'] != null ? count > total * limit['percent'] / 100 : count > limit['count'];
+    if (exceeded) {
+      violations.push({
+        'category': category,
+        'count': count,
+        'total': total,
+        'option': limit['option'],
+        'limit': limit['value'],
+        'message': `${count} ${category} rows (${share}), more than ${limit['option']} ${limit['value']}`,
+      });
+    }
+  });
+  return {'passed': violations.length === 0, 'violations': violations};
+}
+
+/**
+ * Prints the failed checks returned by checkThresholds to stderr, one line each, so they do not mix with a diff
+ * printed as json or ndjson.
+ * @param {Object} result - an object outputted from checkThresholds.
+ */
+export const printViolations = (result) => {
+  result['violations'].forEach(violation => console.error(`check failed: ${violation['message']}`.red));
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Parses a limit: a number of rows, or a percentage written as a number followed by '%'.
+ * @param {string} option - name of the option, for messages.
+ * @param {number|string} value - value of the option, e.g. 10, '10' or '0.5%'.
+ * @returns {Object} object with schema {count:number, percent:number}, one of them null.
+ */
+const parseLimit = (option, value) => {
+  const text = String(value).trim();
+  const percent = text.endsWith('%');
+  const number = Number(percent ? text.slice(0, -1) : text);
+  if (text === '' || text === '%' || !(number >= 0) || (!percent && !Number.isInteger(number))) {
+    throw new AvroDiffError(`invalid ${option} '${value}', expected a whole number of rows or a percentage ` +
+      'like \'0.5%\'');
+  }
+  return percent ? {'count': null, 'percent': number} : {'count': number, 'percent': null};
+}
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,50 @@
+const {diffThresholds, checkThresholds} = require('./thresholds.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError} = require('./errors.js');
+
+const noChecks = {failOn: null, maxAdded: null, maxRemoved: null, maxChanged: null};
+
+// checks a summary against thresholds configured by options, returning the messages of the failed checks.
+const check = (options, summary, diff = 'key') => {
+  setConfig({...noChecks, ...options});
+  return checkThresholds(summary, diffThresholds(diff))['violations'].map(violation => violation['message']);
+};
+
+const keySummary = {type: 'summary', diff: 'key', added: 0, removed: 2, changed: 12, unchanged: 986};
+const vennSummary = {type: 'summary', diff: 'venn', added: 3, removed: 0, intersection: 997};
+
+afterAll(() => {
+  setConfig(noChecks);
+});
+
+test('without checks every diff passes', () => {
+  setConfig(noChecks);
+  expect(checkThresholds(keySummary, diffThresholds())).toEqual({passed: true, violations: []});
+});
+
+test('failOn fails only on categories with rows', () => {
+  expect(check({failOn: ['added']}, keySummary)).toEqual([]);
+  expect(check({failOn: ['added', 'removed']}, keySummary))
+    .toEqual(['2 removed rows (0.20% of 1000 old rows), failOn removed']);
+});
+
+test('limits are numbers of rows or percentages of the side the rows are on', () => {
+  expect(check({maxRemoved: 2, maxChanged: '1.2%'}, keySummary)).toEqual([]);
+  expect(check({maxRemoved: '1', maxChanged: '0.5%'}, keySummary)).toEqual([
+    '2 removed rows (0.20% of 1000 old rows), more than maxRemoved 1',
+    '12 changed rows (1.20% of 1000 old rows), more than maxChanged 0.5%',
+  ]);
+  expect(check({maxAdded: '0.2%'}, vennSummary, 'venn'))
+    .toEqual(['3 added rows (0.30% of 1000 new rows), more than maxAdded 0.2%']);
+});
+
+test('invalid checks are rejected before the diff', () => {
+  ['1.5', '-1', 'abc', '%', ''].forEach((value) => {
+    setConfig({...noChecks, maxChanged: value});
+    expect(() => diffThresholds()).toThrow(AvroDiffError);
+  });
+  setConfig({...noChecks, failOn: ['moved']});
+  expect(() => diffThresholds()).toThrow(/unknown category 'moved'/);
+  setConfig({...noChecks, maxChanged: 0});
+  expect(() => diffThresholds('venn')).toThrow(/maxChanged: unknown category 'changed' for a venn diff/);
+});
@@ -0,0 +1,319 @@
+/**
+ * validate.js contains the validation of a single file against declarative rules (validate), for constraints which
+ * hold for every export on its own and so need no golden file to diff against.
+ *
+ * Rules are configured in CONFIG.validationRules as a map from field path (see paths.js) to options, e.g.
+ *   {"id": {"notNull": true, "unique": true}, "salary": {"min": 0, "max": 500000},
+ *    "email": {"pattern": "^[^@\\s]+@[^@\\s]+$"}, "gender": {"enum": ["Male", "Female"]},
+ *    "closedAt": {"notNull": true, "greaterThanOrEqual": "openedAt", "when": {"status": {"enum": ["closed"]}}}}
+ * Null values only break notNull, the other options check the values which are there. Rows are read one at a time
+ * and only the values of unique fields are kept, so files of any size can be validated.
+ */
+
+import stableStringify from 'json-stable-stringify';
+import 'colors';
+
+import {CONFIG} from './config.js';
+import {AvroDiffError} from './errors.js';
+import {readInputSchemas, forEachRow, constructKey} from './index.js';
+import {parsePath, getPath, typeAtPath} from './paths.js';
+import {compareValues} from './order.js';
+import {formatRecords} from './report.js';
+
+// options which compare a field with another field of the same row, and what they require of the comparison.
+export const FIELD_COMPARISONS = {
+  'lessThan': {'text': 'less than', 'holds': order => order < 0},
+  'lessThanOrEqual': {'text': 'at most', 'holds': order => order <= 0},
+  'greaterThan': {'text': 'greater than', 'holds': order => order > 0},
+  'greaterThanOrEqual': {'text': 'at least', 'holds': order => order >= 0},
+  'equalTo': {'text': 'equal to', 'holds': order => order === 0},
+  'notEqualTo': {'text': 'different from', 'holds': order => order !== 0},
+};
+
+// options a rule may set:
+// - notNull: the value may not be null or missing.
+// - min / max: the value may not be less / more than this number or string.
+// - pattern: the string must match this regular expression (anywhere, unless anchored with ^ and $).
+// - enum: the value must equal one of these values.
+// - unique: no two rows may hold the same value.
+// - one of FIELD_COMPARISONS: the value must compare so with the value at this other path of the row.
+// - when: map from field path to options, the rule only applies to rows whose values pass all of them. A null value
+//   passes no condition but notNull false.
+export const VALIDATION_RULE_OPTIONS = [
+  'notNull', 'min', 'max', 'pattern', 'enum', 'unique', ...Object.keys(FIELD_COMPARISONS), 'when',
+];
+
+/**
+ * Validates the rules of CONFIG.validationRules against the schema rows are read with.
+ * @param {Object} config - map from field path to rule options, see the top of this file, or null.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @returns {Object[]} compiled rules, see streamValidate, empty if there are none.
+ * @throws {AvroDiffError} if a path is not in schema or an option is unknown or has an invalid value.
+ */
+export const compileValidationRules = (config, schema) => {
+  if (config == null) return [];
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new AvroDiffError('validationRules must map field paths to rule options');
+  }
+  return Object.keys(config).map(path => compileRule(path, config[path], schema, false));
+}
+
+/**
+ * Validates the rows of file against CONFIG.validationRules, passing each violation to emit as soon as it is found.
+ * @param {string|string[]} file - filepath to .avro or JSON file, or glob or array of its parts, see inputs.js.
+ * @param {string[]} key - fields identifying a row in violations, or [] to identify rows by position only.
+ * @param {function} emit - called with every violation, an object with schema {key:[Array], row:number,
+ *                        - field:string, rule:string, value, message:string, data:{Object}} where key is null without
+ *                        - key fields, row the position of the row in file counting from 1 and data the row.
+ * @returns {Promise} Promise which resolves to an object with schema {rows:number, invalidRows:number,
+ *                    violations:number, counts:{Object}} where counts maps fields to maps from rule to number of
+ *                    violations.
+ *                    Rejects with a KeyFieldMissingError if a field of key is not in the schema, or an AvroDiffError
+ *                    if the rules are invalid.
+ */
+export const streamValidate = async (file, key, emit) => {
+  const [schema] = await readInputSchemas(file, file, key);
+  const rules = compileValidationRules(CONFIG.validationRules, schema);
+  const seen = rules.map(() => new Map());
+  const result = {'rows': 0, 'invalidRows': 0, 'violations': 0, 'counts': {}};
+  await forEachRow(file, schema, (row) => {
+    const position = ++result['rows'];
+    const found = [];
+    rules.forEach((rule, i) => {
+      if (!rule['when'].every(condition => checkValue(condition, row, true).length === 0)) return;
+      checkValue(rule, row, false).forEach(([name, message]) => found.push([rule, name, message]));
+      if (!rule['options']['unique']) return;
+      const value = getPath(row, rule['segments']);
+      const duplicate = firstRow(seen[i], value, position);
+      if (duplicate != null) found.push([rule, 'unique', `${show(value)} is not unique, first on row ${duplicate}`]);
+    });
+    if (found.length > 0) result['invalidRows']++;
+    found.forEach(([rule, name, message]) => {
+      const value = getPath(row, rule['segments']);
+      if (result['counts'][rule['path']] == null) result['counts'][rule['path']] = {};
+      const counts = result['counts'][rule['path']];
+      counts[name] = (counts[name] || 0) + 1;
+      result['violations']++;
+      emit({
+        'key': key.length > 0 ? constructKey(row, key) : null,
+        'row': position,
+        'field': rule['path'],
+        'rule': name,
+        'value': value === undefined ? null : value,
+        'message': `${rule['path']} ${message}`,
+        'data': row,
+      });
+    });
+  });
+  return result;
+}
+
+/**
+ * Validates the rows of file against CONFIG.validationRules, see streamValidate.
+ * @param {string|string[]} file - filepath to .avro or JSON file, or glob or array of its parts, see inputs.js.
+ * @param {string[]} key - fields identifying a row in violations. Defaults to none.
+ * @returns {Promise} Promise which resolves to the object streamValidate resolves to, with the violations in file
+ *                    order in violations instead of their number.
+ */
+export const validate = async (file, key = []) => {
+  const violations = [];
+  const result = await streamValidate(file, key, violation => violations.push(violation));
+  return {...result, 'violations': violations};
+}
+
+/**
+ * Prints an object returned by validate to console: a line per violation in red, then the number of rows and
+ * violations and the number of violations of each rule.
+ * @param {Object} result - an object outputted from validate.
+ */
+export const printValidation = (result) => {
+  result['violations'].forEach((violation) => {
+    const key = violation['key'] != null ? ` ${show(violation['key'])}` : '';
+    console.log(`row ${violation['row']}${key}: ${violation['message']}`.red);
+  });
+  const summary = `${result['rows']} rows, ${result['violations'].length} violations in ${result['invalidRows']} rows`;
+  console.log(result['violations'].length === 0 ? summary.green : summary);
+  Object.keys(result['counts']).forEach((field) => {
+    const counts = result['counts'][field];
+    Object.keys(counts).forEach(rule => console.log(`  ${field} ${rule}: ${counts[rule]}`));
+  });
+}
+
+/**
+ * Returns the records for a result returned by validate: one record {type: 'violation', key, row, field, rule, value,
+ * message, data} per violation, data being the row, see streamValidate.
+ * @param {Object} result - an object outputted from validate.
+ * @returns {Object} Returns an object with schema {summary:{Object}, records:[Array]} where summary has schema
+ *                    {type:'summary', diff:'validate', rows:number, invalidRows:number, violations:number,
+ *                    counts:{Object}}, counts as in streamValidate.
+ */
+export const validationRecords = (result) => {
+  const records = result['violations'].map(violation => ({'type': 'violation', ...violation}));
+  const summary = {
+    'type': 'summary',
+    'diff': 'validate',
+    'rows': result['rows'],
+    'invalidRows': result['invalidRows'],
+    'violations': result['violations'].length,
+    'counts': result['counts'],
+  };
+  return {summary, records};
+}
+
+/**
+ * Prints a result returned by validate in the given format.
+ * @param {Object} result - an object outputted from validate.
+ * @param {string} format - one of OUTPUT_FORMATS, see report.js. 'text' is printValidation.
+ * @param {Object} context - title for format html, see htmlWriter in htmlReport.js, or null.
+ */
+export const printValidationAs = (result, format = 'text', context = null) => {
+  if (format === 'text') {
+    printValidation(result);
+  } else {
+    process.stdout.write(formatRecords(validationRecords(result), format, context));
+  }
+}
+
+/* <=== Helper functions ===> */
+
+/**
+ * Validates the options of one rule or condition and compiles them.
+ * @param {string} path - field path the options apply to.
+ * @param {Object} options - rule options, see the top of this file.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @param {boolean} condition - true for the conditions of when, which may not use unique or when themselves.
+ * @returns {Object} compiled rule with schema {path:string, segments:[Array], options:{Object}, pattern:RegExp,
+ *                   others:{Object}, when:[Array]} where others maps FIELD_COMPARISONS to the segments of their path.
+ * @throws {AvroDiffError} if a path is not in schema or an option is unknown or has an invalid value.
+ */
+const compileRule = (path, options, schema, condition) => {
+  const where = condition ? `a when condition on '${path}'` : `'${path}'`;
+  const fail = message => new AvroDiffError(`validationRules: ${where}: ${message}`);
+  if (options == null || typeof options !== 'object' || Array.isArray(options)) throw fail('options must be an object');
+  const allowed = condition ? VALIDATION_RULE_OPTIONS.filter(name => name !== 'unique' && name !== 'when')
+    : VALIDATION_RULE_OPTIONS;
+  Object.keys(options).forEach((name) => {
+    if (allowed.indexOf(name) === -1) throw fail(`unknown option '${name}', expected one of ${allowed.join(', ')}`);
+  });
+  ['notNull', 'unique'].forEach((name) => {
+    if (options[name] != null && typeof options[name] !== 'boolean') throw fail(`${name} must be true or false`);
+  });
+  ['min', 'max'].forEach((name) => {
+    if (options[name] != null && typeof options[name] !== 'number' && typeof options[name] !== 'string') {
+      throw fail(`${name} must be a number or a string`);
+    }
+  });
+  if (options['enum'] != null && !(Array.isArray(options['enum']) && options['enum'].length > 0)) {
+    throw fail('enum must be a non-empty array of values');
+  }
+  let pattern = null;
+  if (options['pattern'] != null) {
+    try {
+      pattern = new RegExp(options['pattern']);
+    } catch (err) {
+      throw fail(`invalid pattern: ${err.message}`);
+    }
+  }
+  const others = {};
+  Object.keys(FIELD_COMPARISONS).filter(name => options[name] != null).forEach((name) => {
+    if (typeof options[name] !== 'string') throw fail(`${name} must be the path of another field`);
+    others[name] = checkPath(options[name], schema);
+  });
+  const when = options['when'] == null ? {} : options['when'];
+  if (typeof when !== 'object' || Array.isArray(when)) throw fail('when must map field paths to conditions');
+  return {
+    'path': path,
+    'segments': checkPath(path, schema),
+    'options': options,
+    'pattern': pattern,
+    'others': others,
+    'when': Object.keys(when).map(other => compileRule(other, when[other], schema, true)),
+  };
+}
+
+/**
+ * Parses a path of validationRules and checks that it leads to a value of schema.
+ * @param {string} path - field path.
+ * @param {Object} schema - reader schema as parsed JSON.
+ * @returns {Array} segments of path.
+ * @throws {AvroDiffError} if path cannot be parsed or is not in schema.
+ */
+const checkPath = (path, schema) => {
+  let segments;
+  try {
+    segments = parsePath(path);
+  } catch (err) {
+    throw new AvroDiffError(`validationRules: ${err.message}`);
+  }
+  if (typeAtPath(schema, segments) == null) {
+    throw new AvroDiffError(`validationRules: '${path}' is not in the schema (check keepFields and ignoreFields)`);
+  }
+  return segments;
+}
+
+/**
+ * Checks the value of a row at the path of a rule against the options of the rule, except unique.
+ * @param {Object} rule - compiled rule, see compileRule.
+ * @param {Object} row - decoded row.
+ * @param {boolean} strict - true for conditions: a null value fails every option but notNull false.
+ * @returns {Array[]} a [option, message] pair for each option the value fails, messages not naming the field.
+ */
+const checkValue = (rule, row, strict) => {
+  const options = rule['options'];
+  const value = getPath(row, rule['segments']);
+  const failed = [];
+  if (value == null) {
+    if (options['notNull']) failed.push(['notNull', 'is null']);
+    if (strict && Object.keys(options).some(name => name !== 'notNull')) failed.push(['null', 'is null']);
+    return failed;
+  }
+  if (options['enum'] != null) {
+    const str = stableStringify(value);
+    if (!options['enum'].some(allowed => stableStringify(allowed) === str)) {
+      failed.push(['enum', `${show(value)} is not one of ${options['enum'].map(show).join(', ')}`]);
+    }
+  }
+  ['min', 'max'].filter(name => options[name] != null).forEach((name) => {
+    if (typeof value !== typeof options[name]) {
+      failed.push([name, `${show(value)} cannot be compared with ${name} ${show(options[name])}`]);
+    } else if (name === 'min' ? compareValues(value, options[name]) < 0 : compareValues(value, options[name]) > 0) {
+      failed.push([name, `${show(value)} is ${name === 'min' ? 'less' : 'more'} than ${name} ${show(options[name])}`]);
+    }
+  });
+  if (rule['pattern'] != null && !(typeof value === 'string' && rule['pattern'].test(value))) {
+    failed.push(['pattern', `${show(value)} does not match /${options['pattern']}/`]);
+  }
+  Object.keys(rule['others']).forEach((name) => {
+    const other = getPath(row, rule['others'][name]);
+    // like null values, rows without the other value are not checked.
+    if (other == null) return;
+    if (!FIELD_COMPARISONS[name]['holds'](compareValues(value, other))) {
+      failed.push([name, `${show(value)} is not ${FIELD_COMPARISONS[name]['text']} ${options[name]} ${show(other)}`]);
+    }
+  });
+  return failed;
+}
+
+/**
+ * Remembers the first row holding each value of a unique field.
+ * @param {Map} seen - map from value (as stable JSON) to the first row holding it.
+ * @param {*} value - value of the field in the current row.
+ * @param {number} position - position of the current row.
+ * @returns {number} position of an earlier row holding value, or null if value is null or new.
+ */
+const firstRow = (seen, value, position) => {
+  if (value == null) return null;
+  const str = stableStringify(value);
+  if (seen.has(str)) return seen.get(str);
+  seen.set(str, position);
+  return null;
+}
+
+/**
+ * Returns a value as JSON for messages, bytes and fixed values as hex strings.
+ * @param {*} value - decoded value.
+ * @returns {string} the value as text.
+ */
+const show = value => (Buffer.isBuffer(value) ? value.toString('hex') : JSON.stringify(value));
+
+/* <=== End of helper functions ===> */
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const {validate, validationRecords} = require('./validate.js');
+const {setConfig} = require('./config.js');
+const {AvroDiffError} = require('./errors.js');
+const {makeTempDir, removeDir, writeAvroFile} = require('./testUtils.js');
+
+const schema = {
+  type: 'record',
+  name: 'ticket',
+  fields: [
+    {name: 'id', type: 'int'},
+    {name: 'email', type: ['null', 'string']},
+    {name: 'status', type: {type: 'enum', name: 'status', symbols: ['open', 'closed']}},
+    {name: 'openedAt', type: 'long'},
+    {name: 'closedAt', type: ['null', 'long']},
+  ],
+};
+const rows = [
+  {id: 1, email: 'a@example.com', status: 'open', openedAt: 10, closedAt: null},
+  {id: 2, email: null, status: 'closed', openedAt: 10, closedAt: 20},
+  {id: 2, email: 'not an email', status: 'closed', openedAt: 30, closedAt: 20},
+  {id: 4, email: 'd@example.com', status: 'closed', openedAt: 10, closedAt: null},
+];
+let file;
+
+beforeAll(async () => {
+  file = await writeAvroFile(path.join(makeTempDir('validate'), 'tickets.avro'), schema, rows);
+});
+
+afterAll(() => {
+  setConfig({validationRules: null});
+  removeDir(path.dirname(file));
+});
+
+test('every rule reports the rows breaking it, keyed and in file order', async () => {
+  setConfig({validationRules: {
+    'id': {'unique': true, 'max': 3},
+    'email': {'notNull': true, 'pattern': '^[^@\\s]+@[^@\\s]+$'},
+    'closedAt': {'notNull': true, 'greaterThanOrEqual': 'openedAt', 'when': {'status': {'enum': ['closed']}}},
+  }});
+  const result = await validate(file, ['id']);
+
+  expect(result.violations.map(v => [v.row, v.key, v.message])).toEqual([
+    [2, [2], 'email is null'],
+    [3, [2], 'id 2 is not unique, first on row 2'],
+    [3, [2], 'email "not an email" does not match /^[^@\\s]+@[^@\\s]+$/'],
+    [3, [2], 'closedAt 20 is not at least openedAt 30'],
+    [4, [4], 'id 4 is more than max 3'],
+    [4, [4], 'closedAt is null'],
+  ]);
+  expect(result).toMatchObject({rows: 4, invalidRows: 3, counts: {
+    id: {unique: 1, max: 1}, email: {notNull: 1, pattern: 1}, closedAt: {greaterThanOrEqual: 1, notNull: 1},
+  }});
+  const {summary, records} = validationRecords(result);
+  expect(summary).toEqual({type: 'summary', diff: 'validate', rows: 4, invalidRows: 3, violations: 6,
+    counts: result.counts});
+  expect(records[0]).toEqual({type: 'violation', key: [2], row: 2, field: 'email', rule: 'notNull', value: null,
+    message: 'email is null', data: rows[1]});
+});
+
+test('enum and cross-field rules without a key', async () => {
+  setConfig({validationRules: {'status': {'enum': ['open']}, 'openedAt': {'equalTo': 'closedAt'}}});
+  const result = await validate(file);
+
+  expect(result.violations.map(v => [v.row, v.key, v.rule])).toEqual([
+    [2, null, 'enum'], [2, null, 'equalTo'], [3, null, 'enum'], [3, null, 'equalTo'], [4, null, 'enum'],
+  ]);
+});
+
+test('invalid rules are rejected before any row is read', async () => {
+  const invalid = [
+    [{'missing': {'notNull': true}}, /'missing' is not in the schema/],
+    [{'id': {'between': [1, 2]}}, /unknown option 'between'/],
+    [{'email': {'pattern': '('}}, /invalid pattern/],
+    [{'id': {'min': null, 'enum': []}}, /enum must be a non-empty array/],
+    [{'id': {'lessThan': 'missing'}}, /'missing' is not in the schema/],
+    [{'id': {'when': {'status': {'unique': true}}}}, /a when condition on 'status': unknown option 'unique'/],
+  ];
+  for (const [rules, message] of invalid) {
+    setConfig({validationRules: rules});
+    const result = validate(file);
+    await expect(result).rejects.toBeInstanceOf(AvroDiffError);
+    await expect(result).rejects.toThrow(message);
+  }
+});